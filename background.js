@@ -4,6 +4,8 @@
  * Обрабатывает downloads через chrome.downloads API
  */
 
+importScripts('launcher.js', 'historyStore.js', 'zipWriter.js');
+
 // Слушаем сообщения от content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'download') {
@@ -13,6 +15,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Async response
   }
 
+  if (message.action === 'downloadZip') {
+    handleZipDownload(message.data)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Async response
+  }
+
+  if (message.action === 'fetchStylesheet' || message.action === 'fetchSprite') {
+    fetchText(message.url)
+      .then(text => sendResponse({ success: true, text }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Async response
+  }
+
+  if (message.action === 'fetchAsset') {
+    fetchAsset(message.url, message.maxBytes)
+      .then(asset => sendResponse({ success: true, ...asset }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Async response
+  }
+
+  if (message.action === 'history:add') {
+    addToHistory(message.data)
+      .then(id => sendResponse({ success: true, id }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Async response
+  }
+
   if (message.action === 'copyToClipboard') {
     // Clipboard API requires user gesture, handle via offscreen document if needed
     sendResponse({ success: true });
@@ -21,34 +51,233 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Обрабатывает скачивание файла через chrome.downloads API
- * @param {Object} data - { content: string, filename: string, mimeType?: string }
+ * Загружает cross-origin CSS или внешний SVG-спрайт для StyleInjector (host_permissions обходят CORS)
+ * @param {string} url - Абсолютный http(s) URL таблицы стилей или спрайта
+ * @returns {Promise<string>} Текст CSS / разметка SVG
  */
-async function handleDownload({ content, filename, mimeType = 'text/html' }) {
-  const blob = new Blob([content], { type: mimeType });
-  const reader = new FileReader();
+async function fetchText(url) {
+  if (!/^https?:\/\//i.test(url)) throw new Error('Unsupported URL');
+
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
 
+/**
+ * Загружает картинку/шрифт/SVG для single-file экспорта
+ * Ресурсы больше maxBytes не читаются: возвращается только размер
+ * @param {string} url - Абсолютный http(s) URL ресурса
+ * @param {number} [maxBytes=Infinity] - Лимит размера одного ресурса
+ * @returns {Promise<{dataUrl?: string, size: number, tooLarge?: boolean}>}
+ */
+async function fetchAsset(url, maxBytes = Infinity) {
+  if (!/^https?:\/\//i.test(url)) throw new Error('Unsupported asset URL');
+
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) return { size: declared, tooLarge: true };
+
+  const blob = await response.blob();
+  if (blob.size > maxBytes) return { size: blob.size, tooLarge: true };
+  return { dataUrl: await readAsDataURL(blob), size: blob.size };
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} data: URI
+ */
+function readAsDataURL(blob) {
   return new Promise((resolve, reject) => {
-    reader.onload = () => {
-      chrome.downloads.download({
-        url: reader.result,
-        filename: filename,
-        saveAs: false
-      }, (downloadId) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(downloadId);
-        }
-      });
-    };
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
     reader.onerror = () => reject(new Error('Failed to read blob'));
     reader.readAsDataURL(blob);
   });
 }
 
+/**
+ * Сохраняет snatch в историю с квотой из настроек
+ * @param {Object} data - См. HistoryStore.normalizeEntry
+ * @returns {Promise<number>} id записи
+ */
+async function addToHistory(data) {
+  const { historySettings } = await chrome.storage.local.get(['historySettings']);
+  return HistoryStore.add(data, historySettings || HISTORY_DEFAULTS);
+}
+
+/**
+ * Обрабатывает скачивание файла через chrome.downloads API
+ * @param {Object} data - { content: string|Uint8Array|Blob, filename: string, mimeType?: string }
+ */
+async function handleDownload({ content, filename, mimeType = 'text/html' }) {
+  // Бинарное содержимое (ZIP) скачивается как есть, строки — в указанной кодировке MIME
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = await readAsDataURL(blob);
+
+  return new Promise((resolve, reject) => {
+    chrome.downloads.download({
+      url,
+      filename: filename,
+      saveAs: false
+    }, (downloadId) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(downloadId);
+      }
+    });
+  });
+}
+
+/**
+ * Упаковывает проект (StyleInjector.createProjectFiles) в ZIP и скачивает
+ * @param {Object} data - { files: Array<{name, text?, dataUrl?}>, filename: string }
+ */
+async function handleZipDownload({ files, filename }) {
+  const zip = ZipWriter.createZip(files.map(({ name, text, dataUrl }) => ({
+    name,
+    data: dataUrl ? ZipWriter.dataURLToBytes(dataUrl) : text
+  })));
+  return handleDownload({ content: new Blob([zip], { type: 'application/zip' }), filename });
+}
+
+// ============================================
+// KEYBOARD COMMANDS (без открытия popup)
+// ============================================
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab);
+});
+
+/**
+ * Запускает Sniper или захват страницы с сохранёнными outputMode/extractMode
+ * @param {string} command - start-sniper | snatch-page
+ * @param {chrome.tabs.Tab} [tab] - Активная вкладка (может отсутствовать в старых версиях Chrome)
+ */
+async function handleCommand(command, tab) {
+  try {
+    if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab || SnatchLauncher.isRestrictedPage(tab.url)) {
+      flashBadge('✕', '#ef4444');
+      return;
+    }
+
+    const settings = await SnatchLauncher.loadSettings();
+
+    if (command === 'start-sniper') {
+      await SnatchLauncher.startSniper(tab.id, settings);
+    } else if (command === 'snatch-page') {
+      await snatchPage(tab, settings);
+      flashBadge('✓', '#10b981');
+    }
+  } catch (err) {
+    console.error('[Snatcher] Command error:', err);
+    flashBadge('✕', '#ef4444');
+  }
+}
+
+/**
+ * Захват всей страницы: копирование (через страницу), скачивание или ZIP-проект
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} settings - Результат SnatchLauncher.loadSettings()
+ */
+async function snatchPage(tab, settings) {
+  const { html, title, ext, sourceMap, project } = await SnatchLauncher.capturePage(tab.id, settings);
+
+  addToHistory({ url: tab.url, title, selector: 'page', mode: settings.extractMode, format: ext, code: html })
+    .catch(err => console.warn('[Snatcher] History error:', err));
+
+  if (settings.outputMode === 'copy') {
+    const copied = await SnatchLauncher.copyInTab(tab.id, html);
+    if (!copied) throw new Error('Clipboard write failed');
+  } else if (project) {
+    await handleZipDownload({ files: project.files, filename: SnatchLauncher.buildFilename(title, 'page', settings.extractMode, 'zip') });
+  } else {
+    const filename = SnatchLauncher.buildFilename(title, 'page', settings.extractMode, ext);
+    await handleDownload({ content: html, filename });
+    if (sourceMap) await handleDownload(SnatchLauncher.buildSourceMapDownload(sourceMap, filename));
+  }
+}
+
+// ============================================
+// CONTEXT MENU (правый клик по элементу)
+// ============================================
+
+const CONTEXT_MENU_MODES = [
+  { mode: 'clean', title: 'Clean HTML' },
+  { mode: 'styled', title: 'Styled' },
+  { mode: 'scoped', title: 'Scoped' },
+  { mode: 'computed', title: 'Computed snapshot' },
+  { mode: 'compact', title: 'Compact' },
+  { mode: 'smart', title: 'Smart Extract' }
+];
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'snatch-element', title: 'Snatch element', contexts: ['all'] });
+    chrome.contextMenus.create({ id: 'snatch-element-as', title: 'Snatch element as…', contexts: ['all'] });
+    for (const { mode, title } of CONTEXT_MENU_MODES) {
+      chrome.contextMenus.create({ id: `snatch-as-${mode}`, parentId: 'snatch-element-as', title, contexts: ['all'] });
+    }
+    chrome.contextMenus.create({ id: 'snatch-whole-page', title: 'Snatch whole page', contexts: ['all'] });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenu(info, tab);
+});
+
+/**
+ * @param {chrome.contextMenus.OnClickData} info
+ * @param {chrome.tabs.Tab} tab
+ */
+async function handleContextMenu(info, tab) {
+  if (info.menuItemId === 'snatch-whole-page') {
+    await handleCommand('snatch-page', tab);
+    return;
+  }
+
+  try {
+    if (!tab || SnatchLauncher.isRestrictedPage(tab.url)) {
+      flashBadge('✕', '#ef4444');
+      return;
+    }
+
+    const settings = await SnatchLauncher.loadSettings();
+    const menuId = String(info.menuItemId);
+    const extractMode = menuId.startsWith('snatch-as-') ? menuId.slice('snatch-as-'.length) : null;
+
+    const snatched = await SnatchLauncher.snatchContextTarget(tab.id, info.frameId, settings, extractMode);
+    // Вкладка открыта до установки расширения — content script не запомнил цель, даём выбрать мышью
+    if (!snatched) await SnatchLauncher.startSniper(tab.id, settings);
+  } catch (err) {
+    console.error('[Snatcher] Context menu error:', err);
+    flashBadge('✕', '#ef4444');
+  }
+}
+
+/**
+ * Короткая обратная связь на иконке расширения
+ * @param {string} text
+ * @param {string} color
+ */
+function flashBadge(text, color) {
+  try {
+    chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setBadgeText({ text });
+    setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+  } catch (err) {
+    console.warn('[Snatcher] Badge error:', err);
+  }
+}
+
 // Обработка установки расширения
 chrome.runtime.onInstalled.addListener((details) => {
+  createContextMenus();
+
   if (details.reason === 'install') {
     console.log('🥷 Ninja-Snatch installed successfully!');
   } else if (details.reason === 'update') {
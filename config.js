@@ -217,6 +217,93 @@ if (typeof window.__NINJA_SNATCH__.SnatcherConfig === 'undefined') {
             removeIfEmpty: ['class', 'style', 'id']
         },
 
+        /**
+         * Lazy-loaded media promoted to real sources before export
+         * Used in resolveLazyMedia()
+         */
+        lazyMediaPatterns: {
+            /** Attributes holding the real src/srcset/sizes/poster (first non-empty wins) */
+            srcAttributes: ['data-src', 'data-lazy-src', 'data-original', 'data-lazy'],
+            srcsetAttributes: ['data-srcset', 'data-lazy-srcset'],
+            sizesAttributes: ['data-sizes'],
+            posterAttributes: ['data-poster'],
+            /** Background image URL, applied as inline background-image */
+            backgroundAttributes: ['data-bg', 'data-background', 'data-background-image', 'data-bg-src'],
+            /** lazysizes state classes, replaced with "lazyloaded" */
+            pendingClasses: ['lazyload', 'lazyloading']
+        },
+
+        /**
+         * State pseudo-classes ignored when matching rules to the exported element
+         * (".btn:hover" ships when ".btn" matches). Structural ones like
+         * :first-child stay — they are evaluated on the exported tree
+         * Used in selectorMatchesAny()
+         */
+        dynamicPseudoClasses: [
+            // User interaction
+            'hover', 'active', 'focus', 'focus-visible', 'focus-within',
+            // Navigation
+            'visited', 'target', 'target-within',
+            // Form state
+            'checked', 'indeterminate', 'placeholder-shown', 'autofill', '-webkit-autofill',
+            'valid', 'invalid', 'user-valid', 'user-invalid', 'in-range', 'out-of-range',
+            // Element state
+            'open', 'closed', 'popover-open', 'modal', 'fullscreen',
+            // Media playback
+            'playing', 'paused'
+        ],
+
+        /**
+         * Styled export CSS optimization
+         * Used in getMatchedCSSRules()
+         */
+        cssOptimization: {
+            /** Drop declarations that lose the cascade on every exported element */
+            treeShaking: true,
+            /** Merge rules whose declaration blocks end up identical */
+            mergeRules: true
+        },
+
+        /**
+         * Rule provenance: sheet URL, <style> position, shadow host or adopted sheet of every exported rule
+         * Used in getMatchedCSSRules() and the Sniper download; the popup options override these defaults
+         */
+        provenance: {
+            /** Annotate emitted CSS with a comment naming the source of each rule */
+            comments: false,
+            /** Download a JSON map of exported rules to their sources next to the file */
+            sourceMap: false
+        },
+
+        /**
+         * Scoped export (extract mode "scoped")
+         * Used in createScopedExport()
+         */
+        scopedExport: {
+            /** class — prefix selectors with a generated root class, scope — wrap in @scope, shadow — custom element with a shadow root */
+            strategy: 'class'
+        },
+
+        /**
+         * Single-file export: images, fonts and SVGs inlined as data URIs
+         * Used in inlineAssets(); skipped assets are listed in a comment at the top of the export
+         */
+        singleFile: {
+            /** Assets larger than this stay linked */
+            maxAssetBytes: 2 * 1024 * 1024,
+            /** Total bytes inlined per export, counted in document order */
+            maxTotalBytes: 20 * 1024 * 1024
+        },
+
+        /**
+         * ZIP project export (download mode "zip"): index.html, styles.css, scripts.js, assets/
+         * Used in createProjectFiles(); manifest.json maps local files to their original URLs
+         */
+        projectExport: {
+            /** Assets larger than this stay linked and are listed in the manifest */
+            maxAssetBytes: 10 * 1024 * 1024
+        },
+
         /**
          * Motion.dev CDN for advanced animations
          */
@@ -0,0 +1,19 @@
+/**
+ * Ninja-Snatch Context Target
+ * Лёгкий content script: запоминает элемент под последним contextmenu,
+ * чтобы пункт "Snatch element" снимал именно его
+ */
+
+window.__NINJA_SNATCH__ = window.__NINJA_SNATCH__ || {};
+
+// Guard against multiple injections
+if (!window.__NINJA_SNATCH__.contextTargetTracking) {
+    window.__NINJA_SNATCH__.contextTargetTracking = true;
+
+    // window + capture: срабатывает раньше обработчиков страницы, которые глушат contextmenu
+    window.addEventListener('contextmenu', (e) => {
+        // composedPath: реальный элемент внутри открытого shadow root, а не host
+        const path = e.composedPath ? e.composedPath() : [];
+        window.__NINJA_SNATCH__.lastContextTarget = path.find(node => node.nodeType === Node.ELEMENT_NODE) || e.target;
+    }, true);
+}
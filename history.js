@@ -0,0 +1,244 @@
+/**
+ * Ninja-Snatch History Page
+ * Поиск, теги, предпросмотр, повторное копирование/скачивание и массовый экспорт
+ */
+
+const searchInput = document.getElementById('search');
+const tagFilter = document.getElementById('tagFilter');
+const entriesList = document.getElementById('entries');
+const counter = document.getElementById('counter');
+const selectAll = document.getElementById('selectAll');
+const exportBtn = document.getElementById('exportBtn');
+const deleteBtn = document.getElementById('deleteBtn');
+const details = document.getElementById('details');
+const emptyPreview = document.getElementById('emptyPreview');
+const tagsInput = document.getElementById('tagsInput');
+const previewFrame = document.getElementById('previewFrame');
+const codeView = document.getElementById('codeView');
+const maxEntriesInput = document.getElementById('maxEntries');
+const maxMegabytesInput = document.getElementById('maxMegabytes');
+const status = document.getElementById('status');
+
+let allEntries = [];
+let visibleEntries = [];
+let activeEntry = null;
+const selectedIds = new Set();
+
+// ============================================
+// ЗАГРУЗКА
+// ============================================
+
+chrome.storage.local.get(['historySettings'], ({ historySettings }) => {
+  const quota = { ...HISTORY_DEFAULTS, ...historySettings };
+  maxEntriesInput.value = quota.maxEntries;
+  maxMegabytesInput.value = quota.maxMegabytes;
+});
+
+refresh();
+
+async function refresh() {
+  try {
+    allEntries = await HistoryStore.list();
+  } catch (err) {
+    showStatus('Ошибка IndexedDB: ' + err.message);
+    return;
+  }
+
+  // Выбор и активная запись переживают обновление, если записи ещё существуют
+  const ids = new Set(allEntries.map(entry => entry.id));
+  [...selectedIds].forEach(id => { if (!ids.has(id)) selectedIds.delete(id); });
+  if (activeEntry) activeEntry = allEntries.find(entry => entry.id === activeEntry.id) || null;
+
+  renderTags();
+  renderList();
+  renderDetails();
+}
+
+// ============================================
+// СПИСОК
+// ============================================
+
+function renderTags() {
+  const current = tagFilter.value;
+  tagFilter.textContent = '';
+  tagFilter.appendChild(new Option('Все теги', ''));
+  HistoryStore.collectTags(allEntries).forEach(({ tag, count }) => {
+    tagFilter.appendChild(new Option(`${tag} (${count})`, tag));
+  });
+  tagFilter.value = HistoryStore.collectTags(allEntries).some(t => t.tag === current) ? current : '';
+}
+
+function renderList() {
+  const filter = { query: searchInput.value, tag: tagFilter.value };
+  visibleEntries = allEntries.filter(entry => HistoryStore.matchesEntry(entry, filter));
+
+  entriesList.textContent = '';
+  visibleEntries.forEach(entry => entriesList.appendChild(createEntryItem(entry)));
+
+  counter.textContent = `${visibleEntries.length} записей` + (selectedIds.size ? ` · выбрано ${selectedIds.size}` : '');
+  selectAll.checked = visibleEntries.length > 0 && visibleEntries.every(entry => selectedIds.has(entry.id));
+  exportBtn.disabled = deleteBtn.disabled = selectedIds.size === 0;
+}
+
+function createEntryItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'entry' + (activeEntry?.id === entry.id ? ' active' : '');
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selectedIds.has(entry.id);
+  checkbox.addEventListener('click', e => e.stopPropagation());
+  checkbox.addEventListener('change', () => {
+    checkbox.checked ? selectedIds.add(entry.id) : selectedIds.delete(entry.id);
+    renderList();
+  });
+
+  const body = document.createElement('div');
+  body.className = 'entry-body';
+
+  const title = document.createElement('div');
+  title.className = 'entry-title';
+  title.textContent = entry.title || entry.url || 'Без названия';
+
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = describeEntry(entry);
+
+  const selector = document.createElement('div');
+  selector.className = 'meta';
+  selector.textContent = entry.selector;
+
+  body.append(title, meta, selector);
+  entry.tags.forEach(tag => {
+    const chip = document.createElement('span');
+    chip.className = 'tag';
+    chip.textContent = tag;
+    body.appendChild(chip);
+  });
+
+  item.append(checkbox, body);
+  item.addEventListener('click', () => {
+    activeEntry = entry;
+    renderList();
+    renderDetails();
+  });
+  return item;
+}
+
+function describeEntry(entry) {
+  const date = new Date(entry.timestamp).toLocaleString();
+  return `${entry.mode} · ${entry.format} · ${date} · ${(entry.size / 1024).toFixed(1)} KB`;
+}
+
+// ============================================
+// ПРЕДПРОСМОТР
+// ============================================
+
+function renderDetails() {
+  details.classList.toggle('hidden', !activeEntry);
+  emptyPreview.classList.toggle('hidden', !!activeEntry);
+  if (!activeEntry) return;
+
+  const entry = activeEntry;
+  const isJSX = HistoryStore.getFilename(entry).endsWith('.jsx');
+
+  document.getElementById('detailsTitle').textContent = entry.title || 'Без названия';
+  const link = document.getElementById('detailsUrl');
+  link.textContent = entry.url;
+  link.href = /^https?:/.test(entry.url) ? entry.url : '#';
+  document.getElementById('detailsMeta').textContent = describeEntry(entry) + (entry.selector ? ` · ${entry.selector}` : '');
+
+  if (document.activeElement !== tagsInput) tagsInput.value = entry.tags.join(', ');
+
+  // JSX нельзя отрендерить в iframe — показываем только код
+  previewFrame.classList.toggle('hidden', isJSX);
+  if (!isJSX && previewFrame.dataset.entryId !== String(entry.id)) {
+    previewFrame.srcdoc = entry.fullDoc || entry.code;
+    previewFrame.dataset.entryId = entry.id;
+  }
+  codeView.textContent = entry.code;
+}
+
+tagsInput.addEventListener('change', async () => {
+  if (!activeEntry) return;
+  await HistoryStore.setTags(activeEntry.id, tagsInput.value);
+  await refresh();
+});
+
+document.getElementById('copyBtn').addEventListener('click', async () => {
+  if (!activeEntry) return;
+  try {
+    await navigator.clipboard.writeText(activeEntry.code);
+    showStatus('Скопировано! 📋');
+  } catch (err) {
+    showStatus('Ошибка буфера обмена');
+  }
+});
+
+document.getElementById('downloadBtn').addEventListener('click', () => {
+  if (!activeEntry) return;
+  download(activeEntry.fullDoc || activeEntry.code, HistoryStore.getFilename(activeEntry));
+});
+
+// ============================================
+// ФИЛЬТРЫ И МАССОВЫЕ ДЕЙСТВИЯ
+// ============================================
+
+searchInput.addEventListener('input', renderList);
+tagFilter.addEventListener('change', renderList);
+
+selectAll.addEventListener('change', () => {
+  visibleEntries.forEach(entry => {
+    selectAll.checked ? selectedIds.add(entry.id) : selectedIds.delete(entry.id);
+  });
+  renderList();
+});
+
+exportBtn.addEventListener('click', () => {
+  const entries = allEntries.filter(entry => selectedIds.has(entry.id));
+  const date = new Date().toISOString().slice(0, 10);
+  download(HistoryStore.buildExport(entries), `ninja-snatch-history-${date}.json`, 'application/json');
+});
+
+deleteBtn.addEventListener('click', async () => {
+  if (!confirm(`Удалить ${selectedIds.size} записей?`)) return;
+  await HistoryStore.remove([...selectedIds]);
+  selectedIds.clear();
+  await refresh();
+});
+
+// ============================================
+// КВОТА
+// ============================================
+
+[maxEntriesInput, maxMegabytesInput].forEach(input => {
+  input.addEventListener('change', async () => {
+    const historySettings = {
+      maxEntries: Math.max(10, parseInt(maxEntriesInput.value, 10) || HISTORY_DEFAULTS.maxEntries),
+      maxMegabytes: Math.max(1, parseInt(maxMegabytesInput.value, 10) || HISTORY_DEFAULTS.maxMegabytes)
+    };
+    chrome.storage.local.set({ historySettings });
+
+    const removed = await HistoryStore.prune(historySettings);
+    if (removed) showStatus(`Удалено старых записей: ${removed}`);
+    await refresh();
+  });
+});
+
+// ============================================
+// ОБЩИЕ ФУНКЦИИ
+// ============================================
+
+function download(content, filename, mimeType = 'text/html') {
+  chrome.runtime.sendMessage({
+    action: 'download',
+    data: { content, filename, mimeType }
+  }, (response) => {
+    showStatus(response?.success ? 'Файл сохранён! 💾' : 'Ошибка скачивания: ' + (response?.error || ''));
+  });
+}
+
+function showStatus(msg) {
+  status.textContent = msg;
+  setTimeout(() => { status.textContent = ''; }, 3000);
+}
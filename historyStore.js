@@ -0,0 +1,245 @@
+/**
+ * Ninja-Snatch History Store
+ * Локальная библиотека snatch-результатов в IndexedDB
+ *
+ * Подключается в background.js через importScripts (запись из content scripts
+ * идёт сообщением history:add) и в history.html через <script>
+ * Оба контекста — origin расширения, поэтому база общая
+ */
+
+const HISTORY_DB = {
+    name: 'ninja-snatch',
+    version: 1,
+    store: 'history'
+};
+
+/** Лимиты по умолчанию; переопределяются historySettings в chrome.storage.local */
+const HISTORY_DEFAULTS = {
+    maxEntries: 500,
+    maxMegabytes: 50
+};
+
+const HistoryStore = {
+    _db: null,
+
+    /**
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this._db) return Promise.resolve(this._db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB.name, HISTORY_DB.version);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HISTORY_DB.store, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+            };
+            request.onsuccess = () => {
+                this._db = request.result;
+                resolve(this._db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Выполняет операцию в транзакции object store
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest|void} operation
+     * @returns {Promise<*>} Результат запроса operation
+     */
+    async _run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(HISTORY_DB.store, mode);
+            const request = operation(tx.objectStore(HISTORY_DB.store));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Сохраняет snatch и прореживает историю по квоте
+     * @param {Object} data - См. normalizeEntry
+     * @param {Object} [quota] - { maxEntries, maxMegabytes }
+     * @returns {Promise<number>} id записи
+     */
+    async add(data, quota) {
+        const id = await this._run('readwrite', store => store.add(this.normalizeEntry(data)));
+        await this.prune(quota);
+        return id;
+    },
+
+    /**
+     * Все записи, новые сверху, с фильтром поиска/тега
+     * @param {{query?: string, tag?: string}} [filter]
+     * @returns {Promise<Object[]>}
+     */
+    async list(filter = {}) {
+        const entries = await this._run('readonly', store => store.getAll());
+        return entries
+            .filter(entry => this.matchesEntry(entry, filter))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    },
+
+    /**
+     * @param {number} id
+     * @returns {Promise<Object|undefined>}
+     */
+    get(id) {
+        return this._run('readonly', store => store.get(id));
+    },
+
+    /**
+     * Обновляет теги записи
+     * @param {number} id
+     * @param {string[]} tags
+     */
+    async setTags(id, tags) {
+        const entry = await this.get(id);
+        if (!entry) return;
+        entry.tags = this.normalizeTags(tags);
+        await this._run('readwrite', store => store.put(entry));
+    },
+
+    /**
+     * @param {number[]} ids
+     */
+    remove(ids) {
+        return this._run('readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    },
+
+    /**
+     * Удаляет самые старые записи сверх квоты
+     * @param {Object} [quota] - { maxEntries, maxMegabytes }
+     * @returns {Promise<number>} Сколько записей удалено
+     */
+    async prune(quota = HISTORY_DEFAULTS) {
+        const entries = await this._run('readonly', store => store.getAll());
+        const ids = this.selectPrunable(entries, quota);
+        if (ids.length) await this.remove(ids);
+        return ids.length;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // PURE HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Запись истории из результата snatch
+     * @param {Object} data
+     * @param {string} data.url - Страница-источник
+     * @param {string} [data.title] - Заголовок страницы
+     * @param {string} [data.selector] - Путь выбранного элемента (или "page" / "iframe")
+     * @param {string} data.mode - clean | styled | compact | smart
+     * @param {string} [data.format] - html | jsx | react-tailwind | html-tailwind
+     * @param {Object} [data.metadata] - Метаданные SmartExtract.process
+     * @param {string} data.code - То, что ушло в буфер
+     * @param {string} [data.fullDoc] - Документ для скачивания, если отличается от code
+     * @returns {Object}
+     */
+    normalizeEntry(data) {
+        const code = data.code || '';
+        const fullDoc = data.fullDoc && data.fullDoc !== code ? data.fullDoc : null;
+        return {
+            url: data.url || '',
+            title: data.title || '',
+            selector: data.selector || '',
+            mode: data.mode || 'clean',
+            format: data.format || 'html',
+            metadata: data.metadata || null,
+            code,
+            fullDoc,
+            tags: this.normalizeTags(data.tags),
+            timestamp: data.timestamp || Date.now(),
+            size: code.length + (fullDoc ? fullDoc.length : 0)
+        };
+    },
+
+    /**
+     * @param {string[]|string} [tags] - Массив или строка через запятую
+     * @returns {string[]} Уникальные теги в нижнем регистре
+     */
+    normalizeTags(tags) {
+        const list = typeof tags === 'string' ? tags.split(',') : (tags || []);
+        return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    },
+
+    /**
+     * Поиск по заголовку, URL, селектору, режиму, тегам и коду
+     * @param {Object} entry
+     * @param {{query?: string, tag?: string}} filter
+     * @returns {boolean}
+     */
+    matchesEntry(entry, { query = '', tag = '' } = {}) {
+        if (tag && !entry.tags.includes(tag)) return false;
+        const q = query.trim().toLowerCase();
+        if (!q) return true;
+        return [entry.title, entry.url, entry.selector, entry.mode, entry.format, entry.tags.join(' '), entry.code]
+            .some(field => (field || '').toLowerCase().includes(q));
+    },
+
+    /**
+     * id самых старых записей, без которых история укладывается в квоту
+     * @param {Object[]} entries
+     * @param {{maxEntries?: number, maxMegabytes?: number}} quota
+     * @returns {number[]}
+     */
+    selectPrunable(entries, quota = {}) {
+        const maxEntries = quota.maxEntries || HISTORY_DEFAULTS.maxEntries;
+        const maxBytes = (quota.maxMegabytes || HISTORY_DEFAULTS.maxMegabytes) * 1024 * 1024;
+        const newestFirst = [...entries].sort((a, b) => b.timestamp - a.timestamp);
+
+        const prunable = [];
+        let bytes = 0;
+        newestFirst.forEach((entry, i) => {
+            bytes += entry.size || 0;
+            // Самая новая запись остаётся всегда, даже если больше квоты
+            if (i > 0 && (i >= maxEntries || bytes > maxBytes)) prunable.push(entry.id);
+        });
+        return prunable;
+    },
+
+    /**
+     * Все теги с количеством записей, по убыванию
+     * @param {Object[]} entries
+     * @returns {Array<{tag: string, count: number}>}
+     */
+    collectTags(entries) {
+        const counts = new Map();
+        entries.forEach(entry => entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    },
+
+    /**
+     * Имя файла для повторного скачивания записи
+     * @param {Object} entry
+     * @returns {string}
+     */
+    getFilename(entry) {
+        const base = (entry.title || entry.selector || 'snatched').replace(/[^a-z0-9а-яё]/gi, '_').substring(0, 30);
+        const ext = entry.format === 'jsx' || entry.format.includes('react') ? 'jsx' : 'html';
+        return `${base}_${entry.mode}.${ext}`;
+    },
+
+    /**
+     * JSON-бандл для массового экспорта
+     * @param {Object[]} entries
+     * @returns {string}
+     */
+    buildExport(entries) {
+        return JSON.stringify({
+            app: 'ninja-snatch',
+            exportedAt: new Date().toISOString(),
+            entries
+        }, null, 2);
+    }
+};
+
+// Export for Jest (service worker and history page use the global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryStore, HISTORY_DEFAULTS };
+}
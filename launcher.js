@@ -0,0 +1,377 @@
+/**
+ * Ninja-Snatch Launcher
+ * Запуск Visual Sniper и захвата страницы — общий для popup и background
+ * (keyboard commands работают без открытия popup)
+ *
+ * Подключается в popup.html через <script> и в background.js через importScripts
+ */
+
+const SMART_SCRIPTS = ['smartStyleInjector.js', 'smartExtract.js'];
+
+const SnatchLauncher = {
+    /** Ключи настроек в chrome.storage.local */
+    SETTINGS_KEYS: ['outputMode', 'extractMode', 'smartExtractSettings', 'previewEnabled', 'cssFormat', 'singleFile', 'provenanceComments', 'provenanceSourceMap'],
+
+    /**
+     * Страницы, куда расширениям запрещено инжектировать скрипты
+     * @param {string} url
+     * @returns {boolean}
+     */
+    isRestrictedPage(url) {
+        return !url ||
+            url.startsWith('chrome://') ||
+            url.startsWith('https://chrome.google.com/webstore') ||
+            url.startsWith('edge://');
+    },
+
+    /**
+     * Сохранённые настройки с дефолтами
+     * @returns {Promise<{outputMode: string, extractMode: string, smartExtractSettings: Object, previewEnabled: boolean, cssFormat: string, singleFile: boolean, provenance: {comments: boolean, sourceMap: boolean}}>}
+     */
+    loadSettings() {
+        return new Promise(resolve => {
+            chrome.storage.local.get(this.SETTINGS_KEYS, result => {
+                resolve({
+                    outputMode: result.outputMode || 'copy',
+                    extractMode: result.extractMode || 'clean',
+                    smartExtractSettings: result.smartExtractSettings || {},
+                    previewEnabled: !!result.previewEnabled,
+                    cssFormat: result.cssFormat || 'raw',
+                    singleFile: !!result.singleFile,
+                    provenance: {
+                        comments: !!result.provenanceComments,
+                        sourceMap: !!result.provenanceSourceMap
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * Инжектирует файлы по одному — порядок важен (config → styleInjector → ...)
+     * @param {number|chrome.scripting.InjectionTarget} target - tabId или target с frameIds
+     * @param {string[]} files
+     */
+    async injectFiles(target, files) {
+        const injectionTarget = typeof target === 'number' ? { tabId: target } : target;
+        for (const file of files) {
+            await chrome.scripting.executeScript({ target: injectionTarget, files: [file] });
+        }
+    },
+
+    /**
+     * Ядро Sniper без selector.js: стили, StyleInjector, Smart/Preview по настройкам
+     * @param {chrome.scripting.InjectionTarget} target
+     * @param {Object} settings - Результат loadSettings()
+     * @param {string} [snatchMode] - Режим одного snatch (контекстное меню): его скрипты
+     *   подгружаются, а настройки активного Sniper не меняются
+     */
+    async injectSniperCore(target, settings, snatchMode = null) {
+        const { outputMode, extractMode, smartExtractSettings, previewEnabled, cssFormat, singleFile, provenance } = settings;
+
+        await chrome.scripting.insertCSS({ target, files: ['selector.css'] });
+
+        // Smart-скрипты нужны и при включённом предпросмотре — в нём можно переключиться на Smart
+        const files = ['config.js', 'styleInjector.js'];
+        if (extractMode === 'smart' || snatchMode === 'smart' || previewEnabled) files.push(...SMART_SCRIPTS);
+        if (previewEnabled) files.push('previewPanel.js');
+        await this.injectFiles(target, files);
+
+        await chrome.scripting.executeScript({
+            target,
+            func: applySniperSettings,
+            args: [outputMode, extractMode, smartExtractSettings, previewEnabled, cssFormat || 'raw', !!singleFile, provenance || null]
+        });
+    },
+
+    /**
+     * Запускает Visual Sniper на вкладке
+     * @param {number} tabId
+     * @param {Object} settings - Результат loadSettings()
+     */
+    async startSniper(tabId, settings) {
+        const target = { tabId };
+        await this.injectSniperCore(target, settings);
+        await this.injectFiles(target, ['utils.js', 'selector.js']);
+    },
+
+    /**
+     * Snatch элемента под последним contextmenu тем же пайплайном, что и Sniper
+     * @param {number} tabId
+     * @param {number} frameId - Фрейм, где открыто контекстное меню
+     * @param {Object} settings - Результат loadSettings()
+     * @param {string} [extractMode] - Режим из подменю "Snatch element as…"
+     * @returns {Promise<boolean>} false — элемент не запомнен (content script не загружен)
+     */
+    async snatchContextTarget(tabId, frameId, settings, extractMode) {
+        const target = { tabId, frameIds: [frameId || 0] };
+        // Режим подменю едет вместе с целью: глобальный snatcherExtractMode принадлежит активному Sniper
+        const results = await chrome.scripting.executeScript({ target, func: armContextTarget, args: [extractMode || null] });
+        if (!results?.[0]?.result) return false;
+
+        await this.injectSniperCore(target, settings, extractMode);
+        await this.injectFiles(target, ['utils.js', 'selector.js']);
+        return true;
+    },
+
+    /**
+     * Извлекает всю страницу в текущем режиме
+     * @param {number} tabId
+     * @param {Object} settings - Результат loadSettings()
+     * @param {function(string): void} [onStatus] - Прогресс для UI
+     * @returns {Promise<{html: string, title: string, ext: string, sourceMap: string|null, assets: Object|null, project?: Object}>}
+     *   project — файлы ZIP-экспорта (outputMode "zip"), см. StyleInjector.createProjectFiles
+     */
+    async capturePage(tabId, settings, onStatus = () => { }) {
+        const { outputMode, extractMode, smartExtractSettings, cssFormat, singleFile, provenance } = settings;
+        const isSmart = extractMode === 'smart';
+
+        onStatus(isSmart ? "⏳ Загрузка модулей..." : "Извлекаем страницу...");
+        await this.injectFiles(tabId, ['config.js', 'styleInjector.js']);
+
+        if (isSmart) {
+            onStatus("⏳ Инициализация Smart Extract...");
+            await this.injectFiles(tabId, SMART_SCRIPTS);
+        }
+
+        onStatus(isSmart ? "⏳ Анализ структуры страницы..." : "Извлекаем...");
+        const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: extractPageContent,
+            // Отчёт single-file (комментарий) нужен только в скачанном файле, не в буфере обмена
+            args: [extractMode, smartExtractSettings, cssFormat || 'raw', !!singleFile, provenance || null, outputMode !== 'copy']
+        });
+
+        if (!results?.[0]?.result) {
+            throw new Error("Не удалось получить данные");
+        }
+
+        const page = results[0].result;
+        // JSX не собирается в проект — такой результат скачивается обычным файлом
+        if (outputMode === 'zip' && page.ext === 'html') {
+            onStatus("⏳ Скачиваем ассеты...");
+            const [project] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: createProjectInPage,
+                args: [page.html]
+            });
+            page.project = project?.result || null;
+        }
+        return page;
+    },
+
+    /**
+     * Имя файла для скачивания захвата
+     * @param {string} title - Заголовок страницы
+     * @param {string} suffix - page | iframe
+     * @param {string} extractMode
+     * @param {string} [fileExt] - jsx (Smart Extract) или zip (проект); остальное сохраняется как html
+     * @returns {string}
+     */
+    buildFilename(title, suffix, extractMode, fileExt = 'html') {
+        const sanitizedTitle = (title || '').replace(/[^a-z0-9а-яё]/gi, '_').substring(0, 30) || 'snatched';
+        const modeSuffix = ['smart', 'styled', 'scoped', 'computed'].includes(extractMode) ? `_${extractMode}` : '';
+        const ext = extractMode === 'smart' || fileExt === 'zip' ? fileExt : 'html';
+        return `${sanitizedTitle}_${suffix}${modeSuffix}.${ext}`;
+    },
+
+    /**
+     * Source map правил (опция popup или SnatcherConfig.provenance.sourceMap) для скачивания рядом с файлом
+     * @param {string} sourceMap - JSON из StyleInjector.createSourceMap()
+     * @param {string} filename - Имя скачанного файла
+     * @returns {{content: string, filename: string, mimeType: string}}
+     */
+    buildSourceMapDownload(sourceMap, filename) {
+        return {
+            content: JSON.stringify({ ...JSON.parse(sourceMap), file: filename }, null, 2),
+            filename: filename.replace(/\.\w+$/, '') + '.sources.json',
+            mimeType: 'application/json'
+        };
+    },
+
+    /**
+     * Копирует текст в буфер со страницы (background не имеет доступа к clipboard)
+     * через SnatcherUtils.copyText — поэтому сначала инжектируется utils.js
+     * @param {number} tabId
+     * @param {string} text
+     * @returns {Promise<boolean>}
+     */
+    async copyInTab(tabId, text) {
+        await this.injectFiles(tabId, ['utils.js']);
+        const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: copyTextInPage,
+            args: [text]
+        });
+        return !!results?.[0]?.result;
+    }
+};
+
+// ============================================
+// ФУНКЦИИ-ИНЖЕКТОРЫ (выполняются на странице)
+// ============================================
+
+function applySniperSettings(mode, extract, smartOpts, preview, cssFormat = 'raw', singleFile = false, provenance = null) {
+    // Initialize namespace
+    window.__NINJA_SNATCH__ = window.__NINJA_SNATCH__ || {};
+    window.__NINJA_SNATCH__.snatcherMode = mode;
+    window.__NINJA_SNATCH__.snatcherExtractMode = extract;
+    window.__NINJA_SNATCH__.smartExtractSettings = smartOpts;
+    window.__NINJA_SNATCH__.snatcherPreview = preview;
+    window.__NINJA_SNATCH__.snatcherCssFormat = cssFormat;
+    window.__NINJA_SNATCH__.snatcherSingleFile = singleFile;
+    // Комментарии с источником правил и source map: StyleInjector предпочитает их SnatcherConfig.provenance
+    window.__NINJA_SNATCH__.snatcherProvenance = provenance;
+    // Legacy compatibility
+    window.snatcherMode = mode;
+    window.snatcherExtractMode = extract;
+}
+
+async function createProjectInPage(html) {
+    return window.StyleInjector?.createProjectFiles ? window.StyleInjector.createProjectFiles(html) : null;
+}
+
+function armContextTarget(extractMode = null) {
+    const ns = window.__NINJA_SNATCH__;
+    const el = ns?.lastContextTarget;
+    if (!el || !el.isConnected) return false;
+    // selector.js snatch-ит pendingSnatchTarget (в pendingSnatchMode) вместо запуска интерактивного режима
+    ns.pendingSnatchTarget = el;
+    ns.pendingSnatchMode = extractMode;
+    return true;
+}
+
+async function copyTextInPage(text) {
+    try {
+        await window.__NINJA_SNATCH__.SnatcherUtils.copyText(text);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function extractIframeContent() {
+    function getFullHTML(doc) {
+        const doctype = doc.doctype
+            ? new XMLSerializer().serializeToString(doc.doctype)
+            : "<!DOCTYPE html>";
+        return doctype + "\n" + doc.documentElement.outerHTML;
+    }
+
+    const iframes = Array.from(document.querySelectorAll('iframe'));
+
+    // Приоритет: srcdoc iframe
+    const srcdocIframe = iframes.find(i => i.srcdoc);
+    if (srcdocIframe) {
+        return {
+            html: srcdocIframe.srcdoc,
+            title: document.title,
+            found: true
+        };
+    }
+
+    // Fallback: same-origin iframe с контентом
+    const accessibleIframe = iframes.find(i => {
+        try { return i.contentDocument?.documentElement; }
+        catch (e) { return false; }
+    });
+
+    if (accessibleIframe) {
+        return {
+            html: getFullHTML(accessibleIframe.contentDocument),
+            title: document.title,
+            found: true
+        };
+    }
+
+    return { html: null, title: null, found: false };
+}
+
+async function extractPageContent(mode, smartSettings = {}, cssFormat = 'raw', singleFile = false, provenance = null, reportComment = true) {
+    function getFullHTML(doc) {
+        const doctype = doc.doctype
+            ? new XMLSerializer().serializeToString(doc.doctype)
+            : "<!DOCTYPE html>";
+        return doctype + "\n" + doc.documentElement.outerHTML;
+    }
+
+    let html;
+    let ext = 'html';
+    let sourceMap = null;
+    let assets = null;
+
+    // Опции происхождения правил из popup — StyleInjector читает их из namespace
+    window.__NINJA_SNATCH__ = window.__NINJA_SNATCH__ || {};
+    window.__NINJA_SNATCH__.snatcherProvenance = provenance;
+
+    // Исключения, отмеченные в Sniper (Alt+клик), применяются и к всей странице
+    const exclude = window.__NINJA_SNATCH__?.snatcherExclusions || [];
+
+    // Smart Extract mode
+    if (mode === 'smart' && window.__NINJA_SNATCH__?.SmartExtract) {
+        try {
+            const SmartExtract = window.__NINJA_SNATCH__.SmartExtract;
+            const result = await SmartExtract.process(document.body, {
+                enableAI: smartSettings.enableAI || false,
+                apiKey: smartSettings.apiKey || null
+            });
+
+            html = result.code;
+            ext = 'html'; // Smart Extract v2 always outputs HTML
+
+            console.log('[SmartExtract] Page extraction complete:', result.metadata);
+        } catch (err) {
+            console.error('[SmartExtract] Error:', err);
+            // Fallback to clean HTML
+            html = getFullHTML(document);
+        }
+    } else if (mode === 'styled' && window.StyleInjector) {
+        await window.StyleInjector.fetchExternalStylesheets?.(document.documentElement);
+        await window.StyleInjector.fetchExternalSprites?.(document.documentElement);
+        html = window.StyleInjector.createStyledDocument(document.documentElement, document.title, { exclude });
+        sourceMap = window.StyleInjector.createSourceMap?.() || null;
+    } else if (mode === 'scoped' && window.StyleInjector?.createScopedDocument) {
+        await window.StyleInjector.fetchExternalStylesheets?.(document.body);
+        await window.StyleInjector.fetchExternalSprites?.(document.body);
+        html = window.StyleInjector.createScopedDocument(document.body, document.title, { exclude });
+        sourceMap = window.StyleInjector.createSourceMap?.() || null;
+    } else if (mode === 'computed' && window.StyleInjector?.createComputedDocument) {
+        await window.StyleInjector.fetchExternalSprites?.(document.body);
+        html = window.StyleInjector.createComputedDocument(document.body, document.title, { exclude });
+    } else {
+        // Raw HTML - тоже форматируем if prettifier available
+        let rawHTML = getFullHTML(document);
+        if (exclude.length && window.StyleInjector?.cloneExcluding) {
+            const doctype = document.doctype
+                ? new XMLSerializer().serializeToString(document.doctype)
+                : "<!DOCTYPE html>";
+            rawHTML = doctype + "\n" + window.StyleInjector.cloneExcluding(document.documentElement, exclude).outerHTML;
+        }
+        html = window.StyleInjector?.prettifyHTML
+            ? window.StyleInjector.prettifyHTML(rawHTML)
+            : rawHTML;
+    }
+
+    // raw | pretty | minify для <style> (clean отдаёт страницу как есть)
+    if (mode !== 'clean' && window.StyleInjector?.formatStyleBlocks) {
+        html = window.StyleInjector.formatStyleBlocks(html, cssFormat);
+    }
+
+    // Картинки и шрифты внутрь файла — только режимы, ссылающиеся на стили сайта
+    if (singleFile && ['styled', 'scoped', 'computed'].includes(mode) && window.StyleInjector?.inlineAssets) {
+        ({ html, report: assets } = await window.StyleInjector.inlineAssets(html, { reportComment }));
+    }
+
+    return {
+        html,
+        title: document.title,
+        ext,
+        sourceMap,
+        assets
+    };
+}
+
+// Export for Jest (popup and service worker use the global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnatchLauncher, extractPageContent, extractIframeContent, copyTextInPage, applySniperSettings, armContextTarget, createProjectInPage };
+}
@@ -6,12 +6,30 @@ const enableAI = document.getElementById('enableAI');
 const apiKeySection = document.getElementById('apiKeySection');
 const apiKeyInput = document.getElementById('apiKey');
 const targetFormatSelect = document.getElementById('targetFormat');
-
-let outputMode = 'copy'; // copy или download
-let extractMode = 'clean'; // clean, styled, compact, smart
+const previewEnabledInput = document.getElementById('previewEnabled');
+const cssFormatRow = document.getElementById('cssFormatRow');
+const cssFormatSelect = document.getElementById('cssFormat');
+const singleFileRow = document.getElementById('singleFileRow');
+const singleFileInput = document.getElementById('singleFile');
+const provenanceRow = document.getElementById('provenanceRow');
+const provenanceCommentsInput = document.getElementById('provenanceComments');
+const provenanceSourceMapInput = document.getElementById('provenanceSourceMap');
+
+let outputMode = 'copy'; // copy, download или zip
+let extractMode = 'clean'; // clean, styled, scoped, computed, compact, smart
+let previewEnabled = false; // предпросмотр в Sniper перед copy/download
+
+// Уведомления handleOutput по режиму извлечения (остальные режимы — DEFAULT_OUTPUT_MESSAGES)
+const OUTPUT_MESSAGES = {
+  smart: { copied: "Smart Extract скопирован! ✨", saved: "Smart Extract сохранён! ✨" },
+  styled: { copied: "Со стилями скопировано! 🎨", saved: "Файл со стилями сохранён! 🎨" },
+  scoped: { copied: "Scoped-код скопирован! 🧩", saved: "Scoped-файл сохранён! 🧩" },
+  computed: { copied: "Computed-снимок скопирован! 📸", saved: "Computed-снимок сохранён! 📸" }
+};
+const DEFAULT_OUTPUT_MESSAGES = { copied: "Скопировано! 📋", saved: "Файл сохранён! 💾" };
 
 // 1. Инициализация из хранилища
-chrome.storage.local.get(['outputMode', 'extractMode', 'smartExtractSettings'], (result) => {
+chrome.storage.local.get(SnatchLauncher.SETTINGS_KEYS, (result) => {
   if (result.outputMode) {
     outputMode = result.outputMode;
     updateOutputModeUI();
@@ -20,6 +38,22 @@ chrome.storage.local.get(['outputMode', 'extractMode', 'smartExtractSettings'],
     extractMode = result.extractMode;
     updateExtractModeUI();
   }
+  if (result.previewEnabled && previewEnabledInput) {
+    previewEnabled = true;
+    previewEnabledInput.checked = true;
+  }
+  if (result.cssFormat && cssFormatSelect) {
+    cssFormatSelect.value = result.cssFormat;
+  }
+  if (result.singleFile && singleFileInput) {
+    singleFileInput.checked = true;
+  }
+  if (result.provenanceComments && provenanceCommentsInput) {
+    provenanceCommentsInput.checked = true;
+  }
+  if (result.provenanceSourceMap && provenanceSourceMapInput) {
+    provenanceSourceMapInput.checked = true;
+  }
   // Smart Extract settings
   if (result.smartExtractSettings) {
     const settings = result.smartExtractSettings;
@@ -54,11 +88,58 @@ extractModeRadios.forEach(radio => {
   });
 });
 
+// Предпросмотр перед копированием/скачиванием
+if (previewEnabledInput) {
+  previewEnabledInput.addEventListener('change', () => {
+    previewEnabled = previewEnabledInput.checked;
+    chrome.storage.local.set({ previewEnabled });
+  });
+}
+
+// Форматирование CSS в экспорте (как есть / форматировать / минифицировать)
+if (cssFormatSelect) {
+  cssFormatSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ cssFormat: cssFormatSelect.value });
+  });
+}
+
+// Single-file: картинки, фоны и шрифты встраиваются в экспорт как data URI
+if (singleFileInput) {
+  singleFileInput.addEventListener('change', () => {
+    chrome.storage.local.set({ singleFile: singleFileInput.checked });
+  });
+}
+
+// Происхождение правил: комментарии /* app.css #12 */ в CSS и source map рядом со скачанным файлом
+if (provenanceCommentsInput) {
+  provenanceCommentsInput.addEventListener('change', () => {
+    chrome.storage.local.set({ provenanceComments: provenanceCommentsInput.checked });
+  });
+}
+
+if (provenanceSourceMapInput) {
+  provenanceSourceMapInput.addEventListener('change', () => {
+    chrome.storage.local.set({ provenanceSourceMap: provenanceSourceMapInput.checked });
+  });
+}
+
 // 4. Smart Extract Settings
 function toggleSmartSettings() {
   if (smartSettings) {
     smartSettings.classList.toggle('hidden', extractMode !== 'smart');
   }
+  // Чистый режим отдаёт HTML как есть — CSS форматировать нечего
+  if (cssFormatRow) {
+    cssFormatRow.classList.toggle('hidden', extractMode === 'clean');
+  }
+  // Ассеты встраиваются только там, где экспорт ссылается на стили сайта
+  if (singleFileRow) {
+    singleFileRow.classList.toggle('hidden', !['styled', 'scoped', 'computed'].includes(extractMode));
+  }
+  // Источники есть только у правил, собранных из таблиц сайта
+  if (provenanceRow) {
+    provenanceRow.classList.toggle('hidden', !['styled', 'scoped'].includes(extractMode));
+  }
 }
 
 function toggleApiKeySection() {
@@ -110,7 +191,7 @@ function updateExtractModeUI() {
 document.getElementById("stealIframeBtn").addEventListener("click", async () => {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-  if (isRestrictedPage(tab.url)) {
+  if (SnatchLauncher.isRestrictedPage(tab.url)) {
     showError("На этой странице не работает");
     return;
   }
@@ -134,7 +215,7 @@ document.getElementById("stealIframeBtn").addEventListener("click", async () =>
       return;
     }
 
-    await handleOutput(html, title, 'iframe');
+    await handleOutput(html, title, 'iframe', 'html', tab.url);
   } catch (err) {
     showError(err.message);
   }
@@ -148,47 +229,13 @@ document.getElementById("stealIframeBtn").addEventListener("click", async () =>
 document.getElementById("visualSelectBtn").addEventListener("click", async () => {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-  if (isRestrictedPage(tab.url)) {
+  if (SnatchLauncher.isRestrictedPage(tab.url)) {
     showError("На этой странице не работает");
     return;
   }
 
   try {
-    await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: ['selector.css'] });
-
-    // Инжектируем config.js и styleInjector для prettify и стилей
-    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['config.js'] });
-    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['styleInjector.js'] });
-
-    // Инжектируем smartStyleInjector.js и smartExtract.js если режим smart
-    if (extractMode === 'smart') {
-      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['smartStyleInjector.js'] });
-      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['smartExtract.js'] });
-    }
-
-    // Получаем настройки Smart Extract
-    const smartSettings = await new Promise(resolve => {
-      chrome.storage.local.get(['smartExtractSettings'], result => {
-        resolve(result.smartExtractSettings || {});
-      });
-    });
-
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (mode, extract, smartOpts) => {
-        // Initialize namespace
-        window.__NINJA_SNATCH__ = window.__NINJA_SNATCH__ || {};
-        window.__NINJA_SNATCH__.snatcherMode = mode;
-        window.__NINJA_SNATCH__.snatcherExtractMode = extract;
-        window.__NINJA_SNATCH__.smartExtractSettings = smartOpts;
-        // Legacy compatibility
-        window.snatcherMode = mode;
-        window.snatcherExtractMode = extract;
-      },
-      args: [outputMode, extractMode, smartSettings]
-    });
-
-    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['selector.js'] });
+    await SnatchLauncher.startSniper(tab.id, await SnatchLauncher.loadSettings());
     window.close();
   } catch (err) {
     showError("Не удалось запустить Sniper");
@@ -199,105 +246,75 @@ document.getElementById("visualSelectBtn").addEventListener("click", async () =>
 document.getElementById("stealPageBtn").addEventListener("click", async () => {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-  if (isRestrictedPage(tab.url)) {
+  if (SnatchLauncher.isRestrictedPage(tab.url)) {
     showError("На этой странице не работает");
     return;
   }
 
-  const isSmart = extractMode === 'smart';
-
   try {
-    // Step 1: Inject base scripts
-    showStatus(isSmart ? "⏳ Загрузка модулей..." : "Извлекаем страницу...");
+    const settings = await SnatchLauncher.loadSettings();
+    if (settings.singleFile) showStatus("⏳ Встраиваем картинки и шрифты...");
+    const { html, title, ext, sourceMap, assets, project } = await SnatchLauncher.capturePage(tab.id, settings, showStatus);
 
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['config.js']
-    });
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['styleInjector.js']
-    });
-
-    // Step 2: Inject Smart StyleInjector + Extract if needed
-    if (isSmart) {
-      showStatus("⏳ Инициализация Smart Extract...");
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['smartStyleInjector.js']
-      });
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['smartExtract.js']
-      });
-    }
-
-    // Step 3: Get settings
-    const smartSettings = await new Promise(resolve => {
-      chrome.storage.local.get(['smartExtractSettings'], result => {
-        resolve(result.smartExtractSettings || {});
-      });
-    });
-
-    // Step 4: Extract content
-    showStatus(isSmart ? "⏳ Анализ структуры страницы..." : "Извлекаем...");
-
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: extractPageContent,
-      args: [extractMode, smartSettings]
-    });
-
-    if (!results?.[0]?.result) {
-      throw new Error("Не удалось получить данные");
-    }
-
-    // Step 5: Handle output
-    showStatus(isSmart ? "⏳ Генерация кода..." : "Сохранение...");
-
-    const { html, title, ext } = results[0].result;
-    await handleOutput(html, title, 'page', ext);
+    showStatus(extractMode === 'smart' ? "⏳ Генерация кода..." : "Сохранение...");
+    await handleOutput(html, title, 'page', ext, tab.url, sourceMap, assets, project);
   } catch (err) {
     showError(err.message);
   }
 });
 
+// История snatch-ей
+document.getElementById("historyBtn").addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
 // ============================================
 // ОБЩИЕ ФУНКЦИИ
 // ============================================
 
-function isRestrictedPage(url) {
-  return url.startsWith('chrome://') ||
-    url.startsWith('https://chrome.google.com/webstore') ||
-    url.startsWith('edge://');
-}
+async function handleOutput(content, title, suffix, fileExt = 'html', url = '', sourceMap = null, assets = null, project = null) {
+  const filename = SnatchLauncher.buildFilename(title, suffix, extractMode, fileExt);
+  const messages = OUTPUT_MESSAGES[extractMode] || DEFAULT_OUTPUT_MESSAGES;
+  // Отчёт single-file: что не встроилось, перечислено комментарием в начале файла
+  const assetsNote = assets ? ` (встроено ${assets.inlined.length}, пропущено ${assets.skipped.length})` : '';
 
-async function handleOutput(content, title, suffix, fileExt = 'html') {
-  const sanitizedTitle = title.replace(/[^a-z0-9а-яё]/gi, '_').substring(0, 30) || 'snatched';
-  const modeSuffix = extractMode === 'smart' ? '_smart' : (extractMode === 'styled' ? '_styled' : '');
-  const ext = extractMode === 'smart' ? fileExt : 'html';
-  const filename = `${sanitizedTitle}_${suffix}${modeSuffix}.${ext}`;
+  // Каждый результат попадает в историю (background → IndexedDB)
+  chrome.runtime.sendMessage({
+    action: 'history:add',
+    data: { url, title, selector: suffix, mode: extractMode, format: fileExt, code: content }
+  });
 
   if (outputMode === 'copy') {
     try {
       await navigator.clipboard.writeText(content);
-      const msg = extractMode === 'smart'
-        ? "Smart Extract скопирован! ✨"
-        : (extractMode === 'styled' ? "Со стилями скопировано! 🎨" : "Скопировано! 📋");
-      showSuccess(msg);
+      showSuccess(messages.copied + assetsNote);
     } catch (err) {
       showError("Ошибка буфера обмена");
     }
+  } else if (project) {
+    // ZIP-проект: index.html, styles.css, scripts.js, assets/ и manifest.json собирает background
+    chrome.runtime.sendMessage({
+      action: 'downloadZip',
+      data: { files: project.files, filename: SnatchLauncher.buildFilename(title, suffix, extractMode, 'zip') }
+    }, (response) => {
+      if (response?.success) {
+        const { assets: saved, skipped } = project.report;
+        showSuccess(`ZIP сохранён! 🗜️ (ассетов ${saved.length}, пропущено ${skipped.length})`);
+      } else {
+        showError(response?.error || "Ошибка скачивания");
+      }
+    });
   } else {
+    // Source map правил скачивается рядом с файлом (опция popup или SnatcherConfig.provenance.sourceMap)
+    if (sourceMap) {
+      chrome.runtime.sendMessage({ action: 'download', data: SnatchLauncher.buildSourceMapDownload(sourceMap, filename) });
+    }
     chrome.runtime.sendMessage({
       action: 'download',
       data: { content, filename }
     }, (response) => {
       if (response?.success) {
-        const msg = extractMode === 'smart'
-          ? "Smart Extract сохранён! ✨"
-          : (extractMode === 'styled' ? "Файл со стилями сохранён! 🎨" : "Файл сохранён! 💾");
-        showSuccess(msg);
+        showSuccess(messages.saved + assetsNote);
       } else {
         showError(response?.error || "Ошибка скачивания");
       }
@@ -320,90 +337,3 @@ function showError(msg) {
   status.textContent = "Ошибка: " + msg;
   status.style.color = "#f87171";
 }
-
-// ============================================
-// ФУНКЦИИ-ИНЖЕКТОРЫ (выполняются на странице)
-// ============================================
-
-function extractIframeContent() {
-  function getFullHTML(doc) {
-    const doctype = doc.doctype
-      ? new XMLSerializer().serializeToString(doc.doctype)
-      : "<!DOCTYPE html>";
-    return doctype + "\n" + doc.documentElement.outerHTML;
-  }
-
-  const iframes = Array.from(document.querySelectorAll('iframe'));
-
-  // Приоритет: srcdoc iframe
-  const srcdocIframe = iframes.find(i => i.srcdoc);
-  if (srcdocIframe) {
-    return {
-      html: srcdocIframe.srcdoc,
-      title: document.title,
-      found: true
-    };
-  }
-
-  // Fallback: same-origin iframe с контентом
-  const accessibleIframe = iframes.find(i => {
-    try { return i.contentDocument?.documentElement; }
-    catch (e) { return false; }
-  });
-
-  if (accessibleIframe) {
-    return {
-      html: getFullHTML(accessibleIframe.contentDocument),
-      title: document.title,
-      found: true
-    };
-  }
-
-  return { html: null, title: null, found: false };
-}
-
-async function extractPageContent(mode, smartSettings = {}) {
-  function getFullHTML(doc) {
-    const doctype = doc.doctype
-      ? new XMLSerializer().serializeToString(doc.doctype)
-      : "<!DOCTYPE html>";
-    return doctype + "\n" + doc.documentElement.outerHTML;
-  }
-
-  let html;
-  let ext = 'html';
-
-  // Smart Extract mode
-  if (mode === 'smart' && window.__NINJA_SNATCH__?.SmartExtract) {
-    try {
-      const SmartExtract = window.__NINJA_SNATCH__.SmartExtract;
-      const result = await SmartExtract.process(document.body, {
-        enableAI: smartSettings.enableAI || false,
-        apiKey: smartSettings.apiKey || null
-      });
-
-      html = result.code;
-      ext = 'html'; // Smart Extract v2 always outputs HTML
-
-      console.log('[SmartExtract] Page extraction complete:', result.metadata);
-    } catch (err) {
-      console.error('[SmartExtract] Error:', err);
-      // Fallback to clean HTML
-      html = getFullHTML(document);
-    }
-  } else if (mode === 'styled' && window.StyleInjector) {
-    html = window.StyleInjector.createStyledDocument(document.documentElement, document.title);
-  } else {
-    // Raw HTML - тоже форматируем if prettifier available
-    const rawHTML = getFullHTML(document);
-    html = window.StyleInjector?.prettifyHTML
-      ? window.StyleInjector.prettifyHTML(rawHTML)
-      : rawHTML;
-  }
-
-  return {
-    html,
-    title: document.title,
-    ext
-  };
-}
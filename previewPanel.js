@@ -0,0 +1,283 @@
+/**
+ * Ninja-Snatch Preview Panel
+ * Показывает результат snatch до копирования/скачивания
+ *
+ * - Изолирован в собственном shadow root: CSS страницы не протекает внутрь
+ * - Рендерит экспорт в sandboxed iframe (без allow-same-origin)
+ * - Вкладки кода HTML / CSS / JSX, переключение режима извлечения
+ */
+
+// Initialize namespace
+window.__NINJA_SNATCH__ = window.__NINJA_SNATCH__ || {};
+
+// Guard against multiple injections
+if (typeof window.__NINJA_SNATCH__.PreviewPanel === 'undefined') {
+
+    const MODES = [
+        { value: 'clean', label: 'Clean' },
+        { value: 'styled', label: 'Styled' },
+        { value: 'scoped', label: 'Scoped' },
+        { value: 'computed', label: 'Computed' },
+        { value: 'compact', label: 'Compact' },
+        { value: 'smart', label: 'Smart ✨' }
+    ];
+
+    const TABS = [
+        { value: 'html', label: 'HTML' },
+        { value: 'css', label: 'CSS' },
+        { value: 'jsx', label: 'JSX' }
+    ];
+
+    const PANEL_CSS = `
+:host { all: initial; }
+.panel {
+    position: fixed; inset: 24px; z-index: 2147483647;
+    display: flex; flex-direction: column;
+    background: #0f172a; color: #e2e8f0;
+    font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Inter', sans-serif;
+    border: 1px solid #334155; border-radius: 12px;
+    box-shadow: 0 24px 60px rgba(0, 0, 0, 0.5);
+    overflow: hidden;
+}
+.toolbar { display: flex; align-items: center; gap: 8px; padding: 10px 12px; border-bottom: 1px solid #334155; }
+.toolbar .title { font-weight: 700; margin-right: auto; }
+.group { display: flex; gap: 4px; }
+button {
+    font: inherit; color: inherit; cursor: pointer;
+    background: #1e293b; border: 1px solid #334155; border-radius: 6px; padding: 4px 10px;
+}
+button:hover:not(:disabled) { border-color: #6366f1; }
+button:disabled { opacity: 0.4; cursor: not-allowed; }
+button.active { background: #6366f1; border-color: #6366f1; color: #fff; }
+button.primary { background: #10b981; border-color: #10b981; color: #fff; }
+.body { flex: 1; display: flex; min-height: 0; }
+.preview, .code { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+.preview { border-right: 1px solid #334155; background: #fff; }
+iframe { flex: 1; width: 100%; border: 0; background: #fff; }
+.tabs { padding: 8px 12px; border-bottom: 1px solid #334155; }
+pre {
+    flex: 1; margin: 0; padding: 12px; overflow: auto;
+    font: 12px/1.5 'JetBrains Mono', Menlo, Consolas, monospace;
+    white-space: pre-wrap; word-break: break-all;
+}
+.status { padding: 8px 12px; border-top: 1px solid #334155; color: #94a3b8; min-height: 18px; }
+`;
+
+    /**
+     * Preview panel instance
+     * Only one panel is open at a time
+     */
+    class PreviewPanel {
+        /**
+         * @param {Object} options
+         * @param {string} options.mode - Initial extract mode
+         * @param {boolean} options.smartAvailable - SmartExtract is loaded on the page
+         * @param {function(string): Promise<Object>} options.render - Renders the export for a mode
+         * @param {function(string, Object): Promise<void>} options.onCopy - Copies text (active tab)
+         * @param {function(Object): void} options.onDownload - Downloads the full document
+         */
+        constructor({ mode, smartAvailable, render, onCopy, onDownload }) {
+            this.mode = mode === 'llm' ? 'compact' : mode;
+            this.tab = 'html';
+            this.result = null;
+            this.smartAvailable = smartAvailable;
+            this.render = render;
+            this.onCopy = onCopy;
+            this.onDownload = onDownload;
+            this.boundKeyDown = this.onKeyDown.bind(this);
+
+            this.host = document.createElement('snatcher-preview');
+            this.root = this.host.attachShadow({ mode: 'open' });
+            this.build();
+
+            document.documentElement.appendChild(this.host);
+            document.addEventListener('keydown', this.boundKeyDown, true);
+            this.setMode(this.mode);
+        }
+
+        /**
+         * Opens a panel, closing the previous one
+         * @param {Object} options - See constructor
+         * @returns {PreviewPanel}
+         */
+        static open(options) {
+            window.__NINJA_SNATCH__.previewInstance?.close();
+            const panel = new PreviewPanel(options);
+            window.__NINJA_SNATCH__.previewInstance = panel;
+            return panel;
+        }
+
+        build() {
+            const style = document.createElement('style');
+            style.textContent = PANEL_CSS;
+
+            const panel = document.createElement('div');
+            panel.className = 'panel';
+
+            // Toolbar: modes + actions
+            const toolbar = document.createElement('div');
+            toolbar.className = 'toolbar';
+            const title = document.createElement('span');
+            title.className = 'title';
+            title.textContent = '🥷 Preview';
+            toolbar.appendChild(title);
+
+            this.modeButtons = this.createButtonGroup(toolbar, MODES, value => this.setMode(value));
+            if (!this.smartAvailable) {
+                this.modeButtons.smart.disabled = true;
+                this.modeButtons.smart.title = 'Smart Extract не загружен';
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'group';
+            this.copyBtn = this.createButton(actions, 'Скопировать', () => this.copy(), 'primary');
+            this.downloadBtn = this.createButton(actions, 'Скачать', () => this.download());
+            this.createButton(actions, '✕', () => this.close());
+            toolbar.appendChild(actions);
+
+            // Body: sandboxed render + code tabs
+            const body = document.createElement('div');
+            body.className = 'body';
+
+            const preview = document.createElement('div');
+            preview.className = 'preview';
+            this.iframe = document.createElement('iframe');
+            this.iframe.setAttribute('sandbox', 'allow-scripts');
+            this.iframe.setAttribute('referrerpolicy', 'no-referrer');
+            preview.appendChild(this.iframe);
+
+            const code = document.createElement('div');
+            code.className = 'code';
+            const tabs = document.createElement('div');
+            tabs.className = 'tabs';
+            this.tabButtons = this.createButtonGroup(tabs, TABS, value => this.setTab(value));
+            this.codeView = document.createElement('pre');
+            code.append(tabs, this.codeView);
+
+            body.append(preview, code);
+
+            this.status = document.createElement('div');
+            this.status.className = 'status';
+
+            panel.append(toolbar, body, this.status);
+            this.root.append(style, panel);
+        }
+
+        createButton(parent, text, onClick, className = '') {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = text;
+            if (className) btn.className = className;
+            btn.addEventListener('click', onClick);
+            parent.appendChild(btn);
+            return btn;
+        }
+
+        createButtonGroup(parent, items, onSelect) {
+            const group = document.createElement('div');
+            group.className = 'group';
+            const buttons = {};
+            for (const { value, label } of items) {
+                buttons[value] = this.createButton(group, label, () => onSelect(value));
+            }
+            parent.appendChild(group);
+            return buttons;
+        }
+
+        /**
+         * Re-renders the export in another extract mode
+         * @param {string} mode
+         */
+        async setMode(mode) {
+            this.mode = mode;
+            Object.entries(this.modeButtons).forEach(([value, btn]) => btn.classList.toggle('active', value === mode));
+            this.setBusy(true, 'Рендеринг...');
+
+            try {
+                const result = await this.render(mode);
+                // Ignore stale renders when the mode was switched meanwhile
+                if (this.mode !== mode) return;
+                this.result = result;
+                this.iframe.srcdoc = result.jsx ? this.jsxPlaceholder() : result.fullDoc;
+                this.setTab(result.jsx ? 'jsx' : this.tab === 'jsx' ? 'html' : this.tab);
+                this.setBusy(false, `${(result.fullDoc.length / 1024).toFixed(1)} KB`);
+            } catch (err) {
+                console.error('[Snatcher] Preview render error:', err);
+                this.setBusy(false, 'Ошибка: ' + err.message);
+            }
+        }
+
+        /**
+         * @param {string} tab - html | css | jsx
+         */
+        setTab(tab) {
+            this.tab = tab;
+            Object.entries(this.tabButtons).forEach(([value, btn]) => btn.classList.toggle('active', value === tab));
+            this.codeView.textContent = this.getTabContent() || this.getEmptyHint();
+        }
+
+        getTabContent() {
+            if (!this.result) return '';
+            if (this.tab === 'css') return this.result.css;
+            if (this.tab === 'jsx') return this.result.jsx || '';
+            return this.result.html;
+        }
+
+        getEmptyHint() {
+            if (this.tab === 'jsx') return '// JSX доступен в режиме Smart Extract (React + Tailwind)';
+            if (this.tab === 'css') return '/* В этом режиме нет <style> блоков */';
+            return '';
+        }
+
+        jsxPlaceholder() {
+            return '<!DOCTYPE html><html><body style="font-family:sans-serif;color:#64748b;padding:24px">' +
+                'JSX нельзя отрендерить напрямую — см. вкладку JSX</body></html>';
+        }
+
+        setBusy(busy, message) {
+            this.copyBtn.disabled = busy;
+            this.downloadBtn.disabled = busy;
+            this.status.textContent = message || '';
+        }
+
+        async copy() {
+            const text = this.getTabContent();
+            if (!text) return;
+            try {
+                await this.onCopy(text, this.result);
+                this.close();
+            } catch (err) {
+                this.status.textContent = 'Ошибка буфера обмена: ' + err.message;
+            }
+        }
+
+        download() {
+            if (!this.result) return;
+            this.onDownload(this.result);
+            this.close();
+        }
+
+        onKeyDown(e) {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        }
+
+        close() {
+            try {
+                document.removeEventListener('keydown', this.boundKeyDown, true);
+                this.host.remove();
+                if (window.__NINJA_SNATCH__.previewInstance === this) {
+                    window.__NINJA_SNATCH__.previewInstance = null;
+                }
+            } catch (err) {
+                console.error('[Snatcher] Preview close error:', err);
+            }
+        }
+    }
+
+    // Export to namespace
+    window.__NINJA_SNATCH__.PreviewPanel = PreviewPanel;
+
+} // end guard
@@ -1,10 +1,15 @@
 (function () {
     // Use namespace for guard
     window.__NINJA_SNATCH__ = window.__NINJA_SNATCH__ || {};
-    if (window.__NINJA_SNATCH__.snatcherInstance) return;
+    // Контекстное меню (pendingSnatchTarget) работает и при активном Sniper
+    if (window.__NINJA_SNATCH__.snatcherInstance && !window.__NINJA_SNATCH__.pendingSnatchTarget) return;
 
     class SniperSelector {
-        constructor() {
+        /**
+         * @param {Object} [options]
+         * @param {boolean} [options.interactive=true] - false: без overlay и слушателей, только snatch()
+         */
+        constructor({ interactive = true } = {}) {
             this.overlay = document.createElement('div');
             this.overlay.className = 'snatcher-overlay';
             this.label = document.createElement('div');
@@ -12,21 +17,57 @@
             this.overlay.appendChild(this.label);
 
             this.hoveredElement = null;
+            // Keyboard navigation: ignore mousemove over the same target until the pointer moves on
+            this.pointerTarget = null;
+            this.navLockTarget = null;
+            this.labelFor = null;
+            this.ruleCounts = new WeakMap();
+            // Document whose CSS StyleInjector currently holds (top page or a same-origin iframe)
+            this.cssDocument = null;
+            // Top document + same-origin iframe documents that receive Sniper listeners
+            this.documents = [document];
+            // Multi-selection: [{ element, overlay }] in selection order
+            this.selected = [];
+            // Alt+click exclusions: [{ element, overlay }]
+            this.excluded = [];
+            // Rectangle drag selection
+            this.dragStart = null;
+            this.marquee = null;
+            this.suppressClick = false;
+            this.boundMouseDown = this.onMouseDown.bind(this);
+            this.boundMouseUp = this.onMouseUp.bind(this);
             this.boundMouseMove = this.onMouseMove.bind(this);
+            this.boundDragStart = this.onDragStart.bind(this);
             this.boundClick = this.onClick.bind(this);
             this.boundKeyDown = this.onKeyDown.bind(this);
+            this.boundReposition = this.updatePosition.bind(this);
+
+            if (interactive) this.init();
+        }
 
-            this.init();
+        /**
+         * Snatch одного элемента без интерактивного выбора (контекстное меню)
+         * @param {HTMLElement} el
+         * @param {string|null} [extractMode] - Режим подменю; настройки активного Sniper не трогаются
+         */
+        static snatchElement(el, extractMode = null) {
+            return new SniperSelector({ interactive: false }).snatch(el, extractMode);
         }
 
         init() {
             try {
                 document.body.appendChild(this.overlay);
-                document.addEventListener('mousemove', this.boundMouseMove, true);
-                document.addEventListener('scroll', () => this.updatePosition(), true);
-                document.addEventListener('click', this.boundClick, true);
-                document.addEventListener('keydown', this.boundKeyDown, true);
+                // Same-origin iframes don't bubble events to the top document
+                const frameDocs = window.__NINJA_SNATCH__.SnatcherUtils?.getFrameDocuments?.() || [];
+                this.documents = [document, ...frameDocs];
+                this.documents.forEach(doc => this.listen(doc, 'addEventListener'));
+                window.addEventListener('resize', this.boundReposition);
                 document.body.style.cursor = 'crosshair';
+                // CSS is collected once so the label can show matched-rule counts
+                window.StyleInjector?.init?.();
+                this.cssDocument = document;
+                this.prefetchStylesheets();
+                window.__NINJA_SNATCH__.snatcherInstance = this;
                 window.snatcherInstance = this;
             } catch (err) {
                 this.showToast('Ошибка инициализации: ' + err.message, 'error');
@@ -34,95 +75,607 @@
             }
         }
 
+        /**
+         * Warms the cross-origin stylesheet cache while the user is picking,
+         * then refreshes rule counts with the fetched CSS
+         */
+        async prefetchStylesheets() {
+            try {
+                const fetched = await window.StyleInjector?.fetchExternalStylesheets?.();
+                if (!fetched) return;
+                window.StyleInjector.init();
+                this.cssDocument = document;
+                this.ruleCounts = new WeakMap();
+                this.labelFor = null;
+            } catch (err) {
+                console.warn('[Snatcher] Stylesheet prefetch error:', err);
+            }
+        }
+
+        /**
+         * Adds or removes Sniper listeners on a document
+         * @param {Document} doc
+         * @param {'addEventListener'|'removeEventListener'} method
+         */
+        listen(doc, method) {
+            try {
+                doc[method]('mousemove', this.boundMouseMove, true);
+                doc[method]('mousedown', this.boundMouseDown, true);
+                doc[method]('mouseup', this.boundMouseUp, true);
+                doc[method]('dragstart', this.boundDragStart, true);
+                doc[method]('scroll', this.boundReposition, true);
+                doc[method]('click', this.boundClick, true);
+                doc[method]('keydown', this.boundKeyDown, true);
+            } catch (err) {
+                console.warn('[Snatcher] Frame listener error:', err);
+            }
+        }
+
+        /**
+         * Real element under the pointer: e.target is retargeted to the shadow host,
+         * the composed path starts at the innermost node of open shadow roots
+         * @param {Event} e
+         * @returns {Element}
+         */
+        getEventTarget(e) {
+            const path = e.composedPath ? e.composedPath() : [];
+            return path.find(node => node.nodeType === Node.ELEMENT_NODE) || e.target;
+        }
+
+        onMouseDown(e) {
+            // Drag that ended without a click (mouseup on another element) must not swallow this one
+            this.suppressClick = false;
+            if (e.button !== 0 || this.label.contains(e.target)) return;
+            // Drag-рамка только в верхнем документе: координаты iframe в другой системе
+            if (this.getEventTarget(e).ownerDocument !== document) return;
+            this.dragStart = { x: e.clientX, y: e.clientY };
+        }
+
+        /**
+         * Native drag of images and links would take over the marquee
+         * @param {DragEvent} e
+         */
+        onDragStart(e) {
+            if (this.dragStart) e.preventDefault();
+        }
+
+        onMouseUp(e) {
+            if (!this.dragStart) return;
+            const rect = this.marquee ? this.getDragRect(e) : null;
+            this.dragStart = null;
+            if (!rect) return;
+
+            this.marquee.remove();
+            this.marquee = null;
+            this.suppressClick = true;
+            this.selectArea(rect, e.shiftKey);
+        }
+
+        /**
+         * Viewport rectangle between the drag start and the pointer
+         * @param {MouseEvent} e
+         */
+        getDragRect(e) {
+            const { x, y } = this.dragStart;
+            return {
+                left: Math.min(x, e.clientX),
+                top: Math.min(y, e.clientY),
+                right: Math.max(x, e.clientX),
+                bottom: Math.max(y, e.clientY)
+            };
+        }
+
+        /**
+         * Draws the marquee while dragging; returns true once a drag is in progress
+         * @param {MouseEvent} e
+         * @returns {boolean}
+         */
+        updateDrag(e) {
+            if (!this.dragStart) return false;
+            // mouseup happened outside the document (e.g. over an iframe)
+            if (!(e.buttons & 1)) {
+                this.dragStart = null;
+                this.marquee?.remove();
+                this.marquee = null;
+                return false;
+            }
+            const rect = this.getDragRect(e);
+            if (!this.marquee && rect.right - rect.left < 5 && rect.bottom - rect.top < 5) return false;
+
+            // Past the threshold this is a marquee, not a text selection or native drag:
+            // a plain click keeps the page's own mousedown behaviour (focus, selection start)
+            e.preventDefault();
+            if (!this.marquee) {
+                window.getSelection?.()?.removeAllRanges();
+                this.marquee = document.createElement('div');
+                this.marquee.className = 'snatcher-marquee';
+                document.body.appendChild(this.marquee);
+                this.overlay.style.display = 'none';
+            }
+            Object.assign(this.marquee.style, {
+                left: `${rect.left}px`,
+                top: `${rect.top}px`,
+                width: `${rect.right - rect.left}px`,
+                height: `${rect.bottom - rect.top}px`
+            });
+            return true;
+        }
+
+        /**
+         * Resolves a dragged area: the lowest common ancestor of every intersected element
+         * goes to the selection; with Shift only its intersected children do
+         * @param {{left: number, top: number, right: number, bottom: number}} rect
+         * @param {boolean} childrenOnly
+         */
+        selectArea(rect, childrenOnly) {
+            const utils = window.__NINJA_SNATCH__?.SnatcherUtils;
+            if (!utils) return;
+
+            const hits = utils.collectIntersecting(document.body, rect, el => this.isIgnored(el));
+            let ancestor = utils.findCommonAncestor(hits);
+            if (!ancestor) {
+                ancestor = document.elementFromPoint((rect.left + rect.right) / 2, (rect.top + rect.bottom) / 2);
+            }
+            if (!ancestor) return;
+
+            // Общий предок = body: выделяем пересечённые секции, а не всю страницу
+            if (childrenOnly || this.isIgnored(ancestor)) {
+                Array.from(ancestor.children)
+                    .filter(child => !this.isIgnored(child) && hits.some(hit => child.contains(hit)))
+                    .forEach(child => this.addToSelection(child));
+            } else {
+                this.addToSelection(ancestor);
+            }
+
+            this.updatePosition();
+            if (this.selected.length) {
+                this.showToast(`Выбрано: ${this.selected.length} · Enter — экспорт`, 'success');
+            }
+        }
+
         onMouseMove(e) {
-            const el = e.target;
-            if (el === this.overlay || el === this.label) return;
+            if (this.updateDrag(e)) return;
+
+            const el = this.getEventTarget(e);
+            if (this.isIgnored(el)) return;
+
+            this.pointerTarget = el;
+            if (this.navLockTarget === el) return;
+            this.navLockTarget = null;
 
             this.hoveredElement = el;
             this.updatePosition();
         }
 
-        updatePosition() {
-            if (!this.hoveredElement) return;
+        /**
+         * Moves the highlight to a related element (keyboard navigation / breadcrumb)
+         * @param {HTMLElement|null} el
+         */
+        moveTo(el) {
+            if (!el || this.isIgnored(el)) return;
+            this.hoveredElement = el;
+            this.navLockTarget = this.pointerTarget;
+            this.updatePosition();
+        }
 
-            try {
-                const rect = this.hoveredElement.getBoundingClientRect();
+        /**
+         * Page roots and the Sniper's own UI are never selectable
+         * @param {Element} el
+         * @returns {boolean}
+         */
+        isIgnored(el) {
+            const doc = el.ownerDocument;
+            return el === doc?.body ||
+                el === doc?.documentElement ||
+                !!el.closest?.('.snatcher-overlay, .snatcher-toast, .snatcher-marquee');
+        }
+
+        /**
+         * Parent for navigation: steps out of shadow roots to the host
+         * and out of same-origin iframes to the <iframe> element
+         * @param {Element} el
+         * @returns {Element|null}
+         */
+        parentOf(el) {
+            const parent = el.parentElement;
+            if (parent && !this.isIgnored(parent)) return parent;
+            if (!parent) {
+                const root = el.getRootNode();
+                if (root.host) return root.host;
+            }
+            return el.ownerDocument.defaultView?.frameElement || parent;
+        }
+
+        /**
+         * First selectable child for navigation: enters open shadow roots and same-origin iframes
+         * @param {Element} el
+         * @returns {Element|null}
+         */
+        firstChildOf(el) {
+            let children = el.shadowRoot ? el.shadowRoot.children : el.children;
+            if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+                try {
+                    children = el.contentDocument?.body?.children || children;
+                } catch (e) {
+                    // cross-origin frame
+                }
+            }
+            return Array.from(children).find(child => !this.isIgnored(child)) || null;
+        }
 
-                const top = rect.top + window.pageYOffset;
-                const left = rect.left + window.pageXOffset;
+        /**
+         * Nearest element sibling in the given direction that is not Sniper UI
+         * @param {HTMLElement} el
+         * @param {'previousElementSibling'|'nextElementSibling'} direction
+         * @returns {HTMLElement|null}
+         */
+        siblingOf(el, direction) {
+            let sibling = el[direction];
+            while (sibling && this.isIgnored(sibling)) sibling = sibling[direction];
+            return sibling;
+        }
 
-                this.overlay.style.width = `${rect.width}px`;
-                this.overlay.style.height = `${rect.height}px`;
-                this.overlay.style.top = `${top}px`;
-                this.overlay.style.left = `${left}px`;
-                this.overlay.style.display = 'block';
+        /**
+         * Short label for an element: tag + #id or first class
+         * @param {HTMLElement} el
+         * @returns {string}
+         */
+        describe(el) {
+            const tagName = el.tagName.toLowerCase();
+            if (el.id) return `${tagName}#${el.id}`;
+            const firstClass = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+            return firstClass ? `${tagName}.${firstClass}` : tagName;
+        }
 
-                const tagName = this.hoveredElement.tagName.toLowerCase();
-                const id = this.hoveredElement.id ? '#' + this.hoveredElement.id : '';
-                this.label.textContent = `${tagName}${id}`;
+        /**
+         * Rough number of CSS rules matching the element, cached per element
+         * @param {HTMLElement} el
+         * @returns {number|null}
+         */
+        getRuleCount(el) {
+            if (!window.StyleInjector?.countMatchingRules) return null;
+            if (!this.ruleCounts.has(el)) {
+                // Elements inside iframes are matched against the frame's own stylesheets
+                if (this.cssDocument !== el.ownerDocument) {
+                    window.StyleInjector.init?.(el);
+                    this.cssDocument = el.ownerDocument;
+                }
+                this.ruleCounts.set(el, window.StyleInjector.countMatchingRules(el));
+            }
+            return this.ruleCounts.get(el);
+        }
+
+        /**
+         * Rebuilds the label: clickable ancestor breadcrumb, size and matched-rule count
+         * @param {HTMLElement} el
+         */
+        renderLabel(el) {
+            const ancestors = [];
+            for (let node = this.parentOf(el); node && !this.isIgnored(node) && ancestors.length < 4; node = this.parentOf(node)) {
+                ancestors.unshift(node);
+            }
+
+            this.label.textContent = '';
+            [...ancestors, el].forEach((node, i) => {
+                if (i > 0) this.label.appendChild(document.createTextNode(' › '));
+                const crumb = document.createElement('span');
+                crumb.className = node === el ? 'snatcher-crumb snatcher-crumb-current' : 'snatcher-crumb';
+                crumb.textContent = this.describe(node);
+                crumb.snatcherTarget = node;
+                this.label.appendChild(crumb);
+            });
+
+            const rect = el.getBoundingClientRect();
+            const ruleCount = this.getRuleCount(el);
+            const meta = document.createElement('span');
+            meta.className = 'snatcher-meta';
+            meta.textContent = ` · ${Math.round(rect.width)}×${Math.round(rect.height)}` +
+                (ruleCount !== null ? ` · ~${ruleCount} rules` : '');
+            this.label.appendChild(meta);
+            this.labelFor = el;
+        }
+
+        /**
+         * Positions an overlay over an element (document coordinates)
+         * @param {HTMLElement} overlay
+         * @param {HTMLElement} el
+         */
+        placeOverlay(overlay, el) {
+            const utils = window.__NINJA_SNATCH__?.SnatcherUtils;
+            const rect = utils?.getTopLevelRect ? utils.getTopLevelRect(el) : el.getBoundingClientRect();
+
+            overlay.style.width = `${rect.width}px`;
+            overlay.style.height = `${rect.height}px`;
+            overlay.style.top = `${rect.top + window.pageYOffset}px`;
+            overlay.style.left = `${rect.left + window.pageXOffset}px`;
+            overlay.style.display = 'block';
+        }
+
+        updatePosition() {
+            try {
+                [...this.selected, ...this.excluded].forEach(({ element, overlay }) => this.placeOverlay(overlay, element));
+            } catch (err) {
+                console.error('[Snatcher] Selection update error:', err);
+            }
+
+            if (!this.hoveredElement) return;
+
+            try {
+                this.placeOverlay(this.overlay, this.hoveredElement);
+                if (this.labelFor !== this.hoveredElement) this.renderLabel(this.hoveredElement);
             } catch (err) {
                 console.error('[Snatcher] Position update error:', err);
             }
         }
 
         onKeyDown(e) {
-            if (e.key === 'Escape') this.destroy();
+            const navigation = {
+                ArrowUp: el => this.parentOf(el),
+                ArrowDown: el => this.firstChildOf(el),
+                ArrowLeft: el => this.siblingOf(el, 'previousElementSibling'),
+                ArrowRight: el => this.siblingOf(el, 'nextElementSibling')
+            };
+
+            if (e.key === 'Escape') {
+                this.destroy();
+            } else if (navigation[e.key] && this.hoveredElement) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.moveTo(navigation[e.key](this.hoveredElement));
+            } else if (e.key === 'Enter' && this.selected.length) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.snatch(this.getSelection());
+                this.destroy();
+            }
         }
 
         onClick(e) {
             e.preventDefault();
             e.stopPropagation();
 
-            if (this.hoveredElement) {
+            // Click после drag-выделения не должен делать snatch
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+
+            // Клик по breadcrumb выбирает предка, а не snatch
+            if (this.label.contains(e.target)) {
+                const crumb = e.target.closest('.snatcher-crumb');
+                if (crumb?.snatcherTarget) this.moveTo(crumb.snatcherTarget);
+                return;
+            }
+
+            // Alt+click исключает потомка выбранного элемента из экспорта
+            if (e.altKey) {
+                if (this.hoveredElement) this.toggleExclusion(this.hoveredElement);
+                return;
+            }
+
+            // Shift+click собирает набор элементов, Enter экспортирует его целиком
+            if (e.shiftKey) {
+                if (this.hoveredElement) this.toggleSelection(this.hoveredElement);
+                return;
+            }
+
+            if (this.selected.length) {
+                if (this.hoveredElement) this.addToSelection(this.hoveredElement);
+                this.snatch(this.getSelection());
+            } else if (this.hoveredElement) {
                 this.snatch(this.hoveredElement);
             }
 
+            // snatch() has captured what the preview panel needs; the capture-phase listeners
+            // must be gone before the panel takes clicks
             this.destroy();
         }
 
-        async snatch(el) {
+        /**
+         * Adds an element to the selection or removes it if already selected
+         * @param {HTMLElement} el
+         */
+        toggleSelection(el) {
+            const index = this.selected.findIndex(s => s.element === el);
+            if (index !== -1) {
+                this.selected[index].overlay.remove();
+                this.selected.splice(index, 1);
+                this.renumberSelection();
+                return;
+            }
+            this.addToSelection(el);
+        }
+
+        /**
+         * Adds an element to the selection, keeping the set free of nested duplicates:
+         * an element inside a selected one is ignored, selected descendants are replaced
+         * @param {HTMLElement} el
+         */
+        addToSelection(el) {
+            if (this.selected.some(s => s.element === el || s.element.contains(el))) return;
+
+            this.selected = this.selected.filter(s => {
+                if (!el.contains(s.element)) return true;
+                s.overlay.remove();
+                return false;
+            });
+
+            const overlay = document.createElement('div');
+            overlay.className = 'snatcher-overlay snatcher-selected';
+            overlay.appendChild(document.createElement('div')).className = 'snatcher-label';
+            document.body.appendChild(overlay);
+            this.placeOverlay(overlay, el);
+
+            this.selected.push({ element: el, overlay });
+            this.renumberSelection();
+        }
+
+        /**
+         * Marks an element as excluded (striped overlay) or unmarks it
+         * Only descendants of the current selection can be excluded
+         * @param {HTMLElement} el
+         */
+        toggleExclusion(el) {
+            const index = this.excluded.findIndex(x => x.element === el);
+            if (index !== -1) {
+                this.excluded[index].overlay.remove();
+                this.excluded.splice(index, 1);
+            } else {
+                if (this.selected.length && !this.selected.some(s => s.element !== el && s.element.contains(el))) {
+                    this.showToast('Исключать можно только потомков выбранных элементов', 'error');
+                    return;
+                }
+                this.addExclusion(el);
+            }
+            this.saveExclusions();
+        }
+
+        addExclusion(el) {
+            const overlay = document.createElement('div');
+            overlay.className = 'snatcher-overlay snatcher-excluded';
+            document.body.appendChild(overlay);
+            this.placeOverlay(overlay, el);
+            this.excluded.push({ element: el, overlay });
+        }
+
+        /**
+         * Exclusions are kept as selector paths in the namespace while this Sniper is active,
+         * so the full-page capture (extractPageContent) can apply them too. Elements inside
+         * shadow roots or frames have no document selector path and are left out
+         */
+        saveExclusions() {
+            const utils = window.__NINJA_SNATCH__?.SnatcherUtils;
+            if (!utils?.getSelectorPath) return;
+            window.__NINJA_SNATCH__.snatcherExclusions = this.excluded
+                .filter(x => x.element.getRootNode() === document)
+                .map(x => utils.getSelectorPath(x.element));
+        }
+
+        /**
+         * @returns {HTMLElement[]} Elements excluded from the export
+         */
+        getExclusions() {
+            return this.excluded.map(x => x.element);
+        }
+
+        renumberSelection() {
+            this.selected.forEach(({ element, overlay }, i) => {
+                overlay.firstChild.textContent = `${i + 1}. ${element.tagName.toLowerCase()}`;
+            });
+        }
+
+        /**
+         * Selected elements in document order
+         * @returns {HTMLElement[]}
+         */
+        getSelection() {
+            return this.selected
+                .map(s => s.element)
+                .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        }
+
+        /**
+         * Snatches a single element or a selection set as one export
+         * With preview enabled the result is shown in PreviewPanel before copy/download.
+         * Elements and exclusions are captured up front: callers destroy() the Sniper right
+         * after, and the panel keeps rendering from this snapshot
+         * @param {HTMLElement|HTMLElement[]} target
+         * @param {string|null} [modeOverride] - Extract mode for this snatch only (defaults to the popup setting)
+         */
+        async snatch(target, modeOverride = null) {
+            const elements = Array.isArray(target) ? target : [target];
+            const exclude = this.getExclusions();
             const outputMode = window.__NINJA_SNATCH__?.snatcherMode || window.snatcherMode || 'copy';
-            const extractMode = window.__NINJA_SNATCH__?.snatcherExtractMode || window.snatcherExtractMode || 'clean';
-            const smartSettings = window.__NINJA_SNATCH__?.smartExtractSettings || {};
-            const useStyles = extractMode === 'styled';
-            const useCompact = extractMode === 'compact' || extractMode === 'llm';
-            const useSmart = extractMode === 'smart';
+            const extractMode = modeOverride || window.__NINJA_SNATCH__?.snatcherExtractMode || window.snatcherExtractMode || 'clean';
+            const PreviewPanel = window.__NINJA_SNATCH__?.PreviewPanel;
 
             // Debug logging
             console.log('[Snatcher] Mode detection:', {
                 outputMode,
                 extractMode,
-                useSmart,
+                preview: !!window.__NINJA_SNATCH__?.snatcherPreview,
                 smartExtractAvailable: !!window.__NINJA_SNATCH__?.SmartExtract,
-                smartSettings
+                smartSettings: window.__NINJA_SNATCH__?.smartExtractSettings || {}
             });
 
             try {
-                let html;
-                let fullDoc;
+                if (window.__NINJA_SNATCH__?.snatcherPreview && PreviewPanel) {
+                    PreviewPanel.open({
+                        mode: extractMode,
+                        smartAvailable: !!window.__NINJA_SNATCH__?.SmartExtract,
+                        render: mode => this.render(elements, mode, exclude),
+                        onCopy: async (text, result) => {
+                            await this.copy(text, result);
+                            this.record(result, elements);
+                        },
+                        onDownload: result => {
+                            this.download(result, elements);
+                            this.record(result, elements);
+                        }
+                    });
+                    return;
+                }
+
+                const result = await this.render(elements, extractMode, exclude);
+                if (outputMode === 'copy') {
+                    await this.copy(result.html, result);
+                } else {
+                    this.download(result, elements);
+                }
+                this.record(result, elements);
+            } catch (err) {
+                console.error('[Snatcher] Snatch error:', err);
+                this.showToast('Ошибка: ' + err.message, 'error');
+            }
+        }
+
+        /**
+         * Builds the export for the given extract mode
+         * Renderers: SmartExtract.process, createCompactExport, createStyledDocument, createScopedExport, createComputedExport, raw outerHTML
+         * @param {HTMLElement[]} elements
+         * @param {string} extractMode - clean | styled | scoped | computed | compact | smart
+         * @param {HTMLElement[]} [exclude] - Excluded descendants (defaults to the current Alt+click set)
+         * @returns {Promise<{html: string, fullDoc: string, css: string, jsx: string|null, ext: string, mode: string, format: string, modeSuffix: string, flags: Object, metadata: Object|null, optimization: Object|null, origins: Object|null, sourceMap: Array|null, assets: Object|null}>}
+         */
+        async render(elements, extractMode, exclude = this.getExclusions()) {
+            const el = elements[0];
+            const smartSettings = window.__NINJA_SNATCH__?.smartExtractSettings || {};
+            const useStyles = extractMode === 'styled';
+            const useScoped = extractMode === 'scoped';
+            const useComputed = extractMode === 'computed';
+            const useCompact = extractMode === 'compact' || extractMode === 'llm';
+            const useSmart = extractMode === 'smart';
+            const isReact = useSmart && (smartSettings.format || 'react-tailwind').includes('react');
+
+            let html;
+            let fullDoc;
+            let metadata = null;
+            let optimization = null;
+            let origins = null;
+            let sourceMap = null;
 
-                if (useSmart && window.__NINJA_SNATCH__?.SmartExtract) {
-                    // Smart Extract mode - use new pipeline
-                    const SmartExtract = window.__NINJA_SNATCH__.SmartExtract;
+            if (useSmart && window.__NINJA_SNATCH__?.SmartExtract) {
+                // Smart Extract mode - use new pipeline
+                const SmartExtract = window.__NINJA_SNATCH__.SmartExtract;
 
-                    this.showToast('Обработка Smart Extract...', 'success');
+                this.showToast('Обработка Smart Extract...', 'success');
 
-                    const result = await SmartExtract.process(el, {
+                const results = [];
+                for (const item of elements) {
+                    results.push(await SmartExtract.process(item, {
                         format: smartSettings.format || 'react-tailwind',
                         enableAI: smartSettings.enableAI || false,
                         apiKey: smartSettings.apiKey || null
-                    });
-
-                    html = result.code;
-
-                    // For download, wrap in appropriate document
-                    const isReact = (smartSettings.format || 'react-tailwind').includes('react');
-                    const ext = isReact ? 'jsx' : 'html';
+                    }));
+                }
+                metadata = results.length > 1 ? results.map(r => r.metadata) : results[0].metadata;
+                html = results.map(r => r.code).join('\n\n');
 
-                    if (isReact) {
-                        fullDoc = result.code;
-                    } else {
-                        fullDoc = `<!DOCTYPE html>
+                // For download, wrap in appropriate document
+                if (isReact) {
+                    fullDoc = html;
+                } else {
+                    fullDoc = `<!DOCTYPE html>
 <html>
 <head>
 <meta charset="UTF-8">
@@ -130,83 +683,241 @@
 <script src="https://cdn.tailwindcss.com"></script>
 </head>
 <body>
-${result.code}
+${html}
 </body>
 </html>`;
-                    }
-
-                    // Log metadata
-                    console.log('[SmartExtract] Extraction complete:', result.metadata);
+                }
 
-                } else if (useCompact && window.StyleInjector) {
-                    // Compact mode - clean output for Tailwind/Webflow
-                    html = window.StyleInjector.createCompactExport
-                        ? window.StyleInjector.createCompactExport(el)
-                        : window.StyleInjector.createLLMExport(el); // Fallback
-                    fullDoc = html;
-                } else if (useStyles && window.StyleInjector) {
-                    // Styled mode - full CSS included
-                    html = window.StyleInjector.injectStyles(el);
-                    fullDoc = window.StyleInjector.createStyledDocument(el, `Snatched: ${el.tagName}`);
+                // Log metadata
+                console.log('[SmartExtract] Extraction complete:', metadata);
+
+            } else if (useCompact && window.StyleInjector) {
+                // Compact mode - clean output for Tailwind/Webflow
+                html = window.StyleInjector.createCompactExport
+                    ? window.StyleInjector.createCompactExport(elements, { exclude })
+                    : window.StyleInjector.createLLMExport(el); // Fallback
+                fullDoc = html;
+            } else if (useStyles && window.StyleInjector) {
+                // Styled mode - full CSS included, collected once for the whole set
+                // Cross-origin stylesheets are fetched first so their rules can be matched,
+                // external SVG sprites so <use> icons can be copied into the export
+                await window.StyleInjector.fetchExternalStylesheets?.(elements);
+                await window.StyleInjector.fetchExternalSprites?.(elements);
+                html = window.StyleInjector.injectStyles(elements, { exclude });
+                fullDoc = window.StyleInjector.createStyledDocument(elements, `Snatched: ${el.tagName}`, { exclude });
+                optimization = window.StyleInjector.lastOptimization || null;
+                origins = window.StyleInjector.lastOrigins || null;
+                sourceMap = window.StyleInjector.lastSourceMap || null;
+            } else if (useScoped && window.StyleInjector?.createScopedExport) {
+                // Scoped mode - pasteable into another page without leaking styles
+                await window.StyleInjector.fetchExternalStylesheets?.(elements);
+                await window.StyleInjector.fetchExternalSprites?.(elements);
+                html = window.StyleInjector.createScopedExport(elements, { exclude });
+                fullDoc = window.StyleInjector.createScopedDocument(elements, `Snatched: ${el.tagName}`, { exclude });
+                optimization = window.StyleInjector.lastOptimization || null;
+                origins = window.StyleInjector.lastOrigins || null;
+                sourceMap = window.StyleInjector.lastSourceMap || null;
+            } else if (useComputed && window.StyleInjector?.createComputedExport) {
+                // Computed snapshot - styles read from getComputedStyle, no stylesheet access needed
+                await window.StyleInjector.fetchExternalSprites?.(elements);
+                html = window.StyleInjector.createComputedExport(elements, { exclude });
+                fullDoc = window.StyleInjector.createComputedDocument(elements, `Snatched: ${el.tagName}`, { exclude });
+            } else {
+                // Clean mode - raw HTML
+                const rawHTML = elements
+                    .map(item => (window.StyleInjector?.cloneExcluding ? window.StyleInjector.cloneExcluding(item, exclude) : item).outerHTML)
+                    .join('\n');
+                const rawDoc = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n<title>Snatched: ${el.tagName}</title>\n</head>\n<body>\n${rawHTML}\n</body>\n</html>`;
+
+                if (window.StyleInjector?.prettifyHTML) {
+                    html = window.StyleInjector.prettifyHTML(rawHTML);
+                    fullDoc = window.StyleInjector.prettifyHTML(rawDoc);
                 } else {
-                    // Clean mode - raw HTML
-                    const rawHTML = el.outerHTML;
-                    const rawDoc = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n<title>Snatched: ${el.tagName}</title>\n</head>\n<body>\n${rawHTML}\n</body>\n</html>`;
+                    html = rawHTML;
+                    fullDoc = rawDoc;
+                }
+            }
 
-                    if (window.StyleInjector?.prettifyHTML) {
-                        html = window.StyleInjector.prettifyHTML(rawHTML);
-                        fullDoc = window.StyleInjector.prettifyHTML(rawDoc);
-                    } else {
-                        html = rawHTML;
-                        fullDoc = rawDoc;
+            // CSS output option from the popup: raw | pretty | minify (clean mode and JSX stay untouched)
+            const cssFormat = window.__NINJA_SNATCH__?.snatcherCssFormat || 'raw';
+            if (extractMode !== 'clean' && !isReact && window.StyleInjector?.formatStyleBlocks) {
+                html = window.StyleInjector.formatStyleBlocks(html, cssFormat);
+                fullDoc = window.StyleInjector.formatStyleBlocks(fullDoc, cssFormat);
+            }
+
+            // Single-file option: assets inlined as data URIs (the second pass reuses the fetched cache)
+            let assets = null;
+            if (window.__NINJA_SNATCH__?.snatcherSingleFile && (useStyles || useScoped || useComputed) && window.StyleInjector?.inlineAssets) {
+                this.showToast('Встраиваем картинки и шрифты...', 'success');
+                // The report comment goes into the downloaded file only: the copied fragment stays clean markup
+                html = (await window.StyleInjector.inlineAssets(html, { reportComment: false })).html;
+                ({ html: fullDoc, report: assets } = await window.StyleInjector.inlineAssets(fullDoc));
+            }
+
+            const css = Array.from(fullDoc.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi))
+                .map(m => m[1].trim())
+                .filter(Boolean)
+                .join('\n\n');
+
+            return {
+                html,
+                fullDoc,
+                css,
+                jsx: isReact ? html : null,
+                ext: isReact ? 'jsx' : 'html',
+                mode: extractMode,
+                format: useSmart ? (smartSettings.format || 'react-tailwind') : 'html',
+                modeSuffix: useSmart ? '_smart' : (useCompact ? '_compact' : (useStyles ? '_styled' : (useScoped ? '_scoped' : (useComputed ? '_computed' : '')))),
+                flags: { useSmart, useCompact, useStyles, useScoped, useComputed },
+                metadata,
+                optimization,
+                origins,
+                sourceMap,
+                assets
+            };
+        }
+
+        /**
+         * Saves the snatch to the history library (background IndexedDB)
+         * @param {Object} result - render() result
+         * @param {HTMLElement[]} elements - exported elements
+         */
+        record(result, elements) {
+            if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+            const utils = window.__NINJA_SNATCH__?.SnatcherUtils;
+
+            try {
+                chrome.runtime.sendMessage({
+                    action: 'history:add',
+                    data: {
+                        url: location.href,
+                        title: document.title,
+                        selector: elements.map(el => (utils?.getSelectorPath ? utils.getSelectorPath(el) : el.tagName.toLowerCase())).join(', '),
+                        mode: result.mode,
+                        format: result.format,
+                        metadata: result.metadata,
+                        code: result.html,
+                        fullDoc: result.fullDoc
                     }
-                }
+                });
+            } catch (err) {
+                console.warn('[Snatcher] History error:', err);
+            }
+        }
 
-                if (outputMode === 'copy') {
-                    await navigator.clipboard.writeText(html);
-                    const msg = useSmart
-                        ? 'Smart Extract скопирован! ✨'
-                        : (useCompact ? 'Compact код скопирован! 📦' : (useStyles ? 'Код со стилями скопирован! 🎨' : 'Код скопирован в буфер! 📋'));
-                    this.showToast(msg, 'success');
-                } else {
-                    // Используем background script для скачивания
-                    const title = (el.tagName + '_' + (el.id || el.className || 'element')).substring(0, 30);
-                    const modeSuffix = useSmart ? '_smart' : (useCompact ? '_compact' : (useStyles ? '_styled' : ''));
-                    const ext = useSmart && (smartSettings.format || '').includes('react') ? 'jsx' : 'html';
-                    const filename = title.replace(/[^a-z0-9]/gi, '_') + modeSuffix + '.' + ext;
-
-                    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
-                        chrome.runtime.sendMessage({
-                            action: 'download',
-                            data: { content: fullDoc, filename }
-                        }, (response) => {
-                            if (response && response.success) {
-                                const msg = useSmart
-                                    ? 'Smart Extract сохранён! ✨'
-                                    : (useCompact ? 'Compact файл сохранён! 📦' : (useStyles ? 'Файл со стилями сохранён! 🎨' : 'Файл сохранён! 💾'));
-                                this.showToast(msg, 'success');
-                            } else {
-                                // Fallback к прямому скачиванию
-                                this.downloadFallback(fullDoc, filename);
-                            }
-                        });
+        /**
+         * Copies text to clipboard with a mode-specific toast
+         * @param {string} text
+         * @param {Object} [result] - render() result, used for the toast message
+         */
+        async copy(text, result) {
+            const utils = window.__NINJA_SNATCH__?.SnatcherUtils;
+            await (utils?.copyText ? utils.copyText(text) : navigator.clipboard.writeText(text));
+            const { useSmart, useCompact, useStyles, useScoped, useComputed } = result?.flags || {};
+            const msg = useSmart
+                ? 'Smart Extract скопирован! ✨'
+                : (useCompact ? 'Compact код скопирован! 📦' : (useStyles || useScoped || useComputed ? 'Код со стилями скопирован! 🎨' : 'Код скопирован в буфер! 📋'));
+            const saved = result?.optimization?.saved;
+            const runtime = result?.origins?.matched?.runtime;
+            const details = [
+                saved > 0 ? `CSS −${(saved / 1024).toFixed(1)} KB` : '',
+                runtime > 0 ? `runtime-правил: ${runtime}` : '',
+                result?.assets ? `встроено ${result.assets.inlined.length}` : '',
+                result?.assets?.skipped.length ? `не встроено: ${result.assets.skipped.length}` : ''
+            ].filter(Boolean);
+            this.showToast([msg, ...details].join(' · '), 'success');
+        }
+
+        /**
+         * Saves render() result through the background script (Blob fallback)
+         * @param {Object} result - render() result
+         * @param {HTMLElement[]} elements - exported elements, used for the filename
+         */
+        download(result, elements) {
+            const el = elements[0];
+            const { useSmart, useCompact, useStyles, useScoped, useComputed } = result.flags;
+            const countSuffix = elements.length > 1 ? `_x${elements.length}` : '';
+            const title = (el.tagName + '_' + (el.id || el.className || 'element')).substring(0, 30);
+            const filename = title.replace(/[^a-z0-9]/gi, '_') + countSuffix + result.modeSuffix + '.' + result.ext;
+            const fullDoc = result.fullDoc;
+            this.downloadSourceMap(result, filename);
+
+            // ZIP download mode: a project with local assets (JSX results stay single files)
+            if (window.__NINJA_SNATCH__?.snatcherMode === 'zip' && result.ext === 'html' && window.StyleInjector?.createProjectFiles) {
+                this.downloadProject(result, filename.replace(/\.\w+$/, '.zip'))
+                    .catch(err => this.showToast('Ошибка ZIP: ' + err.message, 'error'));
+                return;
+            }
+
+            // Используем background script для скачивания
+            if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+                chrome.runtime.sendMessage({
+                    action: 'download',
+                    data: { content: fullDoc, filename }
+                }, (response) => {
+                    if (response && response.success) {
+                        const msg = useSmart
+                            ? 'Smart Extract сохранён! ✨'
+                            : (useCompact ? 'Compact файл сохранён! 📦' : (useStyles || useScoped || useComputed ? 'Файл со стилями сохранён! 🎨' : 'Файл сохранён! 💾'));
+                        this.showToast(msg, 'success');
                     } else {
-                        // Fallback если chrome.runtime недоступен
+                        // Fallback к прямому скачиванию
                         this.downloadFallback(fullDoc, filename);
                     }
+                });
+            } else {
+                // Fallback если chrome.runtime недоступен
+                this.downloadFallback(fullDoc, filename);
+            }
+        }
+
+        /**
+         * Downloads the export as a ZIP project: index.html, styles.css, scripts.js, assets/, manifest.json
+         * Assets are fetched here (page side), the archive is packed by the background worker
+         * @param {Object} result - render() result
+         * @param {string} filename - Name of the .zip
+         */
+        async downloadProject(result, filename) {
+            if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) throw new Error('chrome.runtime недоступен');
+
+            this.showToast('Скачиваем ассеты...', 'success');
+            const { files, report } = await window.StyleInjector.createProjectFiles(result.fullDoc);
+
+            chrome.runtime.sendMessage({ action: 'downloadZip', data: { files, filename } }, (response) => {
+                if (response?.success) {
+                    const skipped = report.skipped.length ? ` · не скачано: ${report.skipped.length}` : '';
+                    this.showToast(`ZIP сохранён! 🗜️ · ассетов: ${report.assets.length}${skipped}`, 'success');
+                } else {
+                    this.showToast('Ошибка ZIP: ' + (response?.error || ''), 'error');
                 }
-            } catch (err) {
-                console.error('[Snatcher] Snatch error:', err);
-                this.showToast('Ошибка: ' + err.message, 'error');
+            });
+        }
+
+        /**
+         * Saves the rule source map next to the download (popup option or SnatcherConfig.provenance.sourceMap)
+         * @param {Object} result - render() result
+         * @param {string} filename - Name of the exported file
+         */
+        downloadSourceMap(result, filename) {
+            const map = result.sourceMap && window.StyleInjector?.createSourceMap?.(filename, result.sourceMap);
+            if (!map) return;
+            const mapFilename = filename.replace(/\.\w+$/, '') + '.sources.json';
+            if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+                chrome.runtime.sendMessage({
+                    action: 'download',
+                    data: { content: map, filename: mapFilename, mimeType: 'application/json' }
+                });
+            } else {
+                this.downloadFallback(map, mapFilename, 'application/json');
             }
         }
 
         /**
          * Fallback-метод скачивания через Blob URL
          */
-        downloadFallback(content, filename) {
+        downloadFallback(content, filename, mimeType = 'text/html') {
             try {
-                const blob = new Blob([content], { type: 'text/html' });
+                const blob = new Blob([content], { type: mimeType });
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement("a");
                 a.href = url;
@@ -244,10 +955,15 @@ ${result.code}
 
         destroy() {
             try {
-                document.removeEventListener('mousemove', this.boundMouseMove, true);
-                document.removeEventListener('click', this.boundClick, true);
-                document.removeEventListener('keydown', this.boundKeyDown, true);
+                this.documents.forEach(doc => this.listen(doc, 'removeEventListener'));
+                window.removeEventListener('resize', this.boundReposition);
                 this.overlay.remove();
+                this.marquee?.remove();
+                [...this.selected, ...this.excluded].forEach(({ overlay }) => overlay.remove());
+                this.selected = [];
+                this.excluded = [];
+                // snatch() has already taken its own copy; later runs must not inherit these
+                window.__NINJA_SNATCH__.snatcherExclusions = [];
                 document.body.style.cursor = '';
                 window.__NINJA_SNATCH__.snatcherInstance = null;
             } catch (err) {
@@ -258,7 +974,15 @@ ${result.code}
 
     // Глобальный error handler
     try {
-        new SniperSelector();
+        const pendingTarget = window.__NINJA_SNATCH__.pendingSnatchTarget;
+        if (pendingTarget) {
+            const pendingMode = window.__NINJA_SNATCH__.pendingSnatchMode;
+            window.__NINJA_SNATCH__.pendingSnatchTarget = null;
+            window.__NINJA_SNATCH__.pendingSnatchMode = null;
+            SniperSelector.snatchElement(pendingTarget, pendingMode);
+        } else {
+            new SniperSelector();
+        }
     } catch (err) {
         console.error('[Snatcher] Failed to initialize:', err);
     }
@@ -87,7 +87,7 @@ export const StyleInjector = {
                 fontFaces: getFontFacesCSS(),
                 variables: generateCSSVariables(),
                 keyframes: getKeyframesCSS(),
-                matchedCSS: getMatchedCSSRules(usedClasses, clone, cssState.allCSSRules),
+                matchedCSS: getMatchedCSSRules(usedClasses, clone, cssState.allCSSRules, cssState),
                 revealAnimations: generateRevealAnimationsCSS(),
                 hasTailwind: hasTailwind()
             }
@@ -7,6 +7,7 @@
 import { EXTERNAL_CSS_PATTERNS } from '../config/patterns.js';
 import { fixCSSUrls } from '../utils/urlFixer.js';
 import { Logger } from '../utils/logger.js';
+import { splitSelectorList } from '../utils/helpers.js';
 
 /**
  * CSS collection state
@@ -16,12 +17,16 @@ const state = {
     allKeyframes: [],
     /** @type {string[]} */
     allFontFaces: [],
-    /** @type {Array<{selector: string, cssText: string}>} */
+    /** @type {Array<{selector: string, cssText?: string, matchSelector?: string, children?: Array}>} */
     allCSSRules: [],
     /** @type {Map<string, string>} */
     cssVariables: new Map(),
     /** @type {string[]} */
     externalStylesheets: [],
+    /** @type {string[]} Cascade layer names in first-declaration order */
+    layerOrder: [],
+    /** @type {Array<{name: string, cssText: string}>} */
+    propertyRules: [],
     /** @type {string} */
     pageOrigin: ''
 };
@@ -35,6 +40,8 @@ export function resetState() {
     state.allCSSRules = [];
     state.cssVariables = new Map();
     state.externalStylesheets = [];
+    state.layerOrder = [];
+    state.propertyRules = [];
     state.pageOrigin = '';
 }
 
@@ -73,20 +80,135 @@ export function collectAllCSS() {
     Logger.debug(`Collected ${state.allCSSRules.length} rules, ${state.allKeyframes.length} keyframes`);
 }
 
+/**
+ * Rule kinds without a legacy CSSRule.type constant, by interface name
+ */
+const RULE_KINDS = {
+    CSSStyleRule: 'style',
+    CSSImportRule: 'import',
+    CSSMediaRule: 'media',
+    CSSFontFaceRule: 'font-face',
+    CSSKeyframesRule: 'keyframes',
+    CSSSupportsRule: 'supports',
+    CSSContainerRule: 'container',
+    CSSLayerBlockRule: 'layer',
+    CSSLayerStatementRule: 'layer-statement',
+    CSSScopeRule: 'scope',
+    CSSStartingStyleRule: 'starting-style',
+    CSSPropertyRule: 'property',
+    CSSNestedDeclarations: 'declarations'
+};
+
+/**
+ * Grouping at-rules kept as blocks around their matched children
+ */
+const GROUP_KINDS = ['media', 'supports', 'container', 'layer', 'scope', 'starting-style'];
+
+/**
+ * Detect the kind of a CSS rule
+ * @param {CSSRule} rule 
+ * @returns {string|null}
+ */
+function getRuleKind(rule) {
+    switch (rule.type) {
+        case 1: return 'style';
+        case 3: return 'import';
+        case 4: return 'media';
+        case 5: return 'font-face';
+        case 7: return 'keyframes';
+        case 12: return 'supports';
+    }
+
+    const byName = RULE_KINDS[rule.constructor?.name];
+    if (byName) return byName;
+
+    const keyword = (rule.cssText || '').match(/^@([\w-]+)/)?.[1];
+    if (keyword === 'layer') {
+        return rule.cssText.includes('{') ? 'layer' : 'layer-statement';
+    }
+    return ['container', 'scope', 'starting-style', 'property'].includes(keyword) ? keyword : null;
+}
+
+/**
+ * At-rule prelude as written, e.g. "@container card (min-width: 400px)"
+ * @param {CSSRule} rule 
+ * @param {string} kind 
+ * @returns {string}
+ */
+function getRulePrelude(rule, kind) {
+    if (kind === 'media') {
+        return `@media ${rule.conditionText || rule.media?.mediaText || ''}`.trim();
+    }
+    const text = rule.cssText || '';
+    const end = text.search(/[{;]/);
+    if (end > 0) return text.slice(0, end).trim();
+    return `@${kind} ${rule.conditionText || rule.name || ''}`.trim();
+}
+
+/**
+ * Selector used for matching a nested style rule
+ * @param {string} selector - selectorText of the nested rule
+ * @param {string} parent - Resolved selector of the enclosing rule
+ * @returns {string}
+ */
+function resolveNestedSelector(selector, parent) {
+    return splitSelectorList(selector)
+        .map(part => part.includes('&')
+            ? part.replace(/&/g, `:is(${parent})`)
+            : `:is(${parent}) ${part}`)
+        .join(', ');
+}
+
+/**
+ * Remember a cascade layer name in first-declaration order
+ * @param {string} name 
+ */
+function registerLayer(name) {
+    if (name && !state.layerOrder.includes(name)) {
+        state.layerOrder.push(name);
+    }
+}
+
 /**
  * Process a single CSS rule
+ * Grouping at-rules and nested style rules keep their structure as
+ * entries with `children`; top-level @media stays flat
  * @param {CSSRule} rule 
+ * @param {Object} [context] - Enclosing block, set by recursive calls
+ * @param {Array<Object>} [context.target] - Entry list to append to
+ * @param {string} [context.parent] - Resolved selector of the enclosing style rule
+ * @param {string} [context.layer] - Full name of the enclosing cascade layer
+ * @param {string} [context.scope] - Scope root selector of the enclosing @scope
  */
-function processRule(rule) {
+function processRule(rule, context = {}) {
     if (!rule) return;
 
-    // Regular style rule
-    if (rule.type === CSSRule.STYLE_RULE) {
-        const cssText = fixCSSUrls(rule.style.cssText, state.pageOrigin);
-        state.allCSSRules.push({
+    const { target = state.allCSSRules, parent = null, layer = '', scope = null } = context;
+    const kind = getRuleKind(rule);
+
+    const collectChildren = (childContext = {}) => {
+        const children = [];
+        for (const innerRule of rule.cssRules || []) {
+            processRule(innerRule, { ...context, ...childContext, target: children });
+        }
+        return children;
+    };
+
+    // Regular style rule (possibly with nested rules)
+    if (kind === 'style') {
+        const entry = {
             selector: rule.selectorText,
-            cssText: cssText
-        });
+            cssText: fixCSSUrls(rule.style.cssText, state.pageOrigin)
+        };
+
+        let matchSelector = parent ? resolveNestedSelector(rule.selectorText, parent) : rule.selectorText;
+        if (scope !== null && !parent) {
+            matchSelector = matchSelector.replace(/:scope|&/g, scope ? `:is(${scope})` : '*');
+        }
+        if (matchSelector !== rule.selectorText) entry.matchSelector = matchSelector;
+        if (rule.cssRules?.length) entry.children = collectChildren({ parent: matchSelector });
+
+        target.push(entry);
 
         // Extract CSS variables from :root
         if (rule.selectorText === ':root') {
@@ -98,32 +220,68 @@ function processRule(rule) {
             }
         }
     }
+    // Declarations following nested rules
+    else if (kind === 'declarations') {
+        target.push({ kind, cssText: fixCSSUrls(rule.style.cssText, state.pageOrigin) });
+    }
     // Keyframes
-    else if (rule.type === CSSRule.KEYFRAMES_RULE) {
+    else if (kind === 'keyframes') {
         state.allKeyframes.push(rule.cssText);
     }
     // Font-face
-    else if (rule.type === CSSRule.FONT_FACE_RULE) {
+    else if (kind === 'font-face') {
         const fontCSS = fixCSSUrls(rule.cssText, state.pageOrigin);
         state.allFontFaces.push(fontCSS);
     }
-    // Media query - process nested rules
-    else if (rule.type === CSSRule.MEDIA_RULE) {
+    // @property - emitted only when referenced
+    else if (kind === 'property') {
+        const name = rule.name || getRulePrelude(rule, kind).replace('@property', '').trim();
+        if (!state.propertyRules.some(p => p.name === name)) {
+            state.propertyRules.push({ name, cssText: rule.cssText });
+        }
+    }
+    // @layer a, b; - ordering only
+    else if (kind === 'layer-statement') {
+        const names = rule.nameList || getRulePrelude(rule, kind).replace('@layer', '').split(',');
+        names.forEach(name => registerLayer([layer, name.trim()].filter(Boolean).join('.')));
+    }
+    // Top-level media query - flat style rules, nested at-rules keep structure
+    else if (kind === 'media' && target === state.allCSSRules) {
+        const selector = getRulePrelude(rule, kind);
         const mediaRules = [];
+        const nested = [];
         for (const innerRule of rule.cssRules) {
-            if (innerRule.type === CSSRule.STYLE_RULE) {
+            if (getRuleKind(innerRule) === 'style') {
                 mediaRules.push(`  ${innerRule.selectorText} { ${innerRule.style.cssText} }`);
+            } else {
+                processRule(innerRule, { target: nested });
             }
         }
         if (mediaRules.length > 0) {
-            state.allCSSRules.push({
-                selector: `@media ${rule.conditionText}`,
-                cssText: mediaRules.join('\n')
-            });
+            state.allCSSRules.push({ selector, cssText: mediaRules.join('\n') });
+        }
+        if (nested.length > 0) {
+            state.allCSSRules.push({ selector, children: nested });
+        }
+    }
+    // @supports, @container, @layer, @scope, @starting-style, nested @media
+    else if (GROUP_KINDS.includes(kind)) {
+        const childContext = {};
+        if (kind === 'layer') {
+            const name = rule.name ?? getRulePrelude(rule, kind).replace('@layer', '').trim();
+            childContext.layer = [layer, name].filter(Boolean).join('.');
+            registerLayer(name && childContext.layer);
+        } else if (kind === 'scope') {
+            childContext.scope = rule.start ?? getRulePrelude(rule, kind).match(/^@scope\s*\(([^)]*)\)/)?.[1] ?? '';
+        }
+
+        const children = collectChildren(childContext);
+        if (children.length > 0) {
+            target.push({ selector: getRulePrelude(rule, kind), children });
         }
     }
     // Import - process imported stylesheet
-    else if (rule.type === CSSRule.IMPORT_RULE && rule.styleSheet) {
+    else if (kind === 'import' && rule.styleSheet) {
         try {
             for (const importedRule of rule.styleSheet.cssRules) {
                 processRule(importedRule);
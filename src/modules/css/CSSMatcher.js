@@ -72,10 +72,13 @@ export function collectUsedTags(element) {
  * Get CSS rules that match the used classes, IDs, and tags
  * @param {Set<string>} usedClasses 
  * @param {HTMLElement} element 
- * @param {Array<{selector: string, cssText: string}>} allRules 
+ * @param {Array<Object>} allRules - Entries collected by CSSCollector
+ * @param {Object} [options]
+ * @param {string[]} [options.layerOrder] - Cascade layer names in declaration order
+ * @param {Array<{name: string, cssText: string}>} [options.propertyRules] - @property registrations
  * @returns {string} Matched CSS rules as string
  */
-export function getMatchedCSSRules(usedClasses, element, allRules) {
+export function getMatchedCSSRules(usedClasses, element, allRules, { layerOrder = [], propertyRules = [] } = {}) {
     const usedIds = collectUsedIds(element);
     const usedTags = collectUsedTags(element);
 
@@ -111,47 +114,83 @@ export function getMatchedCSSRules(usedClasses, element, allRules) {
     collectSelectors(element);
     element.querySelectorAll('*').forEach(collectSelectors);
 
+    /**
+     * Check if a selector might match any of our elements
+     * @param {string} selector 
+     * @returns {boolean}
+     */
+    const mightMatch = (selector) => {
+        // Universal selectors
+        if (selector === '*' || selector === 'html' || selector === 'body') {
+            return true;
+        }
+
+        // Simple matching - check if any collected selector is in the rule selector
+        for (const sel of selectors) {
+            if (selector.includes(sel.replace('.', '').replace('#', ''))) {
+                return true;
+            }
+        }
+
+        // Also check classes directly
+        for (const cls of usedClasses) {
+            if (selector.includes(cls)) {
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    /**
+     * Serialize a structured entry (grouping at-rule or nested rule),
+     * keeping only the children that might match
+     * @param {Object} entry 
+     * @param {string} indent 
+     * @returns {string} Empty string when nothing inside matches
+     */
+    const renderEntry = (entry, indent = '') => {
+        if (entry.kind === 'declarations') {
+            return `${indent}${entry.cssText}`;
+        }
+
+        const renderChildren = () => entry.children
+            .map(child => renderEntry(child, indent + '  '))
+            .filter(Boolean);
+
+        if (entry.selector.startsWith('@')) {
+            const inner = renderChildren();
+            return inner.length > 0 ? `${indent}${entry.selector} {\n${inner.join('\n')}\n${indent}}` : '';
+        }
+
+        if (!mightMatch(entry.matchSelector || entry.selector)) return '';
+        if (!entry.children?.length) {
+            return `${indent}${entry.selector} { ${entry.cssText} }`;
+        }
+
+        const body = [entry.cssText && `${indent}  ${entry.cssText}`, ...renderChildren()].filter(Boolean);
+        return `${indent}${entry.selector} {\n${body.join('\n')}\n${indent}}`;
+    };
+
     // Match rules
     const matched = [];
     const seen = new Set();
 
     for (const rule of allRules) {
+        // Grouping at-rules and rules with nested children
+        if (rule.children) {
+            const css = renderEntry(rule);
+            if (css) matched.push(css);
+            continue;
+        }
+
         const selector = rule.selector;
 
         // Skip if already seen
         if (seen.has(selector)) continue;
 
-        // Check if selector might match any of our elements
-        let matches = false;
-
         // Media queries - always include
-        if (selector.startsWith('@media')) {
-            matches = true;
-        }
-        // Universal selectors
-        else if (selector === '*' || selector === 'html' || selector === 'body') {
-            matches = true;
-        }
-        // Check against collected selectors
-        else {
-            // Simple matching - check if any collected selector is in the rule selector
-            for (const sel of selectors) {
-                if (selector.includes(sel.replace('.', '').replace('#', ''))) {
-                    matches = true;
-                    break;
-                }
-            }
-
-            // Also check classes directly
-            if (!matches) {
-                for (const cls of usedClasses) {
-                    if (selector.includes(cls)) {
-                        matches = true;
-                        break;
-                    }
-                }
-            }
-        }
+        const matches = selector.startsWith('@media') || mightMatch(selector);
 
         if (matches) {
             seen.add(selector);
@@ -164,9 +203,22 @@ export function getMatchedCSSRules(usedClasses, element, allRules) {
         }
     }
 
+    const css = matched.join('\n');
+    const header = [];
+
+    // Layer order up front so dropped layer blocks cannot reorder the rest
+    if (layerOrder.length > 0 && css.includes('@layer')) {
+        header.push(`@layer ${layerOrder.join(', ')};`);
+    }
+
+    // @property registrations referenced by the matched CSS
+    for (const { name, cssText } of propertyRules) {
+        if (new RegExp(`${name}(?![\\w-])`).test(css)) header.push(cssText);
+    }
+
     Logger.debug(`Matched ${matched.length} of ${allRules.length} rules`);
 
-    return matched.join('\n');
+    return [...header, css].filter(Boolean).join('\n');
 }
 
 /**
@@ -109,3 +109,46 @@ export function debounce(fn, delay = 100) {
         timer = setTimeout(() => fn.apply(this, args), delay);
     };
 }
+
+/**
+ * Split text on a separator outside parentheses, brackets and quoted strings
+ * @param {string} text
+ * @param {string} separator - Single character
+ * @returns {string[]} Trimmed non-empty parts
+ */
+export function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const ch of text) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '(' || ch === '[') {
+            depth++;
+        } else if (ch === ')' || ch === ']') {
+            depth--;
+        } else if (ch === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    parts.push(current.trim());
+
+    return parts.filter(Boolean);
+}
+
+/**
+ * Split a selector list on top-level commas
+ * Commas inside :is()/:where()/attribute values stay with their compound
+ * @param {string} selector
+ * @returns {string[]}
+ */
+export function splitSelectorList(selector) {
+    return splitTopLevel(selector, ',');
+}
@@ -54,7 +54,17 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
             removeScripts: cfg.removeScriptPatterns || ['chrome-extension://', 'analytics', 'gtag', 'gtm', 'google-analytics', 'facebook', 'pixel', 'hotjar', 'crisp', 'intercom', 'zendesk'],
             extensionSelectors: cfg.extensionSelectors || ['[id="moat-moat"]', '[class^="float-moat"]', '[id*="grammarly"]', '[class*="grammarly"]', '[data-grammarly-shadow-root]', 'grammarly-extension', '[id*="lastpass"]', '[data-dashlane]', 'next-route-announcer', '[src^="chrome-extension://"]'],
             removeDataPrefixes: cfg.cleanupPatterns?.removeDataPrefixes || ['data-framer-', 'data-radix-', 'data-testid', 'data-sentry-', 'data-gtm-', 'data-ga-'],
-            keepDataAttributes: cfg.cleanupPatterns?.keepDataAttributes || ['data-w-id', 'data-animation', 'data-scroll', 'data-src', 'data-srcset']
+            keepDataAttributes: cfg.cleanupPatterns?.keepDataAttributes || ['data-w-id', 'data-animation', 'data-scroll', 'data-src', 'data-srcset'],
+            lazyMedia: {
+                srcAttributes: ['data-src', 'data-lazy-src', 'data-original', 'data-lazy'],
+                srcsetAttributes: ['data-srcset', 'data-lazy-srcset'],
+                sizesAttributes: ['data-sizes'],
+                posterAttributes: ['data-poster'],
+                backgroundAttributes: ['data-bg', 'data-background', 'data-background-image', 'data-bg-src'],
+                pendingClasses: ['lazyload', 'lazyloading'],
+                ...cfg.lazyMediaPatterns
+            },
+            dynamicPseudoClasses: cfg.dynamicPseudoClasses || ['hover', 'active', 'focus', 'focus-visible', 'focus-within', 'visited', 'target', 'target-within', 'checked', 'indeterminate', 'placeholder-shown', 'autofill', '-webkit-autofill', 'valid', 'invalid', 'user-valid', 'user-invalid', 'in-range', 'out-of-range', 'open', 'closed', 'popover-open', 'modal', 'fullscreen', 'playing', 'paused']
         };
 
         // ═══════════════════════════════════════════════════════════════
@@ -65,8 +75,29 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
         let allFontFaces = [];
         let allCSSRules = [];
         let cssVariables = new Map();
+        // Every custom property declaration, in source order: { selector, name, value, conditional }
+        let customProperties = [];
         let externalStylesheets = [];
+        // Cascade layer names in first-declaration order (@layer statements and blocks)
+        let layerOrder = [];
+        // @property registrations: { name, cssText }; emitted only when the export references them
+        let propertyRules = [];
+        // Size report of the last getMatchedCSSRules optimization pass
+        let lastOptimization = null;
+        // Top-level rule counts by origin (stylesheet | style | runtime | adopted): collected, and matched by the last export
+        let collectedOrigins = {};
+        let lastOrigins = null;
+        // Sources of the rules matched by the last export: [{ selector, sources: [{ sheet, rule, origin }] }]
+        let lastSourceMap = null;
         let pageOrigin = '';
+        // Cross-origin CSS text fetched via background, by absolute href (null = fetch failed)
+        const stylesheetCache = new Map();
+        // External SVG sprites fetched via background, by absolute URL (null = fetch or parse failed)
+        const spriteCache = new Map();
+        // Single-file assets fetched via background, by absolute URL: { dataUrl, size } | { size, tooLarge } | { error }
+        const assetCache = new Map();
+        // Inlined and skipped assets of the last single-file export
+        let lastInlineReport = null;
 
         // ═══════════════════════════════════════════════════════════════
         // UTILS
@@ -78,6 +109,22 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
             console[level === 'error' ? 'error' : 'log'](`[Snatch ${level.toUpperCase()}]`, ...args);
         };
 
+        /**
+         * CSS optimization switches from SnatcherConfig.cssOptimization, read per export
+         * @param {string} key - treeShaking | mergeRules
+         * @returns {boolean}
+         */
+        const isOptimizationEnabled = (key) => getConfig().cssOptimization?.[key] ?? true;
+
+        /**
+         * Provenance switches, read per export: the popup options (applySniperSettings / extractPageContent)
+         * take precedence over SnatcherConfig.provenance
+         * @param {string} key - comments | sourceMap
+         * @returns {boolean}
+         */
+        const isProvenanceEnabled = (key) => window.__NINJA_SNATCH__?.snatcherProvenance?.[key]
+            ?? getConfig().provenance?.[key] ?? false;
+
         const matchesAny = (str, patterns) => {
             if (!str) return false;
             const lower = str.toLowerCase();
@@ -100,6 +147,75 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
             return url.startsWith('/') ? origin + url : origin + '/' + url;
         };
 
+        /**
+         * Split on a separator outside of strings, parentheses and brackets
+         * @param {string} text
+         * @param {string} separator - Single character
+         * @returns {string[]} Trimmed non-empty parts
+         */
+        const splitTopLevel = (text, separator) => {
+            const parts = [];
+            let depth = 0;
+            let quote = null;
+            let current = '';
+            for (const ch of text) {
+                if (quote) {
+                    if (ch === quote) quote = null;
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                } else if (ch === '(' || ch === '[') {
+                    depth++;
+                } else if (ch === ')' || ch === ']') {
+                    depth--;
+                } else if (ch === separator && depth === 0) {
+                    parts.push(current.trim());
+                    current = '';
+                    continue;
+                }
+                current += ch;
+            }
+            parts.push(current.trim());
+            return parts.filter(Boolean);
+        };
+
+        /**
+         * Split a selector list on top-level commas
+         * Commas inside :is()/:where()/attribute values stay with their compound
+         * @param {string} selector
+         * @returns {string[]}
+         */
+        const splitSelectorList = (selector) => splitTopLevel(selector, ',');
+
+        /**
+         * Split a declaration block into "prop: value" strings
+         * Semicolons inside url()/strings (data URIs) do not end a declaration
+         * @param {string} cssText
+         * @returns {string[]}
+         */
+        const splitDeclarations = (cssText) => splitTopLevel(cssText || '', ';');
+
+        /**
+         * var() references in a CSS text, including ones nested in fallbacks
+         * @param {string} text
+         * @returns {string[]} Custom property names
+         */
+        const extractVarRefs = (text) => Array.from((text || '').matchAll(/var\(\s*(--[\w-]+)/g), m => m[1]);
+
+        /**
+         * Normalize an export target to a list of root elements
+         * @param {HTMLElement|HTMLElement[]} target - Single element or selection set
+         * @returns {HTMLElement[]}
+         */
+        const toElementList = (target) => (Array.isArray(target) ? target : [target]).filter(Boolean);
+
+        /**
+         * Document that owns the export target
+         * Elements picked inside same-origin iframes belong to the child document
+         * @param {HTMLElement|HTMLElement[]} [target]
+         * @returns {Document}
+         */
+        const getSourceDocument = (target) => (target && toElementList(target)[0]?.ownerDocument) || document;
+
         const fixCSSUrls = (cssText, origin) => {
             if (!cssText || !origin) return cssText;
 
@@ -112,29 +228,132 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
                 (match, url) => `url("${fixRelativeURL(url, origin)}")`);
         };
 
+        /**
+         * Resolve relative url() references against the stylesheet's own URL
+         * @param {string} cssText
+         * @param {string} baseURL - Absolute URL of the stylesheet
+         * @returns {string}
+         */
+        const resolveCSSUrls = (cssText, baseURL) => {
+            if (!cssText || !baseURL || baseURL.startsWith('file:')) return cssText;
+
+            return cssText.replace(/url\(['"]?(?!data:|https?:|\/\/|blob:|file:|#)([^'")\s]+)['"]?\)/gi, (match, url) => {
+                try {
+                    return `url("${new URL(url, baseURL).href}")`;
+                } catch (e) {
+                    return match;
+                }
+            });
+        };
+
         // ═══════════════════════════════════════════════════════════════
         // CSS COLLECTION
         // ═══════════════════════════════════════════════════════════════
 
-        const collectAllCSS = () => {
+        const collectAllCSS = (doc = document) => {
             allKeyframes = [];
             allFontFaces = [];
             allCSSRules = [];
             cssVariables = new Map();
+            customProperties = [];
+            externalStylesheets = [];
+            layerOrder = [];
+            propertyRules = [];
+            collectedOrigins = {};
 
             // Collect from document stylesheets
-            for (const sheet of document.styleSheets) {
+            for (const sheet of doc.styleSheets) {
                 try {
-                    const rules = sheet.cssRules || sheet.rules;
-                    if (!rules) continue;
-                    for (const rule of rules) processRule(rule);
+                    collectSheet(sheet, getSheetLabel(sheet));
                 } catch (e) {
-                    if (sheet.href) externalStylesheets.push(sheet.href);
+                    if (sheet.href) collectCrossOriginSheet(sheet.href);
                 }
             }
 
+            // Constructed sheets adopted by the document (Lit, Stencil, CSS modules scripts)
+            Array.from(doc.adoptedStyleSheets || []).forEach((sheet, i) => {
+                try {
+                    collectSheet(sheet, `adoptedStyleSheets[${i}]`, true);
+                } catch (e) {
+                    _log('warn', `Could not access adopted stylesheet: ${e.message}`);
+                }
+            });
+
             // Collect from Shadow DOM
-            collectShadowCSS(document.body);
+            collectShadowCSS(doc.body);
+        };
+
+        /**
+         * Where the rules of an owned sheet come from, for the extraction report
+         * @param {CSSStyleSheet} sheet
+         * @returns {string} stylesheet | style | runtime
+         */
+        const getSheetOrigin = (sheet) => {
+            if (sheet.href || !sheet.ownerNode) return 'stylesheet';
+            // CSS-in-JS (styled-components, emotion) insertRule()s into empty <style> tags in production
+            return sheet.ownerNode.textContent.trim() ? 'style' : 'runtime';
+        };
+
+        /**
+         * Shadow host as "<tag#id>" for provenance labels
+         * @param {Element} host
+         * @returns {string}
+         */
+        const describeHost = (host) => `<${host.tagName.toLowerCase()}${host.id ? `#${host.id}` : ''}>`;
+
+        /**
+         * Human-readable location of a sheet for provenance comments and the source map:
+         * its URL, or the position of its <style> in the document / shadow root
+         * @param {CSSStyleSheet} sheet
+         * @returns {string}
+         */
+        const getSheetLabel = (sheet) => {
+            if (sheet.href) return sheet.href;
+            const owner = sheet.ownerNode;
+            if (!owner) return 'stylesheet';
+            const root = owner.getRootNode?.() || owner.ownerDocument;
+            const label = `<style>[${Array.prototype.indexOf.call(root.querySelectorAll('style'), owner)}]`;
+            return root.host ? `${describeHost(root.host)} ${label}` : label;
+        };
+
+        /**
+         * Tag the entries a rule produced with its origin and source, and count them
+         * Entries of an @import keep the source of the imported sheet
+         * @param {number} start - allCSSRules length before the rule was processed
+         * @param {string} origin
+         * @param {{sheet: string, rule: number}} [source] - Sheet label and rule index in it
+         */
+        const markOrigin = (start, origin, source) => {
+            for (let i = start; i < allCSSRules.length; i++) {
+                allCSSRules[i].origin = origin;
+                if (source) allCSSRules[i].source = { ...(allCSSRules[i].source || source), origin };
+                collectedOrigins[origin] = (collectedOrigins[origin] || 0) + 1;
+            }
+        };
+
+        /**
+         * Collect a sheet through the CSSOM, so rules inserted at runtime are read too
+         * Rules of a <style> that are missing from its text were added with insertRule()
+         * @param {CSSStyleSheet} sheet - Throws on cross-origin sheets
+         * @param {string} label - See getSheetLabel
+         * @param {boolean} [adopted] - Constructed sheet from adoptedStyleSheets
+         */
+        const collectSheet = (sheet, label, adopted = false) => {
+            const rules = sheet.cssRules || sheet.rules;
+            if (!rules) return;
+
+            const origin = adopted ? 'adopted' : getSheetOrigin(sheet);
+            const written = origin === 'style'
+                ? new Set(Array.from(parseStylesheet(sheet.ownerNode.textContent), rule => rule.cssText))
+                : null;
+
+            Array.from(rules).forEach((rule, index) => {
+                const start = allCSSRules.length;
+                processRule(rule, sheet.href || undefined);
+                // replaceSync() drops @import, so imports never count as inserted
+                const inserted = written && !written.has(rule.cssText) && getRuleKind(rule) !== 'import';
+                markOrigin(start, inserted ? 'runtime' : origin, { sheet: label, rule: index });
+            });
         };
 
         /**
@@ -153,28 +372,20 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
                     // Collect <style> tags inside shadow root
                     el.shadowRoot.querySelectorAll('style').forEach(style => {
                         try {
-                            if (style.sheet?.cssRules) {
-                                for (const rule of style.sheet.cssRules) {
-                                    processRule(rule);
-                                }
-                            }
+                            if (style.sheet) collectSheet(style.sheet, getSheetLabel(style.sheet));
                         } catch (e) {
                             _log('warn', `Could not access shadow style: ${e.message}`);
                         }
                     });
 
                     // Collect adopted stylesheets if available (modern browsers)
-                    if (el.shadowRoot.adoptedStyleSheets) {
-                        for (const sheet of el.shadowRoot.adoptedStyleSheets) {
-                            try {
-                                for (const rule of sheet.cssRules) {
-                                    processRule(rule);
-                                }
-                            } catch (e) {
-                                _log('warn', `Could not access adopted stylesheet: ${e.message}`);
-                            }
+                    Array.from(el.shadowRoot.adoptedStyleSheets || []).forEach((sheet, i) => {
+                        try {
+                            collectSheet(sheet, `${describeHost(el)} adoptedStyleSheets[${i}]`, true);
+                        } catch (e) {
+                            _log('warn', `Could not access adopted stylesheet: ${e.message}`);
                         }
-                    }
+                    });
 
                     // Recurse into shadow root
                     el.shadowRoot.querySelectorAll('*').forEach(traverse);
@@ -189,45 +400,240 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
             traverse(element);
         };
 
-        const processRule = (rule) => {
-            if (!rule) return;
+        /**
+         * Cross-origin sheet: use the background-fetched text if available,
+         * otherwise remember the href (linked via collectExternalLinks)
+         * @param {string} href - Absolute stylesheet URL
+         */
+        const collectCrossOriginSheet = (href) => {
+            const text = stylesheetCache.get(href);
+            if (typeof text !== 'string') {
+                externalStylesheets.push(href);
+                return;
+            }
+            Array.from(parseStylesheet(text)).forEach((rule, index) => {
+                const start = allCSSRules.length;
+                processRule(rule, href);
+                markOrigin(start, 'stylesheet', { sheet: href, rule: index });
+            });
+        };
+
+        /**
+         * Parse CSS text into rules without touching the page
+         * Constructed CSSStyleSheet when supported, detached document otherwise
+         * @param {string} text
+         * @returns {CSSRule[]|CSSRuleList}
+         */
+        const parseStylesheet = (text) => {
+            try {
+                const sheet = new CSSStyleSheet();
+                sheet.replaceSync(text);
+                return sheet.cssRules;
+            } catch (e) {
+                const scratch = document.implementation.createHTMLDocument('');
+                const style = scratch.createElement('style');
+                style.textContent = text;
+                scratch.head.appendChild(style);
+                return style.sheet?.cssRules || [];
+            }
+        };
 
-            if (rule.type === CSSRule.STYLE_RULE) {
-                allCSSRules.push({ selector: rule.selectorText, cssText: fixCSSUrls(rule.style.cssText, pageOrigin) });
+        /**
+         * Ask the background worker for a stylesheet (host permissions bypass CORS)
+         * @param {string} href
+         * @returns {Promise<string>}
+         */
+        const requestStylesheet = (href) => new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'fetchStylesheet', url: href }, (response) => {
+                if (response?.success) resolve(response.text);
+                else reject(new Error(response?.error || chrome.runtime.lastError?.message || 'fetch failed'));
+            });
+        });
 
-                if (rule.selectorText === ':root') {
-                    for (let i = 0; i < rule.style.length; i++) {
-                        const prop = rule.style[i];
-                        if (prop.startsWith('--')) cssVariables.set(prop, rule.style.getPropertyValue(prop));
-                    }
+        /**
+         * Fetch every cross-origin stylesheet of the target's document into the cache
+         * Call before init()/export so their rules go through CSS matching
+         * @param {HTMLElement|HTMLElement[]} [target]
+         * @returns {Promise<number>} Number of newly fetched stylesheets
+         */
+        const fetchExternalStylesheets = async (target) => {
+            if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return 0;
+
+            collectAllCSS(getSourceDocument(target));
+            const pending = [...new Set(externalStylesheets)].filter(href => /^https?:/i.test(href) && !stylesheetCache.has(href));
+
+            await Promise.all(pending.map(href => requestStylesheet(href)
+                .then(text => stylesheetCache.set(href, text))
+                .catch(err => {
+                    _log('warn', `Could not fetch stylesheet ${href}: ${err.message}`);
+                    stylesheetCache.set(href, null);
+                })));
+
+            _log('info', `Fetched ${pending.length} cross-origin stylesheets`);
+            return pending.length;
+        };
+
+        /** Rule kinds without a legacy CSSRule.type constant are told apart by interface name */
+        const RULE_KINDS = {
+            CSSStyleRule: 'style',
+            CSSImportRule: 'import',
+            CSSMediaRule: 'media',
+            CSSFontFaceRule: 'font-face',
+            CSSKeyframesRule: 'keyframes',
+            CSSSupportsRule: 'supports',
+            CSSContainerRule: 'container',
+            CSSLayerBlockRule: 'layer',
+            CSSLayerStatementRule: 'layer-statement',
+            CSSScopeRule: 'scope',
+            CSSStartingStyleRule: 'starting-style',
+            CSSPropertyRule: 'property',
+            CSSNestedDeclarations: 'declarations'
+        };
+
+        /** Grouping at-rules kept as blocks around their matched children */
+        const GROUP_KINDS = ['media', 'supports', 'container', 'layer', 'scope', 'starting-style'];
+
+        /**
+         * @param {CSSRule} rule
+         * @returns {string|null} Key of RULE_KINDS values, null for unsupported rules
+         */
+        const getRuleKind = (rule) => {
+            switch (rule.type) {
+                case 1: return 'style';
+                case 3: return 'import';
+                case 4: return 'media';
+                case 5: return 'font-face';
+                case 7: return 'keyframes';
+                case 12: return 'supports';
+            }
+            const byName = RULE_KINDS[rule.constructor?.name];
+            if (byName) return byName;
+
+            // Wrapped/foreign CSSOM objects: fall back to the serialized at-keyword
+            const keyword = (rule.cssText || '').match(/^@([\w-]+)/)?.[1];
+            if (keyword === 'layer') return rule.cssText.includes('{') ? 'layer' : 'layer-statement';
+            return ['container', 'scope', 'starting-style', 'property'].includes(keyword) ? keyword : null;
+        };
+
+        /**
+         * At-rule prelude as written, e.g. "@container card (min-width: 400px)"
+         * @param {CSSRule} rule
+         * @param {string} kind
+         * @returns {string}
+         */
+        const getRulePrelude = (rule, kind) => {
+            if (kind === 'media') return `@media ${rule.conditionText || rule.media?.mediaText || ''}`.trim();
+            const text = rule.cssText || '';
+            const end = text.search(/[{;]/);
+            if (end > 0) return text.slice(0, end).trim();
+            return `@${kind} ${rule.conditionText || rule.name || ''}`.trim();
+        };
+
+        /**
+         * Selector used for matching a nested style rule against the export
+         * "&" refers to the parent; a relative selector is a descendant of it
+         * @param {string} selector - selectorText of the nested rule
+         * @param {string} parent - Resolved selector of the enclosing rule
+         * @returns {string}
+         */
+        const resolveNestedSelector = (selector, parent) => splitSelectorList(selector)
+            .map(part => (part.includes('&') ? part.replace(/&/g, `:is(${parent})`) : `:is(${parent}) ${part}`))
+            .join(', ');
+
+        const registerLayer = (name) => {
+            if (name && !layerOrder.includes(name)) layerOrder.push(name);
+        };
+
+        /**
+         * Collect a rule into allCSSRules (or the children of an enclosing block)
+         *
+         * Entry shapes:
+         * - style rule: { selector, cssText, matchSelector?, children? }
+         * - grouping at-rule (@media, @supports, @container, @layer, @scope): { selector: prelude, children }
+         * - declarations after nested rules: { kind: 'declarations', cssText }
+         * Top-level entries also get origin and source { sheet, rule, origin } from markOrigin
+         *
+         * @param {CSSRule} rule
+         * @param {string} [baseURL] - Stylesheet URL for resolving url(); page origin when omitted
+         * @param {Object} [context] - Enclosing block, set by recursive calls
+         * @param {Object[]} [context.target] - Entry list to append to
+         * @param {string} [context.parent] - Resolved selector of the enclosing style rule (CSS nesting)
+         * @param {string} [context.layer] - Full name of the enclosing cascade layer
+         * @param {string} [context.scope] - Scope root selector of the enclosing @scope ('' for an implicit root)
+         */
+        const processRule = (rule, baseURL, context = {}) => {
+            if (!rule) return;
+            const { target = allCSSRules, parent = null, layer = '', scope = null } = context;
+            const fixUrls = (cssText) => (baseURL ? resolveCSSUrls(cssText, baseURL) : fixCSSUrls(cssText, pageOrigin));
+            const kind = getRuleKind(rule);
+
+            const collectChildren = (childContext = {}) => {
+                const children = [];
+                for (const inner of rule.cssRules || []) {
+                    processRule(inner, baseURL, { ...context, ...childContext, target: children });
                 }
-            } else if (rule.type === CSSRule.KEYFRAMES_RULE) {
-                allKeyframes.push(rule.cssText);
-            } else if (rule.type === CSSRule.FONT_FACE_RULE) {
-                allFontFaces.push(fixCSSUrls(rule.cssText, pageOrigin));
-            } else if (rule.type === CSSRule.MEDIA_RULE) {
-                const mediaRules = [];
-                for (const inner of rule.cssRules) {
-                    if (inner.type === CSSRule.STYLE_RULE) {
-                        mediaRules.push(`  ${inner.selectorText} { ${inner.style.cssText} }`);
-                    }
+                return children;
+            };
+
+            if (kind === 'style') {
+                const entry = { selector: rule.selectorText, cssText: fixUrls(rule.style.cssText) };
+                let matchSelector = parent ? resolveNestedSelector(rule.selectorText, parent) : rule.selectorText;
+                if (scope !== null && !parent) matchSelector = matchSelector.replace(/:scope|&/g, scope ? `:is(${scope})` : '*');
+                if (matchSelector !== rule.selectorText) entry.matchSelector = matchSelector;
+                if (rule.cssRules?.length) entry.children = collectChildren({ parent: matchSelector });
+                target.push(entry);
+
+                for (let i = 0; i < rule.style.length; i++) {
+                    const prop = rule.style[i];
+                    if (!prop.startsWith('--')) continue;
+                    const value = rule.style.getPropertyValue(prop).trim();
+                    // Inside @media/@supports/nesting the declaration only applies conditionally
+                    customProperties.push({ selector: matchSelector, name: prop, value, conditional: target !== allCSSRules });
+                    if (rule.selectorText === ':root') cssVariables.set(prop, value);
                 }
-                if (mediaRules.length) {
-                    allCSSRules.push({ selector: `@media ${rule.conditionText}`, cssText: mediaRules.join('\n') });
+            } else if (kind === 'declarations') {
+                target.push({ kind, cssText: fixUrls(rule.style.cssText) });
+            } else if (kind === 'keyframes') {
+                allKeyframes.push(rule.cssText);
+            } else if (kind === 'font-face') {
+                allFontFaces.push(fixUrls(rule.cssText));
+            } else if (kind === 'property') {
+                const name = rule.name || getRulePrelude(rule, kind).replace('@property', '').trim();
+                if (!propertyRules.some(p => p.name === name)) propertyRules.push({ name, cssText: rule.cssText });
+            } else if (kind === 'layer-statement') {
+                const names = rule.nameList || getRulePrelude(rule, kind).replace('@layer', '').split(',');
+                names.forEach(name => registerLayer([layer, name.trim()].filter(Boolean).join('.')));
+            } else if (GROUP_KINDS.includes(kind)) {
+                const childContext = {};
+                if (kind === 'layer') {
+                    const name = rule.name ?? getRulePrelude(rule, kind).replace('@layer', '').trim();
+                    childContext.layer = [layer, name].filter(Boolean).join('.');
+                    registerLayer(name && childContext.layer);
+                } else if (kind === 'scope') {
+                    childContext.scope = rule.start ?? getRulePrelude(rule, kind).match(/^@scope\s*\(([^)]*)\)/)?.[1] ?? '';
                 }
-            } else if (rule.type === CSSRule.IMPORT_RULE && rule.styleSheet) {
+                const children = collectChildren(childContext);
+                if (children.length) target.push({ selector: getRulePrelude(rule, kind), children });
+            } else if (kind === 'import' && rule.styleSheet) {
+                const importURL = rule.styleSheet.href || rule.href;
                 try {
-                    for (const r of rule.styleSheet.cssRules) processRule(r);
+                    Array.from(rule.styleSheet.cssRules).forEach((r, index) => {
+                        const start = allCSSRules.length;
+                        processRule(r, importURL);
+                        for (let i = start; i < allCSSRules.length; i++) allCSSRules[i].source = { sheet: importURL || '@import', rule: index };
+                    });
                 } catch (e) {
-                    if (rule.href) externalStylesheets.push(rule.href);
+                    if (importURL) collectCrossOriginSheet(importURL);
                 }
             }
         };
 
-        const collectExternalLinks = () => {
-            return Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+        const collectExternalLinks = (doc = document) => {
+            return Array.from(doc.querySelectorAll('link[rel="stylesheet"]'))
                 .filter(l => {
                     const href = l.getAttribute('href') || l.href;
+                    // Fetched sheets are already inlined and tree-shaken
+                    if (typeof stylesheetCache.get(l.href) === 'string') return false;
                     return href && PATTERNS.externalCSS.some(p => href.toLowerCase().includes(p));
                 })
                 .map(l => {
@@ -238,8 +644,8 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
                 .join('\n');
         };
 
-        const collectGoogleFonts = () => {
-            return Array.from(document.querySelectorAll('link[href*="fonts.googleapis.com"]'))
+        const collectGoogleFonts = (doc = document) => {
+            return Array.from(doc.querySelectorAll('link[href*="fonts.googleapis.com"]'))
                 .map(l => `@import url('${l.href}');`)
                 .join('\n');
         };
@@ -279,229 +685,2463 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
             return clone;
         };
 
-        const fixAnimationStates = (clone) => {
-            const process = (el) => {
-                const style = el.getAttribute('style');
-                if (!style) return;
-                let newStyle = style.replace(/will-change\s*:[^;]+(;|$)/gi, '').replace(/transform-style\s*:\s*preserve-3d\s*(;|$)/gi, '');
-                newStyle = newStyle.replace(/;\s*;/g, ';').replace(/^\s*;\s*/, '').trim();
-                if (newStyle !== style) {
-                    newStyle ? el.setAttribute('style', newStyle) : el.removeAttribute('style');
-                }
+        const fixAnimationStates = (clone) => {
+            const process = (el) => {
+                const style = el.getAttribute('style');
+                if (!style) return;
+                let newStyle = style.replace(/will-change\s*:[^;]+(;|$)/gi, '').replace(/transform-style\s*:\s*preserve-3d\s*(;|$)/gi, '');
+                newStyle = newStyle.replace(/;\s*;/g, ';').replace(/^\s*;\s*/, '').trim();
+                if (newStyle !== style) {
+                    newStyle ? el.setAttribute('style', newStyle) : el.removeAttribute('style');
+                }
+            };
+            process(clone);
+            clone.querySelectorAll('[style]').forEach(process);
+            return clone;
+        };
+
+        const fixHTMLUrls = (clone) => {
+            clone.querySelectorAll('[src]').forEach(el => {
+                const src = el.getAttribute('src');
+                if (src && !src.startsWith('data:') && !src.startsWith('http') && !src.startsWith('//')) {
+                    el.setAttribute('src', fixRelativeURL(src, pageOrigin));
+                }
+            });
+
+            clone.querySelectorAll('[href]').forEach(el => {
+                const href = el.getAttribute('href');
+                if (href && !href.startsWith('#') && !href.startsWith('javascript:') && !href.startsWith('mailto:') && !href.startsWith('tel:') && !href.startsWith('http') && !href.startsWith('//')) {
+                    el.setAttribute('href', fixRelativeURL(href, pageOrigin));
+                }
+            });
+
+            clone.querySelectorAll('[srcset]').forEach(el => {
+                const srcset = el.getAttribute('srcset');
+                if (srcset) {
+                    const fixed = srcset.split(',').map(part => {
+                        const [url, desc] = part.trim().split(/\s+/);
+                        return desc ? `${fixRelativeURL(url, pageOrigin)} ${desc}` : fixRelativeURL(url, pageOrigin);
+                    }).join(', ');
+                    el.setAttribute('srcset', fixed);
+                }
+            });
+
+            return clone;
+        };
+
+        /**
+         * Map every node of a fresh deep clone to its original
+         * Build it before the clone is rewritten; nodes added later simply have no source
+         * @param {Element} clone - original.cloneNode(true)
+         * @param {Element} original
+         * @returns {Map<Element, Element>}
+         */
+        const mapCloneToSource = (clone, original) => {
+            const sources = new Map([[clone, original]]);
+            const originals = original.querySelectorAll('*');
+            clone.querySelectorAll('*').forEach((node, i) => sources.set(node, originals[i]));
+            return sources;
+        };
+
+        /** Blank or inline LQIP src that a lazy loader would have swapped out */
+        const isPlaceholderSrc = (src) => !src || src === 'about:blank' || /^data:/i.test(src);
+
+        /**
+         * Move the first non-empty lazy attribute into the real one and drop the lazy ones
+         * @param {Element} el
+         * @param {string[]} names - Lazy attribute names
+         * @param {string} target - Real attribute
+         * @returns {string|null} Promoted value
+         */
+        const promoteLazyAttribute = (el, names, target) => {
+            const name = names.find(n => el.getAttribute(n)?.trim());
+            if (!name) return null;
+            const value = el.getAttribute(name).trim();
+            names.forEach(n => el.removeAttribute(n));
+            el.setAttribute(target, value);
+            return value;
+        };
+
+        /**
+         * Media inside a <noscript> fallback, parsed without loading anything
+         * @param {HTMLElement} noscript
+         * @returns {DocumentFragment|null}
+         */
+        const parseNoscriptMedia = (noscript) => {
+            // Pages parsed with scripting on keep <noscript> content as text
+            const markup = noscript.children.length ? noscript.innerHTML : noscript.textContent;
+            if (!/<(?:img|picture|video)\b/i.test(markup || '')) return null;
+            const template = noscript.ownerDocument.createElement('template');
+            template.innerHTML = markup;
+            return template.content;
+        };
+
+        /**
+         * Promote lazy-loaded media to real sources so every image renders in a standalone file
+         * Handles data-src/data-srcset/data-sizes (lazysizes, vanilla-lazyload, WordPress),
+         * data-poster, data-bg backgrounds, loading="lazy", <picture>/<video> <source>s,
+         * <noscript> fallbacks and the src the browser actually picked (currentSrc)
+         * Run after removeExcluded and before cleanHTML, which drops <noscript>
+         * @param {HTMLElement} clone
+         * @param {Map<Element, Element>} [sources] - Clone node -> live original (mapCloneToSource)
+         * @returns {HTMLElement} clone
+         */
+        const resolveLazyMedia = (clone, sources = new Map()) => {
+            const { srcAttributes, srcsetAttributes, sizesAttributes, posterAttributes, backgroundAttributes, pendingClasses } = PATTERNS.lazyMedia;
+            let resolved = 0;
+
+            for (const el of [clone, ...clone.querySelectorAll('*')]) {
+                const tag = el.localName;
+                let changed = false;
+
+                if (['img', 'source', 'iframe', 'video', 'audio', 'embed'].includes(tag)) {
+                    changed = !!promoteLazyAttribute(el, srcAttributes, 'src') || changed;
+                }
+                if (tag === 'img' || tag === 'source') {
+                    changed = !!promoteLazyAttribute(el, srcsetAttributes, 'srcset') || changed;
+                    const sizes = promoteLazyAttribute(el, sizesAttributes, 'sizes');
+                    // lazysizes computes "auto" from the rendered width
+                    if (sizes === 'auto') {
+                        const width = Math.round(sources.get(el)?.getBoundingClientRect().width || 0);
+                        width ? el.setAttribute('sizes', `${width}px`) : el.removeAttribute('sizes');
+                    }
+                }
+                if (tag === 'img') {
+                    const current = sources.get(el)?.currentSrc;
+                    if (current && /^https?:/i.test(current) && isPlaceholderSrc(el.getAttribute('src'))) {
+                        el.setAttribute('src', current);
+                        changed = true;
+                    }
+                }
+                if (tag === 'video') {
+                    changed = !!promoteLazyAttribute(el, posterAttributes, 'poster') || changed;
+                }
+                if (el.getAttribute('loading') === 'lazy') {
+                    el.removeAttribute('loading');
+                    changed = true;
+                }
+
+                const background = backgroundAttributes.map(n => el.getAttribute(n)?.trim()).find(Boolean);
+                if (background) {
+                    backgroundAttributes.forEach(n => el.removeAttribute(n));
+                    if (el.style && !el.style.backgroundImage) {
+                        el.style.backgroundImage = /^url\(/i.test(background) ? background : `url("${background}")`;
+                    }
+                    changed = true;
+                }
+
+                if (pendingClasses.some(name => el.classList?.contains(name))) {
+                    el.classList.remove(...pendingClasses);
+                    el.classList.add('lazyloaded');
+                    changed = true;
+                }
+                if (changed) resolved++;
+            }
+
+            // <noscript> fallbacks: fill in a placeholder next to them, or stand in for missing media
+            // Siblings are read up front: removing one <noscript> must not pair the next with its media
+            const fallbacks = Array.from(clone.querySelectorAll('noscript'), noscript => [noscript, noscript.previousElementSibling]);
+            fallbacks.forEach(([noscript, previous]) => {
+                const fallback = parseNoscriptMedia(noscript);
+                if (!fallback) return;
+                const placeholder = previous?.localName === 'img' ? previous : previous?.querySelector?.(':scope > img');
+
+                if (placeholder && ['img', 'picture'].includes(previous.localName)) {
+                    const image = fallback.querySelector('img');
+                    if (image && isPlaceholderSrc(placeholder.getAttribute('src'))) {
+                        ['src', 'srcset', 'sizes'].forEach(name => {
+                            if (image.hasAttribute(name)) placeholder.setAttribute(name, image.getAttribute(name));
+                        });
+                        const fallbackSources = fallback.querySelectorAll('picture > source');
+                        if (previous.localName === 'picture' && fallbackSources.length) {
+                            previous.querySelectorAll(':scope > source').forEach(source => source.remove());
+                            placeholder.before(...fallbackSources);
+                        }
+                        resolved++;
+                    }
+                    noscript.remove();
+                } else if (!['img', 'picture', 'video'].includes(previous?.localName) && !fallback.querySelector('img[width="1"], img[height="1"]')) {
+                    // 1×1 images in <noscript> are tracking pixels, not content
+                    noscript.replaceWith(fallback);
+                    resolved++;
+                }
+            });
+
+            if (resolved) _log('info', `Resolved ${resolved} lazy media elements`);
+            return clone;
+        };
+
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        /** url(#id) in presentation attributes and inline styles: fill, clip-path, mask, filter, marker-* */
+        const SVG_URL_REFERENCE_RE = /url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g;
+
+        /** Attributes holding space-separated ID lists that point into an SVG (<title>, <desc>) */
+        const SVG_IDREF_ATTRIBUTES = ['aria-labelledby', 'aria-describedby'];
+
+        /** href of <use>, gradients, patterns, <textPath>: SVG 2 href or legacy xlink:href */
+        const getSvgHref = (el) => el.getAttribute('href') ?? el.getAttribute('xlink:href');
+
+        /**
+         * Split an SVG reference into sprite URL and fragment
+         * @param {string} href
+         * @param {string|null} [base] - Sprite the referencing element came from ("#id" stays in it)
+         * @returns {{url: string|null, id: string}|null} url is null for references into the page itself
+         */
+        const parseSvgReference = (href, base = null) => {
+            const hash = (href || '').indexOf('#');
+            const id = hash === -1 ? '' : href.slice(hash + 1);
+            if (!id) return null;
+            if (hash === 0) return { url: base, id };
+            try {
+                const url = new URL(href.slice(0, hash), document.baseURI).href;
+                return { url: url === location.href?.split('#')[0] ? null : url, id };
+            } catch (e) {
+                return null;
+            }
+        };
+
+        /**
+         * Ask the background worker for an external SVG sprite
+         * @param {string} url
+         * @returns {Promise<string>} SVG markup
+         */
+        const requestSprite = (url) => new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'fetchSprite', url }, (response) => {
+                if (response?.success) resolve(response.text);
+                else reject(new Error(response?.error || chrome.runtime.lastError?.message || 'fetch failed'));
+            });
+        });
+
+        /**
+         * Fetch the external sprites (<use href="/icons.svg#x">) of an export target into the cache
+         * Call before export: _prepareExport is synchronous and only reads the cache
+         * @param {HTMLElement|HTMLElement[]} [target]
+         * @returns {Promise<number>} Number of newly fetched sprites
+         */
+        const fetchExternalSprites = async (target) => {
+            if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return 0;
+
+            const urls = new Set();
+            toElementList(target || document.documentElement).forEach(root => {
+                root.querySelectorAll('use').forEach(use => {
+                    const ref = parseSvgReference(getSvgHref(use));
+                    if (ref?.url && /^https?:/i.test(ref.url) && !spriteCache.has(ref.url)) urls.add(ref.url);
+                });
+            });
+
+            await Promise.all([...urls].map(url => requestSprite(url)
+                .then(text => {
+                    const sprite = new DOMParser().parseFromString(text, 'image/svg+xml');
+                    spriteCache.set(url, sprite.querySelector('parsererror') ? null : sprite);
+                })
+                .catch(err => {
+                    _log('warn', `Could not fetch sprite ${url}: ${err.message}`);
+                    spriteCache.set(url, null);
+                })));
+
+            return urls.size;
+        };
+
+        /**
+         * Make the SVGs of an export self-contained
+         * <use>, gradient/pattern hrefs and url(#id) references are resolved inside the export,
+         * on the page (sprite <symbol>s at the top of <body>) or in fetched external sprites;
+         * referenced elements are copied into a <defs> of the first SVG that needs them.
+         * IDs keep their names so page CSS (#logo, url(#grad)) and aria references still match.
+         * Only copies from external sprites and IDs that collide with an earlier one in the export
+         * get a per-export prefix; a renamed duplicate takes the references of its own SVG along
+         * @param {HTMLElement} clone
+         * @param {HTMLElement} [original] - Live export root, its root node is searched for references
+         * @param {{taken: Set<string>, renamed: Map<string, string[]>}} [ids] - Shared by the clones of
+         *     one export; renamed collects old ID → new IDs for renameIdSelectors()
+         * @returns {HTMLElement} clone
+         */
+        const resolveSvgReferences = (clone, original, ids = { taken: new Set(), renamed: new Map() }) => {
+            const svgs = [clone, ...clone.querySelectorAll('svg')].filter(el => el.localName === 'svg');
+            if (!svgs.length) {
+                [clone, ...clone.querySelectorAll('[id]')].forEach(el => el.id && ids.taken.add(el.id));
+                return clone;
+            }
+
+            const root = original?.getRootNode?.();
+            const sourceDoc = original?.ownerDocument || document;
+            const prefix = `${hashScopeId(clone.outerHTML)}-`;
+            const renames = new Map(); // "spriteURL#id" -> exported id
+            const local = new Map(); // svg -> Map(id -> renamed duplicate inside it)
+            const defsByHost = new Map();
+            let copied = 0;
+
+            const prefixed = (name) => {
+                let id = `${prefix}${name}`;
+                for (let i = 2; ids.taken.has(id); i++) id = `${prefix}${name}-${i}`;
+                return id;
+            };
+
+            const assignId = (el, url) => {
+                const id = url || ids.taken.has(el.id) ? prefixed(el.id) : el.id;
+                ids.taken.add(id);
+                renames.set(`${url || ''}#${el.id}`, id);
+                el.id = id;
+            };
+
+            const lookup = ({ url, id }) => {
+                if (url) return spriteCache.get(url)?.getElementById(id) || null;
+                return root?.getElementById?.(id) || sourceDoc.getElementById(id);
+            };
+
+            // IDs the export already contains keep their names; a repeated one (the same icon
+            // inlined twice) is renamed so each SVG keeps pointing at its own copy
+            const work = [];
+            [clone, ...clone.querySelectorAll('*')].forEach(el => {
+                const host = el.closest('svg');
+                if (el.id) {
+                    if (!ids.taken.has(el.id)) {
+                        ids.taken.add(el.id);
+                        renames.set(`#${el.id}`, el.id);
+                    } else if (host) {
+                        const id = prefixed(el.id);
+                        ids.taken.add(id);
+                        if (!local.has(host)) local.set(host, new Map());
+                        local.get(host).set(el.id, id);
+                        ids.renamed.set(el.id, [...(ids.renamed.get(el.id) || []), id]);
+                        if (!renames.has(`#${el.id}`)) renames.set(`#${el.id}`, el.id);
+                        el.id = id;
+                    }
+                }
+                if (host) work.push([el, null, host]);
+            });
+
+            const resolve = (ref, host) => {
+                if (!ref.url && local.get(host)?.has(ref.id)) return local.get(host).get(ref.id);
+                const key = `${ref.url || ''}#${ref.id}`;
+                if (renames.has(key)) return renames.get(key);
+
+                const source = lookup(ref);
+                if (!source || source.namespaceURI !== SVG_NS) return null;
+
+                const copy = clone.ownerDocument.importNode(source, true);
+                [copy, ...copy.querySelectorAll('[id]')].forEach(el => el.id && assignId(el, ref.url));
+                if (!defsByHost.has(host)) {
+                    const defs = clone.ownerDocument.createElementNS(SVG_NS, 'defs');
+                    host.prepend(defs);
+                    defsByHost.set(host, defs);
+                }
+                defsByHost.get(host).appendChild(copy);
+                copied++;
+
+                // The copy's own references (gradients of a symbol) resolve in its sprite
+                [copy, ...copy.querySelectorAll('*')].forEach(el => work.push([el, ref.url, host]));
+                return renames.get(key);
+            };
+
+            for (let i = 0; i < work.length; i++) {
+                const [el, base, host] = work[i];
+                for (const attr of Array.from(el.attributes)) {
+                    if (attr.localName === 'href') {
+                        const ref = parseSvgReference(attr.value, base);
+                        const id = ref && resolve(ref, host);
+                        if (id && `#${id}` !== attr.value) {
+                            el.removeAttribute(attr.name);
+                            el.setAttribute('href', `#${id}`);
+                        }
+                    } else if (SVG_IDREF_ATTRIBUTES.includes(attr.name)) {
+                        const value = attr.value.replace(/\S+/g, ref => local.get(host)?.get(ref) || ref);
+                        if (value !== attr.value) el.setAttribute(attr.name, value);
+                    } else if (attr.value.includes('url(')) {
+                        const value = attr.value.replace(SVG_URL_REFERENCE_RE, (match, quote, ref) => {
+                            const id = resolve({ url: base, id: ref }, host);
+                            return id && id !== ref ? `url(#${id})` : match;
+                        });
+                        if (value !== attr.value) el.setAttribute(attr.name, value);
+                    }
+                }
+            }
+
+            if (copied) _log('info', `Copied ${copied} referenced SVG elements into the export`);
+            return clone;
+        };
+
+        /**
+         * root.contains() across shadow boundaries: shadow roots are followed up to their host
+         * @param {Node} root
+         * @param {Node} node
+         * @returns {boolean}
+         */
+        const containsComposed = (root, node) => {
+            for (let current = node; current; current = current.parentNode || current.host) {
+                if (current === root) return true;
+            }
+            return false;
+        };
+
+        /**
+         * Children of a shadow root or of its flattened .snatch-shadow-content copy, without the
+         * <style>/<slot> nodes that cloneWithSources leaves out, so both sides index the same way
+         * @param {ShadowRoot|Element} parent
+         * @returns {Element[]}
+         */
+        const shadowContentChildren = (parent) => Array.from(parent.children)
+            .filter(child => child.localName !== 'style' && child.localName !== 'slot');
+
+        /**
+         * Resolve an exclusion list against an export root
+         * @param {HTMLElement} root - Original (live) export root
+         * @param {Array<HTMLElement|string>} exclude - Elements or CSS selectors
+         * @returns {HTMLElement[]} Excluded descendants of root, including those inside its shadow roots
+         */
+        const resolveExcluded = (root, exclude = []) => {
+            const found = new Set();
+            for (const item of exclude) {
+                if (typeof item === 'string') {
+                    // getRootNode: selectors resolve inside the shadow root that holds the target
+                    try { root.getRootNode().querySelectorAll(item).forEach(el => found.add(el)); } catch (e) {
+                        _log('warn', `Invalid exclusion selector: ${item}`);
+                    }
+                } else if (item && item.nodeType === 1) {
+                    found.add(item);
+                }
+            }
+            return Array.from(found).filter(el => el !== root && containsComposed(root, el));
+        };
+
+        /**
+         * Drop excluded nodes from a clone before CSS matching
+         * Nodes are located by child-index path from the original root, so this
+         * must run before anything that reorders or removes clone children.
+         * Shadow content is found in the flattened .snatch-shadow-content container
+         * of its host; clones without that container keep nothing to remove
+         * @param {HTMLElement} clone - Clone of original
+         * @param {HTMLElement} original - Live export root
+         * @param {Array<HTMLElement|string>} exclude - Elements or CSS selectors
+         * @returns {HTMLElement} clone
+         */
+        const removeExcluded = (clone, original, exclude) => {
+            const targets = resolveExcluded(original, exclude).map(el => {
+                const path = [];
+                for (let node = el; node !== original;) {
+                    if (node.parentElement) {
+                        path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+                        node = node.parentElement;
+                    } else {
+                        path.unshift({ shadow: shadowContentChildren(node.parentNode).indexOf(node) });
+                        node = node.parentNode.host;
+                    }
+                }
+                return path.reduce((node, step) => {
+                    if (typeof step === 'number') return node?.children[step];
+                    const container = node && Array.from(node.children).reverse()
+                        .find(child => child.hasAttribute('data-snatch-shadow'));
+                    return container ? shadowContentChildren(container)[step.shadow] : null;
+                }, clone);
+            });
+
+            // Remove after resolving all paths so indexes stay valid
+            targets.forEach(node => node?.remove());
+            if (targets.length) _log('info', `Excluded ${targets.length} elements from export`);
+            return clone;
+        };
+
+        const cleanupAttributes = (clone) => {
+            clone.querySelectorAll('*').forEach(el => {
+                Array.from(el.attributes).forEach(attr => {
+                    if (PATTERNS.keepDataAttributes.includes(attr.name)) return;
+                    for (const prefix of PATTERNS.removeDataPrefixes) {
+                        if (attr.name.startsWith(prefix)) {
+                            el.removeAttribute(attr.name);
+                            break;
+                        }
+                    }
+                });
+
+                ['class', 'style', 'id'].forEach(a => {
+                    const v = el.getAttribute(a);
+                    if (v !== null && v.trim() === '') el.removeAttribute(a);
+                });
+            });
+            return clone;
+        };
+
+        const prettifyHTML = (html) => {
+            if (!html) return '';
+            const selfClosing = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+            const blockTags = new Set(['html', 'head', 'body', 'header', 'footer', 'main', 'nav', 'section', 'article', 'aside', 'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'tr', 'td', 'th', 'form', 'fieldset', 'script', 'style', 'link', 'meta', 'title']);
+            const preserveTags = new Set(['script', 'style', 'pre', 'code', 'textarea']);
+
+            let result = '', indent = 0, inPreserve = false, preserveTag = '';
+            const tokens = html.match(/<[^>]+>|[^<]+/g) || [];
+
+            for (const token of tokens) {
+                if (token.startsWith('<')) {
+                    const isClosing = token.startsWith('</');
+                    const getTagName = t => { const m = t.match(/<\/?([a-zA-Z0-9]+)/); return m ? m[1].toLowerCase() : ''; };
+                    const tagName = getTagName(token);
+                    const isSelfClosing = token.endsWith('/>') || selfClosing.has(tagName);
+
+                    if (preserveTags.has(tagName)) {
+                        isClosing ? (inPreserve = false, preserveTag = '') : (!isSelfClosing && (inPreserve = true, preserveTag = tagName));
+                    }
+
+                    if (inPreserve && !token.includes(`<${preserveTag}`) && !token.includes(`</${preserveTag}`)) {
+                        result += token;
+                        continue;
+                    }
+
+                    if (isClosing) indent = Math.max(0, indent - 1);
+                    if (blockTags.has(tagName)) result += '\n' + ' '.repeat(indent * 2) + token;
+                    else result += token;
+                    if (!isClosing && !isSelfClosing && blockTags.has(tagName)) indent++;
+                } else {
+                    const trimmed = token.trim();
+                    if (trimmed) result += inPreserve ? token : trimmed;
+                }
+            }
+
+            return result.replace(/\n{3,}/g, '\n\n').trim();
+        };
+
+        // ═══════════════════════════════════════════════════════════════
+        // CSS MATCHING
+        // ═══════════════════════════════════════════════════════════════
+
+        const collectUsedClasses = (element) => {
+            const classes = new Set();
+            const traverse = (el) => {
+                if (el.classList) el.classList.forEach(c => classes.add(c));
+                for (const child of el.children) traverse(child);
+            };
+            toElementList(element).forEach(traverse);
+            return classes;
+        };
+
+        /**
+         * Get all elements in the subtree (including the root)
+         * Recursively traverses Shadow DOM for web components
+         * Accepts a list of roots for multi-element exports
+         */
+        const getAllElements = (element) => {
+            const elements = [];
+
+            const traverse = (el) => {
+                if (!el) return;
+                elements.push(el);
+
+                // Traverse Shadow DOM if accessible (open mode only)
+                if (el.shadowRoot) {
+                    _log('info', `Found shadow root in <${el.tagName.toLowerCase()}>`);
+                    el.shadowRoot.querySelectorAll('*').forEach(shadowEl => traverse(shadowEl));
+                }
+
+                // Traverse regular children
+                for (const child of el.children) {
+                    traverse(child);
+                }
+            };
+
+            toElementList(element).forEach(traverse);
+            return elements;
+        };
+
+        // ─── Selector matching ───
+
+        /** Pseudo-elements that may be written with a single colon */
+        const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+        /** Pseudo-classes taking a selector list matched against the same element (legacy aliases map to :is) */
+        const SELECTOR_LIST_PSEUDOS = { is: 'is', where: 'where', matches: 'is', '-webkit-any': 'is', '-moz-any': 'is' };
+
+        // Rewritten selectors by source text: { selector, dynamic }
+        const matchableCache = new Map();
+        // Whether this engine's element.matches() accepts a pseudo-class, by source text
+        const pseudoSupportCache = new Map();
+
+        const isPseudoSupported = (pseudo) => {
+            if (!pseudoSupportCache.has(pseudo)) {
+                let supported = true;
+                try {
+                    document.createElement('div').matches(pseudo);
+                } catch (e) {
+                    supported = false;
+                }
+                pseudoSupportCache.set(pseudo, supported);
+            }
+            return pseudoSupportCache.get(pseudo);
+        };
+
+        /**
+         * Rewrite a complex selector so element.matches() finds the elements it styles in any state
+         * - pseudo-elements and dynamic pseudo-classes (PATTERNS.dynamicPseudoClasses) are removed
+         * - :is()/:where()/:has() arguments are rewritten recursively
+         * - :not() with a state inside can hold in some state, so it is dropped whole
+         * - pseudo-classes this engine does not know (vendor prefixes, newer syntax) are dropped
+         * - a compound left empty becomes "*", keeping combinators valid
+         * @param {string} selector - Complex selector, or relative selector inside :has()
+         * @returns {{selector: string, dynamic: boolean}} dynamic: something was removed
+         */
+        const stripDynamicParts = (selector) => {
+            let out = '';
+            let dynamic = false;
+            let compoundStarted = false;
+            let compoundEmitted = false;
+            let inPseudoElement = false;
+            let i = 0;
+
+            const emit = (text) => {
+                out += text;
+                compoundStarted = compoundEmitted = true;
+            };
+            const drop = () => {
+                dynamic = compoundStarted = true;
+            };
+            const readName = () => {
+                const name = selector.slice(i).match(/^(?:\\.|[\w-])+/)?.[0] || '';
+                i += name.length;
+                return name;
+            };
+            // Bracketed block including delimiters; quotes may contain the closing character
+            const readBlock = (open, close) => {
+                const start = i;
+                let depth = 0;
+                let quote = null;
+                for (; i < selector.length; i++) {
+                    const ch = selector[i];
+                    if (quote) {
+                        if (ch === '\\') i++;
+                        else if (ch === quote) quote = null;
+                    } else if (ch === '"' || ch === "'") {
+                        quote = ch;
+                    } else if (ch === open) {
+                        depth++;
+                    } else if (ch === close && --depth === 0) {
+                        i++;
+                        break;
+                    }
+                }
+                return selector.slice(start, i);
+            };
+            const stripList = (list) => {
+                const parts = splitSelectorList(list).map(stripDynamicParts);
+                if (parts.some(part => part.dynamic)) dynamic = true;
+                return parts.map(part => part.selector).filter(Boolean).join(', ');
+            };
+
+            while (i < selector.length) {
+                const ch = selector[i];
+
+                const combinator = selector.slice(i).match(/^\s*([>+~])\s*|^\s+/);
+                if (combinator) {
+                    i += combinator[0].length;
+                    if (i >= selector.length) break;
+                    const hadCompound = compoundStarted;
+                    if (compoundStarted && !compoundEmitted) out += '*';
+                    compoundStarted = compoundEmitted = inPseudoElement = false;
+                    // A leading combinator is a relative selector (:has argument)
+                    if (combinator[1]) out += hadCompound ? ` ${combinator[1]} ` : `${combinator[1]} `;
+                    else if (hadCompound) out += ' ';
+                    continue;
+                }
+
+                if (ch === ':') {
+                    const isElement = selector[i + 1] === ':';
+                    i += isElement ? 2 : 1;
+                    const name = readName();
+                    const lower = name.toLowerCase();
+                    const args = selector[i] === '(' ? readBlock('(', ')').slice(1, -1) : null;
+
+                    if (isElement || inPseudoElement || LEGACY_PSEUDO_ELEMENTS.includes(lower)) {
+                        // Anything after a pseudo-element (::before:hover) styles the pseudo-element too
+                        inPseudoElement = true;
+                        drop();
+                    } else if (PATTERNS.dynamicPseudoClasses.includes(lower)) {
+                        drop();
+                    } else if (args !== null && (lower in SELECTOR_LIST_PSEUDOS || lower === 'has')) {
+                        const inner = stripList(args);
+                        if (inner) emit(`:${SELECTOR_LIST_PSEUDOS[lower] || lower}(${inner})`);
+                        else drop();
+                    } else if (args !== null && lower === 'not') {
+                        if (splitSelectorList(args).some(part => stripDynamicParts(part).dynamic)) drop();
+                        else emit(`:not(${args})`);
+                    } else {
+                        const pseudo = args === null ? `:${name}` : `:${name}(${args})`;
+                        if (isPseudoSupported(pseudo)) emit(pseudo);
+                        else drop();
+                    }
+                } else if (ch === '[') {
+                    emit(readBlock('[', ']'));
+                } else if (ch === '#' || ch === '.') {
+                    i++;
+                    emit(ch + readName());
+                } else if (/[\w-]/.test(ch) || ch === '\\') {
+                    emit(readName());
+                } else {
+                    // "*", "&", namespace "|" and anything else passes through
+                    emit(ch);
+                    i++;
+                }
+            }
+
+            if (compoundStarted && !compoundEmitted) out += '*';
+            return { selector: out.trim(), dynamic };
+        };
+
+        /**
+         * Cached stripDynamicParts
+         * @param {string} selector
+         * @returns {{selector: string, dynamic: boolean}}
+         */
+        const getMatchable = (selector) => {
+            if (!matchableCache.has(selector)) matchableCache.set(selector, stripDynamicParts(selector));
+            return matchableCache.get(selector);
+        };
+
+        /**
+         * Base selector for matching, e.g. ".btn:hover::before" -> ".btn"
+         * @param {string} selector
+         * @returns {string}
+         */
+        const toMatchableSelector = (selector) => getMatchable(selector).selector;
+
+        /**
+         * Check if a selector matches any element using native element.matches()
+         * Handles pseudo-selectors and invalid selectors gracefully
+         */
+        const selectorMatchesAny = (selector, elements) => {
+            const baseSelector = toMatchableSelector(selector);
+
+            if (!baseSelector) return false;
+
+            try {
+                for (const el of elements) {
+                    if (el.matches && el.matches(baseSelector)) {
+                        return true;
+                    }
+                }
+            } catch (e) {
+                // Invalid selector - fall back to class-based matching
+                _log('warn', `Invalid selector: ${selector}`);
+                return false;
+            }
+            return false;
+        };
+
+        /** Selectors that always ship with the export */
+        const UNIVERSAL_SELECTORS = ['*', 'html', 'body', ':root'];
+
+        /** Document-level rules whose custom properties are hoisted by generateUsedCSSVariables */
+        const ROOT_SELECTORS = [':root', 'html', 'body'];
+
+        /**
+         * @param {string} selector - Selector list
+         * @param {HTMLElement[]} elements
+         * @returns {boolean} true if any part of the list matches any element
+         */
+        const selectorListMatches = (selector, elements) => UNIVERSAL_SELECTORS.includes(selector) ||
+            splitSelectorList(selector).some(part => selectorMatchesAny(part, elements));
+
+        /**
+         * Count collected rules whose selector matches the element itself
+         * Cheap estimate for the Sniper label: at-rule blocks are not inspected
+         * @param {HTMLElement} element
+         * @returns {number}
+         */
+        const countMatchingRules = (element) => {
+            let count = 0;
+            for (const rule of allCSSRules) {
+                if (rule.selector.startsWith('@')) continue;
+                if (splitSelectorList(rule.selector).some(part => selectorMatchesAny(part, [element]))) count++;
+            }
+            return count;
+        };
+
+        /**
+         * Serialize a structured entry keeping only what matches the export
+         * Grouping at-rules and nested style rules keep their original structure
+         * @param {Object} entry - See processRule
+         * @param {HTMLElement[]} elements
+         * @param {string} [indent]
+         * @returns {string} '' when nothing inside matches
+         */
+        const renderEntry = (entry, elements, indent = '') => {
+            if (entry.kind === 'declarations') return `${indent}${entry.cssText}`;
+
+            const renderChildren = () => entry.children
+                .map(child => renderEntry(child, elements, indent + '  '))
+                .filter(Boolean);
+
+            if (entry.selector.startsWith('@')) {
+                const inner = renderChildren();
+                return inner.length ? `${indent}${entry.selector} {\n${inner.join('\n')}\n${indent}}` : '';
+            }
+
+            if (!selectorListMatches(entry.matchSelector || entry.selector, elements)) return '';
+            if (!entry.children?.length) return `${indent}${entry.selector} { ${entry.cssText} }`;
+
+            const body = [entry.cssText && `${indent}  ${entry.cssText}`, ...renderChildren()].filter(Boolean);
+            return `${indent}${entry.selector} {\n${body.join('\n')}\n${indent}}`;
+        };
+
+        /**
+         * @property registrations referenced by the matched CSS or inline styles
+         * @param {string} css
+         * @param {HTMLElement[]} elements
+         * @returns {string[]}
+         */
+        const getUsedPropertyRules = (css, elements) => {
+            const inline = elements.map(el => el.getAttribute?.('style') || '').join('\n');
+            return propertyRules
+                .filter(({ name }) => new RegExp(`${name}(?![\\w-])`).test(css + '\n' + inline))
+                .map(({ cssText }) => cssText);
+        };
+
+        // ─── Cascade tree shaking ───
+
+        /** Functional pseudo-classes whose specificity is that of their most specific argument */
+        const SPECIFICITY_FORWARDING = ['is', 'not', 'has', 'matches', '-webkit-any', '-moz-any'];
+
+        const PSEUDO_ELEMENT_RE = new RegExp(`::|:(?:${LEGACY_PSEUDO_ELEMENTS.join('|')})(?![\\w-])`, 'i');
+
+        const compareSpecificity = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+        /**
+         * Selector specificity as [ids, classes/attributes/pseudo-classes, types/pseudo-elements]
+         * :is()/:not()/:has() count their most specific argument, :where() counts zero
+         * @param {string} selector - Complex selector without top-level commas
+         * @returns {number[]}
+         */
+        const calculateSpecificity = (selector) => {
+            const specificity = [0, 0, 0];
+            let i = 0;
+
+            const readName = () => {
+                const name = selector.slice(i).match(/^(?:\\.|[\w-])+/)?.[0] || '';
+                i += name.length;
+                return name;
+            };
+            const readArgs = () => {
+                const start = i + 1;
+                for (let depth = 0; i < selector.length; i++) {
+                    if (selector[i] === '(') depth++;
+                    else if (selector[i] === ')' && --depth === 0) break;
+                }
+                return selector.slice(start, i++);
+            };
+
+            while (i < selector.length) {
+                const ch = selector[i];
+                if (ch === '#') {
+                    i++;
+                    readName();
+                    specificity[0]++;
+                } else if (ch === '.') {
+                    i++;
+                    readName();
+                    specificity[1]++;
+                } else if (ch === '[') {
+                    i = selector.indexOf(']', i) + 1 || selector.length;
+                    specificity[1]++;
+                } else if (ch === ':') {
+                    const isElement = selector[i + 1] === ':';
+                    i += isElement ? 2 : 1;
+                    const name = readName().toLowerCase();
+                    const args = selector[i] === '(' ? readArgs() : null;
+
+                    if (isElement || LEGACY_PSEUDO_ELEMENTS.includes(name)) {
+                        specificity[2]++;
+                    } else if (SPECIFICITY_FORWARDING.includes(name) && args !== null) {
+                        const max = splitSelectorList(args).map(calculateSpecificity)
+                            .reduce((best, s) => (compareSpecificity(s, best) > 0 ? s : best), [0, 0, 0]);
+                        max.forEach((n, k) => { specificity[k] += n; });
+                    } else if (name !== 'where') {
+                        specificity[1]++;
+                    }
+                } else if (/[\w-]/.test(ch)) {
+                    readName();
+                    specificity[2]++;
+                } else {
+                    // Combinators, whitespace, "*" and "&"
+                    i++;
+                }
+            }
+            return specificity;
+        };
+
+        /**
+         * @param {string} cssText
+         * @returns {Array<{property: string, text: string, important: boolean}>}
+         */
+        const parseDeclarations = (cssText) => splitDeclarations(cssText)
+            .map(text => {
+                const colon = text.indexOf(':');
+                if (colon <= 0) return null;
+                const property = text.slice(0, colon).trim();
+                return {
+                    property: property.startsWith('--') ? property : property.toLowerCase(),
+                    text,
+                    important: /!\s*important\s*$/i.test(text)
+                };
+            })
+            .filter(Boolean);
+
+        const matchesSafely = (el, selector) => {
+            try {
+                return !!selector && el.matches(selector);
+            } catch (e) {
+                return false;
+            }
+        };
+
+        /**
+         * Drop declarations that never win the cascade in the export
+         * A declaration goes when, on every exported element its rule matches, the
+         * same property is set with higher priority (importance, specificity, source
+         * order) by another top-level rule or the inline style. Pseudo-element rules
+         * are left alone; state rules (:hover, :focus…) can lose but never override.
+         * Repeated properties in one block are fallbacks and are kept
+         * @param {Array<{selector: string, cssText: string}>} rules - Top-level style rules in source order (cssText is rewritten)
+         * @param {HTMLElement[]} elements - Exported elements
+         * @returns {number} Declarations removed
+         */
+        const shakeOverriddenDeclarations = (rules, elements) => {
+            const candidates = rules
+                .map((rule, order) => {
+                    const parts = splitSelectorList(rule.selector);
+                    if (parts.some(part => PSEUDO_ELEMENT_RE.test(part))) return null;
+
+                    const declarations = parseDeclarations(rule.cssText);
+                    const counts = new Map();
+                    declarations.forEach(d => counts.set(d.property, (counts.get(d.property) || 0) + 1));
+                    return {
+                        rule,
+                        order,
+                        declarations,
+                        parts: parts.map(part => ({ ...getMatchable(part), specificity: calculateSpecificity(part) })),
+                        matchedAny: false,
+                        // Properties that have lost on every element seen so far
+                        removable: new Set(declarations.map(d => d.property).filter(p => counts.get(p) === 1))
+                    };
+                })
+                .filter(Boolean);
+
+            const beats = (winner, loser) => (winner.important !== loser.important
+                ? winner.important
+                : (compareSpecificity(winner.specificity, loser.specificity) || winner.order - loser.order) > 0);
+
+            for (const el of elements) {
+                if (!el.matches) continue;
+                const inline = parseDeclarations(el.getAttribute('style'));
+                const applying = [];
+
+                for (const candidate of candidates) {
+                    let winSpecificity = null;
+                    let loseSpecificity = null;
+                    for (const part of candidate.parts) {
+                        if (!matchesSafely(el, part.selector)) continue;
+                        if (!loseSpecificity || compareSpecificity(part.specificity, loseSpecificity) > 0) loseSpecificity = part.specificity;
+                        if (!part.dynamic && (!winSpecificity || compareSpecificity(part.specificity, winSpecificity) > 0)) winSpecificity = part.specificity;
+                    }
+                    if (!loseSpecificity) continue;
+                    candidate.matchedAny = true;
+                    applying.push({ candidate, winSpecificity, loseSpecificity });
+                }
+
+                for (const { candidate, loseSpecificity } of applying) {
+                    for (const d of candidate.declarations) {
+                        if (!candidate.removable.has(d.property)) continue;
+                        const loser = { important: d.important, specificity: loseSpecificity, order: candidate.order };
+                        const beaten = inline.some(i => i.property === d.property && (i.important || !d.important)) ||
+                            applying.some(other => other.candidate !== candidate && other.winSpecificity &&
+                                other.candidate.declarations.some(od => od.property === d.property && beats(
+                                    { important: od.important, specificity: other.winSpecificity, order: other.candidate.order }, loser)));
+                        if (!beaten) candidate.removable.delete(d.property);
+                    }
+                }
+            }
+
+            let removed = 0;
+            for (const candidate of candidates) {
+                if (!candidate.matchedAny || !candidate.removable.size) continue;
+                const kept = candidate.declarations.filter(d => !candidate.removable.has(d.property));
+                removed += candidate.declarations.length - kept.length;
+                candidate.rule.cssText = kept.map(d => `${d.text};`).join(' ');
+            }
+            return removed;
+        };
+
+        /**
+         * Merge style rules whose declaration blocks are identical
+         * A later rule moves up into the earlier one only when no rule in between
+         * sets any of its properties and no at-rule block sits in between
+         * @param {Object[]} items - Top-level output in source order; plain rules are { selector, cssText, sources }
+         * @returns {{items: Object[], merged: number}}
+         */
+        const mergeIdenticalRules = (items) => {
+            const isPlainRule = item => !item.children && !item.text;
+            const result = [];
+            let merged = 0;
+
+            const findTarget = (item) => {
+                const properties = parseDeclarations(item.cssText).map(d => d.property);
+                for (let i = result.length - 1; i >= 0; i--) {
+                    const earlier = result[i];
+                    if (!isPlainRule(earlier)) return -1;
+                    if (earlier.cssText === item.cssText) return i;
+                    if (parseDeclarations(earlier.cssText).some(d => properties.includes(d.property))) return -1;
+                }
+                return -1;
+            };
+
+            for (const item of items) {
+                const target = isPlainRule(item) ? findTarget(item) : -1;
+                if (target === -1) {
+                    result.push(item);
+                    continue;
+                }
+                result[target] = {
+                    selector: `${result[target].selector}, ${item.selector}`,
+                    cssText: item.cssText,
+                    sources: [...result[target].sources, ...item.sources]
+                };
+                merged++;
+            }
+            return { items: result, merged };
+        };
+
+        /**
+         * Properties set by structured entries, including nested group rules
+         * @param {Object[]} entries - { selector, cssText } or { selector, children }
+         * @returns {string[]}
+         */
+        const collectEntryProperties = (entries) => entries.flatMap(entry => (entry.children
+            ? collectEntryProperties(entry.children)
+            : parseDeclarations(entry.cssText).map(d => d.property)));
+
+        /**
+         * Provenance comment for an emitted rule
+         * @param {Array<{sheet: string, rule: number}>} sources
+         * @returns {string} e.g. "/* https://site.com/app.css #12 *\/"
+         */
+        const formatSourceComment = (sources) => {
+            const labels = [...new Set(sources.map(({ sheet, rule }) => `${sheet} #${rule}`))];
+            return `/* ${labels.join(', ').replace(/\*\//g, '*\\/')} */`;
+        };
+
+        /**
+         * NEW: Native element.matches() based CSS matching
+         * This provides precise matching and eliminates CSS bloat
+         */
+        const getMatchedCSSRules = (usedClasses, element) => {
+            const elements = getAllElements(element);
+            const matched = [];
+            const seen = new Set();
+            // Media condition -> last { selector, children, properties, index } for merging identical conditions
+            const mediaBlocks = new Map();
+            const origins = {};
+            const countOrigin = rule => { if (rule.origin) origins[rule.origin] = (origins[rule.origin] || 0) + 1; };
+
+            for (const rule of allCSSRules) {
+                if (rule.children && rule.selector.startsWith('@media')) {
+                    const inner = rule.children.map(child => renderEntry(child, elements, '  ')).filter(Boolean);
+                    if (!inner.length) continue;
+                    countOrigin(rule);
+
+                    const properties = collectEntryProperties(rule.children);
+                    const previous = mediaBlocks.get(rule.selector);
+                    // Like mergeIdenticalRules: the rules move up into the earlier block only when nothing
+                    // in between sets their properties, so the same declarations keep winning
+                    const canMerge = previous && matched.slice(previous.index + 1).every(item => !item.text &&
+                        !(item.children ? item.properties : parseDeclarations(item.cssText).map(d => d.property))
+                            .some(property => properties.includes(property)));
+                    if (canMerge) {
+                        previous.children.push(...inner);
+                        previous.properties.push(...properties);
+                        if (rule.source) previous.sources.push(rule.source);
+                        continue;
+                    }
+
+                    const block = { selector: rule.selector, children: inner, properties, sources: rule.source ? [rule.source] : [] };
+                    block.index = matched.push(block) - 1;
+                    mediaBlocks.set(rule.selector, block);
+                    continue;
+                }
+
+                // Structured entries: grouping at-rules and rules with nested children
+                if (rule.children) {
+                    const css = renderEntry(rule, elements);
+                    if (css) {
+                        matched.push({ selector: rule.selector, text: css, sources: rule.source ? [rule.source] : [] });
+                        countOrigin(rule);
+                    }
+                    continue;
+                }
+
+                const sel = rule.selector;
+                // Only exact repeats are dropped: later rules with the same selector still take part in the cascade
+                const key = `${sel} { ${rule.cssText} }`;
+                if (seen.has(key)) continue;
+
+                // Use native element.matches() for precise matching
+                if (selectorListMatches(sel, elements)) {
+                    seen.add(key);
+                    // Root-level custom properties are emitted by generateUsedCSSVariables, only the used ones
+                    const cssText = ROOT_SELECTORS.includes(sel) ? stripCustomProperties(rule.cssText) : rule.cssText;
+                    if (cssText) {
+                        matched.push({ selector: sel, cssText, sources: rule.source ? [rule.source] : [] });
+                        countOrigin(rule);
+                    }
+                }
+            }
+
+            const serialize = (items, annotate = false) => items.map(item => {
+                const comment = annotate && item.sources.length ? `${formatSourceComment(item.sources)}\n` : '';
+                if (item.text) return comment + item.text;
+                if (item.children) return `${comment}${item.selector} {\n${[...new Set(item.children)].join('\n')}\n}`;
+                return `${comment}${item.selector} { ${item.cssText} }`;
+            }).join('\n');
+
+            let items = matched;
+            const before = serialize(items).length;
+            let removedDeclarations = 0;
+            let mergedRules = 0;
+
+            if (isOptimizationEnabled('treeShaking')) {
+                const isPlainRule = item => !item.children && !item.text;
+                removedDeclarations = shakeOverriddenDeclarations(items.filter(isPlainRule), elements);
+                items = items.filter(item => !isPlainRule(item) || item.cssText);
+            }
+            if (isOptimizationEnabled('mergeRules')) {
+                ({ items, merged: mergedRules } = mergeIdenticalRules(items));
+            }
+
+            const plainCSS = serialize(items);
+            const css = isProvenanceEnabled('comments') ? serialize(items, true) : plainCSS;
+            const header = getUsedPropertyRules(plainCSS, elements);
+            // Layer order is declared up front so dropped layer blocks cannot reorder the rest
+            if (layerOrder.length && css.includes('@layer')) header.unshift(`@layer ${layerOrder.join(', ')};`);
+
+            lastOptimization = { before, after: plainCSS.length, saved: before - plainCSS.length, removedDeclarations, mergedRules };
+            lastOrigins = { collected: { ...collectedOrigins }, matched: origins };
+            lastSourceMap = items.map(item => ({ selector: item.selector, sources: item.sources }));
+            _log('info', `Matched ${items.length} CSS rules out of ${allCSSRules.length} total, optimization saved ${lastOptimization.saved} bytes`);
+            return [...header, css].filter(Boolean).join('\n');
+        };
+
+        /**
+         * @param {string} cssText
+         * @returns {string} Declarations without custom properties
+         */
+        const stripCustomProperties = (cssText) => splitDeclarations(cssText)
+            .filter(declaration => !declaration.startsWith('--'))
+            .map(declaration => `${declaration};`)
+            .join(' ');
+
+        /**
+         * Parent chain of an element in its source document, crossing shadow boundaries
+         * @param {HTMLElement} element
+         * @returns {HTMLElement[]} Nearest ancestor first, ending at <html>
+         */
+        const getAncestors = (element) => {
+            const ancestors = [];
+            let node = element?.parentElement || element?.getRootNode?.().host;
+            while (node) {
+                ancestors.push(node);
+                node = node.parentElement || node.getRootNode().host;
+            }
+            return ancestors;
+        };
+
+        /**
+         * Custom properties referenced by the export, followed transitively through
+         * the values they are declared with (including nested var() fallbacks)
+         * @param {string} text - Exported CSS and inline styles
+         * @returns {Set<string>}
+         */
+        const resolveUsedVariables = (text) => {
+            const used = new Set();
+            const queue = extractVarRefs(text);
+            while (queue.length) {
+                const name = queue.shift();
+                if (used.has(name)) continue;
+                used.add(name);
+                customProperties.forEach(decl => {
+                    if (decl.name === name) queue.push(...extractVarRefs(decl.value));
+                });
+            }
+            return used;
+        };
+
+        /**
+         * Custom property declarations the export uses, under their original selectors
+         * Declarations in rules that ship with the export stay in those rules; the ones from
+         * :root, html, body and rules matching ancestors of the selection (.dark, [data-theme],
+         * component wrappers) are emitted here in source order, so theme scopes survive.
+         * Ancestors do not ship with the export: the values they resolve to now fall back to
+         * :root, or to the clone's own style when the selected subtrees disagree
+         * @param {string} css - Matched CSS and keyframes of the export
+         * @param {HTMLElement[]} clones - Cleaned export clones, one per source
+         * @param {HTMLElement[]} sources - Original elements in the page
+         * @returns {string}
+         */
+        const generateUsedCSSVariables = (css, clones, sources) => {
+            const inline = getAllElements(clones).map(el => el.getAttribute?.('style') || '').join('\n');
+            const used = resolveUsedVariables(`${css}\n${inline}`);
+            if (!used.size) return '';
+
+            const exported = getAllElements(clones);
+            const chains = sources.map(getAncestors);
+            const ancestors = [...new Set(chains.flat())];
+            const matchCache = new Map();
+            const matches = (selector, elements, key) => {
+                const cacheKey = `${key}\n${selector}`;
+                if (!matchCache.has(cacheKey)) matchCache.set(cacheKey, selectorListMatches(selector, elements));
+                return matchCache.get(cacheKey);
+            };
+            const declarations = customProperties.filter(({ name, conditional }) => used.has(name) && !conditional);
+
+            const blocks = new Map(); // selector -> Map(name -> value)
+            const rootValues = new Map();
+            for (const { selector, name, value } of declarations) {
+                const isRoot = ROOT_SELECTORS.includes(selector);
+                if (!isRoot && (!matches(selector, ancestors, 'ancestors') || matches(selector, exported, 'export'))) continue;
+                if (!blocks.has(selector)) blocks.set(selector, new Map());
+                blocks.get(selector).set(name, value);
+                if (isRoot) rootValues.set(name, value);
+            }
+
+            // Value each selected subtree sees now; the page has already resolved the cascade for its parent
+            const active = chains.map((chain, i) => {
+                const values = new Map();
+                declarations.forEach(({ selector, name, value }) => {
+                    if (ROOT_SELECTORS.includes(selector) || matches(selector, chain, `chain${i}`)) values.set(name, value);
+                });
+                if (chain[0]) {
+                    const computed = (chain[0].ownerDocument.defaultView || window).getComputedStyle(chain[0]);
+                    used.forEach(name => {
+                        const value = computed.getPropertyValue(name).trim();
+                        if (value) values.set(name, value);
+                    });
+                }
+                return values;
+            });
+
+            const fallback = new Map();
+            used.forEach(name => {
+                const values = active.map(map => map.get(name));
+                if (values.every(value => value === rootValues.get(name))) return;
+                if (values.every(value => value === values[0])) {
+                    fallback.set(name, values[0]);
+                    return;
+                }
+                values.forEach((value, i) => {
+                    if (value !== undefined && value !== rootValues.get(name)) clones[i]?.style?.setProperty(name, value);
+                });
+            });
+            return [...blocks, ...(fallback.size ? [[':root', fallback]] : [])].map(([selector, values]) => {
+                const vars = Array.from(values, ([n, v]) => `  ${n}: ${v};`).join('\n');
+                return `${selector} {\n${vars}\n}`;
+            }).join('\n');
+        };
+
+        // ─── Used @keyframes and @font-face ───
+
+        const FONT_WEIGHT_KEYWORDS = { normal: 400, bold: 700, bolder: 700, lighter: 300 };
+        const TEXT_CONTROLS = new Set(['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON', 'OPTION']);
+
+        /**
+         * @param {string} css - @keyframes rule text
+         * @returns {string|null}
+         */
+        const getKeyframesName = (css) => css.match(/^@(?:-[a-z]+-)?keyframes\s+(["']?)([^\s"'{]+)\1/i)?.[2] || null;
+
+        /**
+         * Tokens of animation / animation-name declarations (names among durations and easings)
+         * @param {string} text - CSS or inline styles
+         * @returns {Set<string>}
+         */
+        const collectAnimationNames = (text) => {
+            const names = new Set();
+            for (const [, value] of (text || '').matchAll(/animation(?:-name)?\s*:\s*([^;}]+)/gi)) {
+                value.split(/[\s,]+/).forEach(token => names.add(token.replace(/^["']|["']$/g, '')));
+            }
+            return names;
+        };
+
+        /**
+         * @param {string} value - font-weight value or descriptor
+         * @returns {number}
+         */
+        const parseFontWeight = (value) => FONT_WEIGHT_KEYWORDS[value] ?? (parseFloat(value) || 400);
+
+        /**
+         * @param {string} family - font-family list
+         * @returns {string[]} Lowercased family names without quotes
+         */
+        const parseFontFamilies = (family) => splitTopLevel(family || '', ',')
+            .map(name => name.trim().replace(/^["']|["']$/g, '').toLowerCase())
+            .filter(Boolean);
+
+        /**
+         * @param {string} value - unicode-range descriptor
+         * @returns {Array<[number, number]>|null} null when the face covers everything
+         */
+        const parseUnicodeRange = (value) => {
+            if (!value) return null;
+            return value.split(',').map(part => {
+                const [start, end] = part.trim().replace(/^u\+/i, '').split('-');
+                if (start.includes('?')) return [parseInt(start.replace(/\?/g, '0'), 16), parseInt(start.replace(/\?/g, 'f'), 16)];
+                return [parseInt(start, 16), parseInt(end || start, 16)];
+            }).filter(([from, to]) => !isNaN(from) && !isNaN(to));
+        };
+
+        /**
+         * @param {string} css - @font-face rule text
+         * @returns {{css: string, family: string, weight: number[], style: string, ranges: Array|null}}
+         */
+        const parseFontFace = (css) => {
+            const body = css.slice(css.indexOf('{') + 1);
+            const descriptors = {};
+            splitDeclarations(body.replace(/}\s*$/, '')).forEach(declaration => {
+                const colon = declaration.indexOf(':');
+                if (colon > 0) descriptors[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim();
+            });
+            const weights = (descriptors['font-weight'] || 'normal').split(/\s+/).map(parseFontWeight);
+            return {
+                css,
+                family: parseFontFamilies(descriptors['font-family'])[0] || '',
+                weight: [Math.min(...weights), Math.max(...weights)],
+                style: (descriptors['font-style'] || 'normal').split(/\s+/)[0].toLowerCase(),
+                ranges: parseUnicodeRange(descriptors['unicode-range'])
+            };
+        };
+
+        /**
+         * Faces the browser would pick for a weight (CSS Fonts 4 font matching):
+         * an exact range wins; otherwise 400–500 look heavier up to 500, then lighter, then heavier;
+         * lighter weights look lighter first and bolder weights heavier first
+         * @param {Object[]} faces - parseFontFace() results of one family and style
+         * @param {number} weight
+         * @returns {Object[]}
+         */
+        const pickFacesByWeight = (faces, weight) => {
+            const distance = ({ weight: [min, max] }) => {
+                if (min <= weight && weight <= max) return 0;
+                const nearest = weight < min ? min : max;
+                const heavier = nearest > weight;
+                const delta = Math.abs(nearest - weight);
+                if (weight > 500) return heavier ? delta : 1000 + delta;
+                if (weight < 400) return heavier ? 1000 + delta : delta;
+                if (heavier) return nearest <= 500 ? delta : 2000 + delta;
+                return 1000 + delta;
+            };
+            const best = Math.min(...faces.map(distance));
+            return faces.filter(face => distance(face) === best);
+        };
+
+        /**
+         * Computed font and animation usage of the source elements and their ::before / ::after
+         * Only boxes that render text count towards fonts, so wrappers do not pin their faces
+         * @param {HTMLElement[]} sources - Original elements in the page
+         * @param {Array<HTMLElement|string>} [exclude] - Descendants (or selectors) left out of the export
+         * @returns {{fonts: Array<{families: string[], weight: number, style: string}>, animationNames: Set<string>, pseudoText: string}}
+         */
+        const collectComputedUsage = (sources, exclude = []) => {
+            const fonts = new Map();
+            const excluded = sources.flatMap(source => resolveExcluded(source, exclude));
+            const animationNames = new Set();
+            let pseudoText = '';
+
+            const recordFont = (families, weight, style) => {
+                if (!families.length) return;
+                const key = `${families.join(',')}|${weight}|${style}`;
+                if (!fonts.has(key)) fonts.set(key, { families, weight, style });
+            };
+
+            getAllElements(sources).forEach(el => {
+                if (excluded.some(node => node.contains(el))) return;
+                const view = el.ownerDocument?.defaultView || window;
+                const computed = view.getComputedStyle(el);
+                (computed.animationName || '').split(/\s*,\s*/).forEach(name => name && name !== 'none' && animationNames.add(name));
+
+                // Engines without font-family inheritance report it only on the declaring element
+                let family = computed.fontFamily;
+                for (let node = el.parentElement; !family && node; node = node.parentElement) {
+                    family = view.getComputedStyle(node).fontFamily;
+                }
+                const families = parseFontFamilies(family);
+                const weight = parseFontWeight(computed.fontWeight || 'normal');
+                const style = (computed.fontStyle || 'normal').split(/\s+/)[0];
+
+                const rendersText = TEXT_CONTROLS.has(el.tagName) ||
+                    Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+                if (rendersText) recordFont(families, weight, style);
+
+                ['::before', '::after'].forEach(pseudo => {
+                    const pseudoStyle = view.getComputedStyle(el, pseudo);
+                    const content = pseudoStyle.content;
+                    if (!content || content === 'none' || content === 'normal') return;
+                    pseudoText += content;
+                    recordFont(parseFontFamilies(pseudoStyle.fontFamily || family),
+                        parseFontWeight(pseudoStyle.fontWeight || String(weight)),
+                        (pseudoStyle.fontStyle || style).split(/\s+/)[0]);
+                    (pseudoStyle.animationName || '').split(/\s*,\s*/).forEach(name => name && name !== 'none' && animationNames.add(name));
+                });
+            });
+
+            return { fonts: Array.from(fonts.values()), animationNames, pseudoText };
+        };
+
+        /**
+         * @keyframes referenced by the export: animation declarations in the matched CSS
+         * and inline styles, values of the custom properties it uses, computed animation-name
+         * of the source elements and CSS animations captured by extractRealAnimations()
+         * @param {string} matchedCSS
+         * @param {HTMLElement[]} clones - Cleaned export clones
+         * @param {Object} usage - collectComputedUsage() result
+         * @param {Object} [extracted] - extractRealAnimations() result
+         * @returns {string}
+         */
+        const selectUsedKeyframes = (matchedCSS, clones, usage, extracted) => {
+            const inline = getAllElements(clones).map(el => el.getAttribute?.('style') || '').join(';');
+            const names = collectAnimationNames(`${matchedCSS}\n${inline}`);
+            const usedVariables = resolveUsedVariables(`${matchedCSS}\n${inline}`);
+            customProperties.forEach(({ name, value }) => {
+                if (usedVariables.has(name)) value.split(/[\s,]+/).forEach(token => names.add(token));
+            });
+            usage.animationNames.forEach(name => names.add(name));
+            (extracted?.animations || []).forEach(anim => anim.sourceName && names.add(anim.sourceName));
+
+            const seen = new Set();
+            return allKeyframes.filter(css => {
+                const name = getKeyframesName(css);
+                if (!names.has(name) || seen.has(css)) return false;
+                seen.add(css);
+                return true;
+            }).join('\n\n');
+        };
+
+        /**
+         * font-weight / font-style values of state-dependent rules: inside @media and other
+         * group rules, or behind a pseudo-class (:hover, :focus, :checked, ...). The computed
+         * style only shows the current state, these faces are needed once the state changes
+         * @param {string} css - Matched CSS
+         * @param {boolean} [conditional] - css is the body of a group rule
+         * @param {{weights: Set<number>, styles: Set<string>}} [found]
+         * @returns {{weights: Set<number>, styles: Set<string>}}
+         */
+        const collectStateFontVariants = (css, conditional = false, found = { weights: new Set(), styles: new Set() }) => {
+            parseCSSBlocks(css || '').forEach(block => {
+                if ('raw' in block || block.body === null) return;
+                const { prelude, body } = block;
+                if (GROUP_AT_RULE_RE.test(prelude) || /^@scope\b/i.test(prelude)) {
+                    collectStateFontVariants(body, true, found);
+                    return;
+                }
+                if (prelude.startsWith('@') || (!conditional && !/:[\w-]/.test(prelude.replace(/::[\w-]+/g, '')))) return;
+
+                for (const [, value] of body.matchAll(/font-weight\s*:\s*([^;{}!]+)/gi)) found.weights.add(parseFontWeight(value.trim()));
+                for (const [, value] of body.matchAll(/font-style\s*:\s*([^;{}!]+)/gi)) found.styles.add(value.trim().split(/\s+/)[0]);
+                for (const [, value] of body.matchAll(/(?:^|[\s;{])font\s*:\s*([^;{}!]+)/gi)) {
+                    value.trim().split(/\s+/).forEach(token => {
+                        if (/^(?:italic|oblique)$/i.test(token)) found.styles.add(token.toLowerCase());
+                        else if (/^(?:bold|bolder|lighter|[1-9]00)$/i.test(token)) found.weights.add(parseFontWeight(token.toLowerCase()));
+                    });
+                }
+            });
+            return found;
+        };
+
+        /**
+         * @font-face blocks for the families, weights and styles the export renders,
+         * without unicode-range subsets that cover none of its characters
+         * Keeps everything when computed fonts are unavailable
+         * @param {Object} usage - collectComputedUsage() result
+         * @param {string} text - Text content of the export
+         * @param {string} [matchedCSS] - Adds the weights and styles of state-dependent rules
+         * @returns {string}
+         */
+        const selectUsedFontFaces = (usage, text, matchedCSS = '') => {
+            if (!usage.fonts.length) return allFontFaces.join('\n\n');
+
+            const faces = allFontFaces.map(parseFontFace);
+            const kept = new Set();
+            const { weights, styles } = collectStateFontVariants(matchedCSS);
+            const variants = usage.fonts.flatMap(font => [
+                font,
+                ...Array.from(weights, weight => ({ ...font, weight })),
+                ...Array.from(styles, style => ({ ...font, style }))
+            ]);
+            for (const { families, weight, style } of variants) {
+                for (const family of families) {
+                    const candidates = faces.filter(face => face.family === family);
+                    if (!candidates.length) continue;
+                    // italic falls back to oblique and vice versa, then to normal
+                    const styled = [
+                        candidates.filter(face => face.style === style),
+                        candidates.filter(face => style !== 'normal' && face.style !== 'normal'),
+                        candidates
+                    ].find(list => list.length);
+                    pickFacesByWeight(styled, weight).forEach(face => kept.add(face));
+                }
+            }
+
+            const codePoints = Array.from(text.replace(/\s/g, ''), char => char.codePointAt(0));
+            const covers = ({ ranges }) => !ranges || !codePoints.length ||
+                ranges.some(([from, to]) => codePoints.some(point => point >= from && point <= to));
+
+            return faces.filter(face => kept.has(face) && covers(face)).map(face => face.css).join('\n\n');
+        };
+
+        // ─── Scoped export ───
+
+        const SCOPE_STRATEGIES = ['class', 'scope', 'shadow'];
+        const ROOT_COMPOUND_RE = /^(?::root|html|body)(?![\w-])/i;
+        const GROUP_AT_RULE_RE = /^@(?:media|supports|container|layer|document|-moz-document|starting-style)\b/i;
+        // Rules that cannot live inside @scope and do not leak styles onto the host page
+        const UNSCOPED_AT_RULE_RE = /^@(?:-[a-z]+-)?(?:keyframes|font-face|property)\b/i;
+        const KEYFRAMES_NAME_RE = /@((?:-[a-z]+-)?keyframes)\s+(["']?)([^\s"'{]+)\2/gi;
+        const ANIMATION_DECLARATION_RE = /(^|[\s;{])((?:-webkit-)?animation(?:-name)?|--[\w-]+)(\s*:\s*)([^;{}]+)/gi;
+
+        /**
+         * Top-level rules and statements of a stylesheet text
+         * Comments are kept as raw items so banners survive rewriting
+         * @param {string} css
+         * @returns {Array<{prelude: string, body: string|null}|{raw: string}>} body is null for statements
+         */
+        const parseCSSBlocks = (css) => {
+            const blocks = [];
+            let depth = 0;
+            let parens = 0;
+            let quote = null;
+            let start = 0;
+            let prelude = '';
+            for (let i = 0; i < css.length; i++) {
+                const ch = css[i];
+                if (quote) {
+                    if (ch === '\\') i++;
+                    else if (ch === quote) quote = null;
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                } else if (ch === '/' && css[i + 1] === '*') {
+                    const end = css.indexOf('*/', i + 2);
+                    const close = end === -1 ? css.length : end + 2;
+                    if (depth === 0 && !css.slice(start, i).trim()) {
+                        blocks.push({ raw: css.slice(i, close) });
+                        start = close;
+                    }
+                    i = close - 1;
+                } else if (ch === '{') {
+                    if (depth++ === 0) {
+                        prelude = css.slice(start, i).trim();
+                        start = i + 1;
+                    }
+                } else if (ch === '}') {
+                    if (depth > 0 && --depth === 0) {
+                        blocks.push({ prelude, body: css.slice(start, i) });
+                        start = i + 1;
+                    }
+                } else if (ch === '(' || ch === ')') {
+                    // Semicolons inside url(data:...;base64,...) do not end a statement
+                    parens = Math.max(0, parens + (ch === '(' ? 1 : -1));
+                } else if (ch === ';' && depth === 0 && parens === 0) {
+                    const statement = css.slice(start, i).trim();
+                    if (statement) blocks.push({ prelude: statement, body: null });
+                    start = i + 1;
+                }
+            }
+            // The last declaration of a block usually has no semicolon
+            const rest = css.slice(start).trim();
+            if (rest && depth === 0) blocks.push({ prelude: rest, body: null });
+            return blocks;
+        };
+
+        /**
+         * @param {Array} blocks - parseCSSBlocks() items
+         * @param {string} [indent] - Prefix of every block, for rules inside a group rule
+         * @returns {string}
+         */
+        const serializeCSSBlocks = (blocks, indent = '') => blocks
+            .map(block => indent + ('raw' in block ? block.raw : (block.body === null ? `${block.prelude};` : `${block.prelude} {${block.body}}`)))
+            .join('\n');
+
+        /**
+         * Rewrites one selector list for a scoped export
+         * :root, html and body (and chains of them) become the scope root;
+         * with prefix, every other selector is nested under it
+         * @param {string} selector
+         * @param {string} root - Root class selector, :scope or :host
+         * @param {boolean} prefix - Nest non-root selectors under root
+         * @returns {string}
+         */
+        const scopeSelector = (selector, root, prefix) => splitSelectorList(selector).map(part => {
+            if (!ROOT_COMPOUND_RE.test(part)) return prefix ? `${root} ${part}` : part;
+
+            let rest = part;
+            while (ROOT_COMPOUND_RE.test(rest)) {
+                rest = rest.replace(ROOT_COMPOUND_RE, '');
+                const next = rest.replace(/^\s*>?\s*/, '');
+                if (!ROOT_COMPOUND_RE.test(next)) break;
+                rest = next;
+            }
+            // body.dark → :host(.dark); class roots take the compound directly
+            const compound = rest.match(/^[^\s>+~]+/)?.[0];
+            if (compound && root === ':host') return `:host(${compound})${rest.slice(compound.length)}`;
+            return `${root}${rest}`;
+        }).join(', ');
+
+        /**
+         * Rewrites selectors of a stylesheet for a scoped export, recursing into
+         * conditional group rules; declaration blocks and nested rules stay intact.
+         * Rules inside group rules are indented like renderEntry() lays them out
+         * @param {string} css
+         * @param {string} root - See scopeSelector()
+         * @param {boolean} prefix - See scopeSelector()
+         * @param {string} [indent] - Indentation of the rules in css
+         * @returns {string}
+         */
+        const scopeStylesheet = (css, root, prefix, indent = '') => serializeCSSBlocks(parseCSSBlocks(css).map(block => {
+            if ('raw' in block || block.body === null) return block;
+            const { prelude, body } = block;
+            if (GROUP_AT_RULE_RE.test(prelude)) {
+                return { prelude, body: `\n${scopeStylesheet(body, root, prefix, indent + '  ')}\n${indent}` };
+            }
+            if (/^@scope\b/i.test(prelude)) {
+                return prefix ? { prelude: prelude.replace(/^@scope\s*\(([^)]*)\)/i, (m, start) => `@scope (${scopeSelector(start, root, true)})`), body } : block;
+            }
+            if (prelude.startsWith('@')) return block;
+            return { prelude: scopeSelector(prelude, root, prefix), body };
+        }), indent);
+
+        /**
+         * Extends #id selectors of a stylesheet to the duplicates resolveSvgReferences() renamed:
+         * on the page an ID selector matches every element carrying that ID
+         * @param {string} css
+         * @param {Map<string, string[]>} renamed - Old ID → new IDs
+         * @param {string} [indent] - Indentation of the rules in css, see scopeStylesheet()
+         * @returns {string}
+         */
+        const renameIdSelectors = (css, renamed, indent = '') => {
+            if (!renamed.size) return css;
+            const ID_RE = /#([\w-]+)/g;
+            return serializeCSSBlocks(parseCSSBlocks(css).map(block => {
+                if ('raw' in block || block.body === null) return block;
+                const { prelude, body } = block;
+                if (GROUP_AT_RULE_RE.test(prelude)) {
+                    return { prelude, body: `\n${renameIdSelectors(body, renamed, indent + '  ')}\n${indent}` };
+                }
+                if (prelude.startsWith('@')) return block;
+                const parts = splitSelectorList(prelude).flatMap(part => {
+                    const variants = [part];
+                    for (const [, id] of part.matchAll(ID_RE)) {
+                        (renamed.get(id) || []).forEach(next => variants.push(part.replace(new RegExp(`#${id}(?![\\w-])`, 'g'), `#${next}`)));
+                    }
+                    return variants;
+                });
+                return parts.length > 1 ? { prelude: parts.join(', '), body } : block;
+            }), indent);
+        };
+
+        /**
+         * Renames animation names in @keyframes preludes, animation / animation-name
+         * declarations and custom property values
+         * @param {string} text - CSS or a style attribute
+         * @param {Map<string, string>} renames
+         * @returns {string}
+         */
+        const renameAnimations = (text, renames) => {
+            if (!text || !renames.size) return text;
+            return text
+                .replace(KEYFRAMES_NAME_RE, (m, at, quote, name) => `@${at} ${renames.get(name) || name}`)
+                .replace(ANIMATION_DECLARATION_RE, (m, before, property, colon, value) =>
+                    `${before}${property}${colon}${value.replace(/[^\s,()]+/g, token => renames.get(token) || token)}`);
+        };
+
+        /**
+         * Stable short id for a scoped export (same snatch → same class name)
+         * @param {string} text
+         * @returns {string}
+         */
+        const hashScopeId = (text) => {
+            let hash = 5381;
+            for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+            return `snatch-${hash.toString(36)}`;
+        };
+
+        /**
+         * Scoped stylesheet and markup for an export that can be pasted into another page
+         * Keyframes are renamed with the scope id; fonts stay global (@font-face does not work in shadow roots).
+         * Inline styles are renamed on copies, the prepared clones stay untouched
+         * @param {Object} prepared - _prepareExport() result
+         * @param {string} strategy - class | scope | shadow
+         * @returns {{id: string, strategy: string, fonts: string, css: string, html: string}}
+         */
+        const buildScopedExport = ({ clones, cssData }, strategy) => {
+            const css = [
+                cssData.variables,
+                cssData.keyframes,
+                cssData.extractedAnimations?.generatedCSS || '',
+                cssData.matchedCSS,
+                cssData.revealAnimations
+            ].filter(text => text && text.trim()).join('\n');
+            const id = hashScopeId(`${clones.map(c => c.outerHTML).join('')}${css}`);
+
+            const renames = new Map();
+            for (const [, , , name] of css.matchAll(KEYFRAMES_NAME_RE)) renames.set(name, `${id}-${name}`);
+            const copies = clones.map(clone => clone.cloneNode(true));
+            getAllElements(copies).forEach(el => {
+                const style = el.getAttribute?.('style');
+                if (style) el.setAttribute('style', renameAnimations(style, renames));
+            });
+            const renamed = renameAnimations(css, renames);
+            const html = copies.map(c => c.outerHTML).join('\n');
+            const fonts = [cssData.googleFonts, cssData.fontFaces].filter(Boolean).join('\n');
+
+            if (strategy === 'shadow') {
+                return { id, strategy, fonts, css: `:host { display: block; }\n${scopeStylesheet(renamed, ':host', false)}`, html };
+            }
+            if (strategy === 'scope') {
+                const blocks = parseCSSBlocks(renamed);
+                const isGlobal = block => !('raw' in block) && (block.body === null || UNSCOPED_AT_RULE_RE.test(block.prelude));
+                const scoped = scopeStylesheet(serializeCSSBlocks(blocks.filter(block => !isGlobal(block))), ':scope', false);
+                const global = serializeCSSBlocks(blocks.filter(isGlobal));
+                return { id, strategy, fonts, css: `${global}\n@scope (.${id}) {\n${scoped}\n}`, html: `<div class="${id}">\n${html}\n</div>` };
+            }
+            return { id, strategy, fonts, css: scopeStylesheet(renamed, `.${id}`, true), html: `<div class="${id}">\n${html}\n</div>` };
+        };
+
+        /**
+         * @param {Object} options - createScopedExport() options
+         * @returns {string} class | scope | shadow
+         */
+        const getScopeStrategy = (options) => {
+            const strategy = options.strategy || getConfig().scopedExport?.strategy;
+            return SCOPE_STRATEGIES.includes(strategy) ? strategy : 'class';
+        };
+
+        /**
+         * Custom element whose shadow root holds the export
+         * @param {{id: string, css: string, html: string}} scoped - buildScopedExport() result
+         * @returns {string}
+         */
+        const generateScopedElement = ({ id, css, html }) => {
+            // No raw "<" in the script: it cannot close the tag and prettifyHTML leaves it alone
+            const template = JSON.stringify(`<style>\n${css}\n</style>\n${html}`).replace(/</g, '\\u003c');
+            return `<${id}></${id}>
+<script data-snatch-template>
+customElements.get('${id}') || customElements.define('${id}', class extends HTMLElement {
+  connectedCallback() {
+    if (!this.shadowRoot) this.attachShadow({ mode: 'open' }).innerHTML = ${template};
+  }
+});
+</script>`;
+        };
+
+        const hasTailwind = (doc = document) => {
+            const indicators = ['flex', 'grid', 'items-center', 'justify-center', 'bg-', 'text-', 'p-', 'm-', 'rounded', 'shadow', 'hover:', 'md:'];
+            const allClasses = doc.body.className + ' ' + Array.from(doc.querySelectorAll('[class]')).map(el => el.className).join(' ');
+            return indicators.some(i => allClasses.includes(i));
+        };
+
+        // ═══════════════════════════════════════════════════════════════
+        // CSS FORMATTING
+        // Output option for exported <style> blocks: raw (as collected),
+        // pretty (beautifyOptions.css) or minify
+        // ═══════════════════════════════════════════════════════════════
+
+        const CSS_FORMATS = ['raw', 'pretty', 'minify'];
+        const CSS_STRING_OR_URL_RE = /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|url\([^)]*\))/gi;
+        const CSS_FUNCTION_RE = /([\w-]+\((?:[^()]|\([^()]*\))*\))/g;
+        const CSS_COMMENT_RE = /\/\*[\s\S]*?\*\//g;
+        const HEX_COLOR_PAIRS_RE = /#([\da-f])\1([\da-f])\2([\da-f])\3(?:([\da-f])\4)?(?![\da-f])/gi;
+        const LEADING_ZERO_RE = /(^|[^\w.])(-?)0+\.(\d)/g;
+        // Only lengths: 0% / 0s / 0deg are not interchangeable with a bare 0
+        const FLEX_SHORTHAND_RE = /^(?:-(?:webkit|ms)-)?flex$/i;
+        const ZERO_LENGTH_RE = /(^|[\s,])-?(?:0+\.?0*|\.0+)(?:px|em|rem|ex|ch|vw|vh|vmin|vmax|cm|mm|in|pt|pc|q)(?=$|[\s,!])/gi;
+
+        /**
+         * Apply a transform to the parts of text outside the groups matched by re
+         * @param {string} text
+         * @param {RegExp} re - Global regex with exactly one capturing group around the whole match
+         * @param {function(string): string} transform
+         * @returns {string}
+         */
+        const mapOutside = (text, re, transform) => text.split(re).map((part, i) => (i % 2 ? part : transform(part))).join('');
+
+        /**
+         * @param {string} text
+         * @returns {string} text with whitespace outside strings collapsed to single spaces
+         */
+        const collapseCSSWhitespace = (text) => mapOutside(text, CSS_STRING_OR_URL_RE, part => part.replace(/\s+/g, ' ')).trim();
+
+        /**
+         * Shortest equivalent of a declaration value
+         * Zero lengths are only shortened outside functions, where calc() needs units
+         * @param {string} value
+         * @returns {string}
+         */
+        const minifyCSSValue = (value, keepZeroUnits = false) => mapOutside(value.trim(), CSS_STRING_OR_URL_RE, part => mapOutside(part
+            .replace(CSS_COMMENT_RE, '')
+            .replace(/\s+/g, ' ')
+            .replace(/\s*,\s*/g, ',')
+            .replace(/\(\s+/g, '(')
+            .replace(/\s+\)/g, ')')
+            .replace(/\s*!\s*important/gi, '!important')
+            .replace(HEX_COLOR_PAIRS_RE, (m, r, g, b, a) => `#${r}${g}${b}${a || ''}`)
+            .replace(LEADING_ZERO_RE, '$1$2.$3'),
+        CSS_FUNCTION_RE, rest => (keepZeroUnits ? rest : rest.replace(ZERO_LENGTH_RE, (m, lead) => `${lead}0`)))).trim();
+
+        /**
+         * @param {string} prelude - Selector list or at-rule prelude
+         * @returns {string}
+         */
+        const minifyCSSPrelude = (prelude) => mapOutside(prelude, CSS_STRING_OR_URL_RE, part => {
+            const text = part.replace(CSS_COMMENT_RE, '').replace(/\s+/g, ' ').replace(/\(\s+/g, '(').replace(/\s+\)/g, ')');
+            // At-rule colons only in feature queries: "@page :first" needs its space
+            return prelude.startsWith('@')
+                ? text.replace(/\s*,\s*/g, ',').replace(/\([^()]*\)/g, query => query.replace(/\s*:\s*/g, ':'))
+                : text.replace(/\s*([>+~,])\s*/g, '$1');
+        }).trim();
+
+        /**
+         * @param {string} declaration - "prop: value" without the semicolon
+         * @returns {string}
+         */
+        const minifyCSSDeclaration = (declaration) => {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) return collapseCSSWhitespace(declaration);
+            const name = declaration.slice(0, colon).trim();
+            const value = declaration.slice(colon + 1);
+            // Custom property values are token streams: whitespace may be meaningful
+            if (name.startsWith('--')) return `${name}:${value.trim()}`;
+            // In the flex shorthand a unitless 0 is flex-shrink, not a zero basis
+            return `${name}:${minifyCSSValue(value, FLEX_SHORTHAND_RE.test(name))}`;
+        };
+
+        /**
+         * Minify a stylesheet or a declaration list
+         * Drops comments (except /*! banners), empty rules and the last semicolon of a block;
+         * shortens #aabbcc colors, leading zeros and zero lengths
+         * @param {string} css
+         * @param {boolean} [nested] - css is the body of a block
+         * @returns {string}
+         */
+        const minifyCSS = (css, nested = false) => {
+            const parts = [];
+            parseCSSBlocks(css || '').forEach(block => {
+                if ('raw' in block) {
+                    if (block.raw.startsWith('/*!')) parts.push(block.raw);
+                    return;
+                }
+                const isAtRule = block.prelude.startsWith('@');
+                if (block.body === null) {
+                    parts.push({ statement: isAtRule ? minifyCSSPrelude(block.prelude) : minifyCSSDeclaration(block.prelude) });
+                    return;
+                }
+                const prelude = minifyCSSPrelude(block.prelude);
+                const body = minifyCSS(block.body, true);
+                // An empty @layer block still declares the layer order
+                if (body || /^@layer\b/i.test(prelude)) parts.push(`${prelude}{${body}}`);
+            });
+            return parts
+                .map((part, i) => (typeof part === 'string' ? part : (nested && i === parts.length - 1 ? part.statement : `${part.statement};`)))
+                .join('');
+        };
+
+        /**
+         * Pretty-print a stylesheet per SnatcherConfig.beautifyOptions.css
+         * One declaration per line, nested blocks indented, comments kept
+         * @param {string} css
+         * @param {{indent_size?: number, selector_separator_newline?: boolean, end_with_newline?: boolean}} [options] - Overrides the config
+         * @returns {string}
+         */
+        const prettifyCSS = (css, options = {}) => {
+            const {
+                indent_size: indentSize = 2,
+                selector_separator_newline: selectorNewline = true,
+                end_with_newline: endWithNewline = true
+            } = { ...getConfig().beautifyOptions?.css, ...options };
+            const unit = ' '.repeat(indentSize);
+
+            const format = (text, indent) => parseCSSBlocks(text).map(block => {
+                if ('raw' in block) return indent + block.raw.trim();
+                const isAtRule = block.prelude.startsWith('@');
+                if (block.body === null) {
+                    const colon = block.prelude.indexOf(':');
+                    if (isAtRule || colon === -1) return `${indent}${collapseCSSWhitespace(block.prelude)};`;
+                    const name = block.prelude.slice(0, colon).trim();
+                    const value = block.prelude.slice(colon + 1).trim();
+                    return `${indent}${name}: ${name.startsWith('--') ? value : collapseCSSWhitespace(value)};`;
+                }
+                const prelude = isAtRule
+                    ? collapseCSSWhitespace(block.prelude)
+                    : splitSelectorList(collapseCSSWhitespace(block.prelude)).join(selectorNewline ? `,\n${indent}` : ', ');
+                const body = format(block.body, indent + unit);
+                return body ? `${indent}${prelude} {\n${body}\n${indent}}` : `${indent}${prelude} {}`;
+            }).join('\n');
+
+            const result = format(css || '', '');
+            return endWithNewline && result ? `${result}\n` : result;
+        };
+
+        /**
+         * Reformat the <style> blocks of an export; minify also compacts style="" attributes
+         * (compact exports keep their CSS there)
+         * @param {string} html
+         * @param {string} format - raw | pretty | minify
+         * @returns {string}
+         */
+        const formatStyleBlocks = (html, format) => {
+            if (!html || format === 'raw' || !CSS_FORMATS.includes(format)) return html;
+            const minify = format === 'minify';
+
+            let result = html.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (m, open, css, close) => (
+                minify ? `${open}${minifyCSS(css)}${close}` : `${open}\n${prettifyCSS(css).trimEnd()}\n${close}`
+            ));
+            if (minify) {
+                result = result.replace(/<[a-z][\w-]*\s[^>]*>/gi, tag => tag.replace(/(\sstyle=")([^"]*)"/i, (m, open, value) => {
+                    const declarations = minifyCSS(value.replace(/&quot;/g, '"').replace(/&amp;/g, '&'), true);
+                    return `${open}${declarations.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`;
+                }));
+            }
+            return result;
+        };
+
+        // ═══════════════════════════════════════════════════════════════
+        // ASSET EXPORT
+        // Images, fonts and SVGs referenced by an export, fetched through the background
+        // worker (host permissions bypass CORS): inlined as data URIs or packed into a ZIP
+        // ═══════════════════════════════════════════════════════════════
+
+        const SINGLE_FILE_DEFAULTS = {
+            maxAssetBytes: 2 * 1024 * 1024,
+            maxTotalBytes: 20 * 1024 * 1024
+        };
+        const PROJECT_EXPORT_DEFAULTS = {
+            maxAssetBytes: 10 * 1024 * 1024
+        };
+        /** URL-bearing attributes per tag; <link> only for icons */
+        const ASSET_ATTRIBUTES = {
+            img: ['src', 'srcset'],
+            source: ['src', 'srcset'],
+            video: ['poster'],
+            input: ['src'],
+            image: ['href', 'xlink:href'],
+            link: ['href']
+        };
+        const ASSET_ATTRIBUTE_RE = /(\s)([\w:-]+)="([^"]*)"/g;
+        // Quotes: plain, HTML-escaped (style attributes) and JSON-escaped (scoped shadow template)
+        const ASSET_CSS_URL_RE = /url\(\s*(&quot;|\\"|"|'|)(.+?)\1\s*\)/gi;
+        // <style>/<script> blocks and tags in one pass, so assets are visited in document order
+        const ASSET_TOKEN_RE = /<(style|script)\b([^>]*)>([\s\S]*?)<\/\1\s*>|<([a-z][\w:-]*)\s[^>]*>/gi;
+
+        /**
+         * @param {string} raw - URL as written in the export
+         * @returns {string|null} Absolute http(s) URL without fragment, null for data:/blob:/#ids
+         */
+        const resolveAssetURL = (raw) => {
+            const value = (raw || '').trim();
+            if (!value || /^(?:data|blob|about|javascript):|^#/i.test(value)) return null;
+            try {
+                const url = new URL(value, document.baseURI);
+                url.hash = '';
+                return /^https?:$/.test(url.protocol) ? url.href : null;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        /**
+         * Rewrite every asset URL of an exported HTML string
+         * Covers media attributes, srcset candidates and CSS url() in <style> blocks and style attributes.
+         * Script text is left alone, except the CSS of the generated shadow template (data-snatch-template)
+         * @param {string} html
+         * @param {function(string): (string|undefined)} replace - Absolute URL -> replacement, undefined keeps it
+         * @returns {string}
+         */
+        const mapAssetURLs = (html, replace) => {
+            const rewrite = (raw) => {
+                const url = resolveAssetURL(raw);
+                return (url && replace(url)) || raw;
+            };
+
+            const rewriteCSSUrl = (match, quote, raw) => {
+                const decoded = raw.replace(/&amp;/g, '&');
+                const rewritten = rewrite(decoded);
+                return rewritten === decoded ? match : `url(${quote}${rewritten}${quote})`;
+            };
+
+            const rewriteTag = (tag, name) => {
+                const attributes = ASSET_ATTRIBUTES[name.toLowerCase()];
+                if (!attributes || (name.toLowerCase() === 'link' && !/\srel="[^"]*\bicon\b/i.test(tag))) return tag;
+                return tag.replace(ASSET_ATTRIBUTE_RE, (match, space, attribute, value) => {
+                    if (!attributes.includes(attribute.toLowerCase())) return match;
+                    const decoded = value.replace(/&amp;/g, '&');
+                    const rewritten = attribute.toLowerCase() === 'srcset'
+                        // Separators are kept as-is so data URI candidates (with commas) survive
+                        ? decoded.split(/(,\s+)/).map((part, i) => (i % 2 ? part : part.replace(/^\s*\S+/, url => rewrite(url)))).join('')
+                        : rewrite(decoded);
+                    return rewritten === decoded ? match : `${space}${attribute}="${rewritten.replace(/&/g, '&amp;')}"`;
+                });
             };
-            process(clone);
-            clone.querySelectorAll('[style]').forEach(process);
-            return clone;
-        };
 
-        const fixHTMLUrls = (clone) => {
-            clone.querySelectorAll('[src]').forEach(el => {
-                const src = el.getAttribute('src');
-                if (src && !src.startsWith('data:') && !src.startsWith('http') && !src.startsWith('//')) {
-                    el.setAttribute('src', fixRelativeURL(src, pageOrigin));
+            return html.replace(ASSET_TOKEN_RE, (match, block, attributes, body, name) => {
+                if (block) {
+                    if (block.toLowerCase() === 'script' && !/\sdata-snatch-template\b/i.test(attributes)) return match;
+                    const start = match.indexOf('>') + 1;
+                    return match.slice(0, start) + body.replace(ASSET_CSS_URL_RE, rewriteCSSUrl) + match.slice(start + body.length);
                 }
+                // Media attributes first, then url() in the tag's style attribute
+                return rewriteTag(match, name).replace(ASSET_CSS_URL_RE, rewriteCSSUrl);
             });
+        };
 
-            clone.querySelectorAll('[href]').forEach(el => {
-                const href = el.getAttribute('href');
-                if (href && !href.startsWith('#') && !href.startsWith('javascript:') && !href.startsWith('mailto:') && !href.startsWith('tel:') && !href.startsWith('http') && !href.startsWith('//')) {
-                    el.setAttribute('href', fixRelativeURL(href, pageOrigin));
-                }
+        /**
+         * Ask the background worker for an asset as a data URI
+         * @param {string} url
+         * @param {number} maxBytes - Larger assets come back as { size, tooLarge } without data
+         * @returns {Promise<{dataUrl?: string, size: number, tooLarge?: boolean}>}
+         */
+        const requestAsset = (url, maxBytes) => new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'fetchAsset', url, maxBytes }, (response) => {
+                if (response?.success) resolve({ dataUrl: response.dataUrl, size: response.size, tooLarge: response.tooLarge });
+                else reject(new Error(response?.error || chrome.runtime.lastError?.message || 'fetch failed'));
             });
+        });
 
-            clone.querySelectorAll('[srcset]').forEach(el => {
-                const srcset = el.getAttribute('srcset');
-                if (srcset) {
-                    const fixed = srcset.split(',').map(part => {
-                        const [url, desc] = part.trim().split(/\s+/);
-                        return desc ? `${fixRelativeURL(url, pageOrigin)} ${desc}` : fixRelativeURL(url, pageOrigin);
-                    }).join(', ');
-                    el.setAttribute('srcset', fixed);
-                }
-            });
+        /**
+         * Fetch assets into the cache; entries over maxBytes are refetched once the limit allows them
+         * @param {Iterable<string>} urls - Absolute http(s) URLs
+         * @param {number} maxBytes
+         */
+        const fetchAssets = async (urls, maxBytes) => {
+            if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
 
-            return clone;
+            const pending = [...urls].filter(url => {
+                const cached = assetCache.get(url);
+                return !cached || (cached.tooLarge && cached.size <= maxBytes);
+            });
+            await Promise.all(pending.map(url => requestAsset(url, maxBytes)
+                .then(asset => assetCache.set(url, asset))
+                .catch(err => assetCache.set(url, { error: err.message }))));
         };
 
-        const cleanupAttributes = (clone) => {
-            clone.querySelectorAll('*').forEach(el => {
-                Array.from(el.attributes).forEach(attr => {
-                    if (PATTERNS.keepDataAttributes.includes(attr.name)) return;
-                    for (const prefix of PATTERNS.removeDataPrefixes) {
-                        if (attr.name.startsWith(prefix)) {
-                            el.removeAttribute(attr.name);
-                            break;
-                        }
-                    }
-                });
+        /**
+         * Linked stylesheets of an export: kept as links, their own url()s would need a second pass
+         * @param {string} html
+         * @returns {Array<{url: string, reason: string}>} Report entries
+         */
+        const collectLinkedStylesheets = (html) => (html.match(/<link\s[^>]*>/gi) || [])
+            .filter(tag => /\srel="stylesheet"/i.test(tag))
+            .map(tag => resolveAssetURL(tag.match(/\shref="([^"]*)"/i)?.[1]?.replace(/&amp;/g, '&')))
+            .filter(Boolean)
+            .map(url => ({ url, reason: 'stylesheet' }));
 
-                ['class', 'style', 'id'].forEach(a => {
-                    const v = el.getAttribute(a);
-                    if (v !== null && v.trim() === '') el.removeAttribute(a);
-                });
+        /**
+         * HTML comment listing what a single-file export could not inline
+         * @param {{skipped: Array<{url: string, reason: string, size?: number}>}} report
+         * @returns {string} '' when everything was inlined
+         */
+        const formatInlineReport = ({ skipped }) => {
+            if (!skipped.length) return '';
+            const reasons = { 'too-large': 'larger than the per-asset limit', budget: 'over the total size budget', stylesheet: 'external stylesheet' };
+            const lines = skipped.map(({ url, reason, size }) => {
+                const details = [reasons[reason] || reason, size ? `${(size / 1024).toFixed(1)} KB` : ''].filter(Boolean).join(', ');
+                return `  ${url} (${details})`.replace(/--/g, '-\u2010');
             });
-            return clone;
+            return `<!-- Single-file export: ${skipped.length} assets not inlined\n${lines.join('\n')}\n-->`;
         };
 
-        const prettifyHTML = (html) => {
-            if (!html) return '';
-            const selfClosing = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
-            const blockTags = new Set(['html', 'head', 'body', 'header', 'footer', 'main', 'nav', 'section', 'article', 'aside', 'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'tr', 'td', 'th', 'form', 'fieldset', 'script', 'style', 'link', 'meta', 'title']);
-            const preserveTags = new Set(['script', 'style', 'pre', 'code', 'textarea']);
+        /**
+         * Inline the assets an export references so it works without the original site
+         * Limits come from SnatcherConfig.singleFile; the budget counts fetched bytes in document order
+         * @param {string} html - Export HTML (fragment or full document)
+         * @param {{maxAssetBytes?: number, maxTotalBytes?: number, reportComment?: boolean}} [options] - Overrides
+         *     the config; reportComment: false keeps the skipped-assets comment out (copied fragments)
+         * @returns {Promise<{html: string, report: {inlined: Array, skipped: Array, totalBytes: number}}>}
+         */
+        const inlineAssets = async (html, options = {}) => {
+            const { maxAssetBytes, maxTotalBytes } = { ...SINGLE_FILE_DEFAULTS, ...getConfig().singleFile, ...options };
+            const report = { inlined: [], skipped: collectLinkedStylesheets(html), totalBytes: 0 };
+
+            const urls = new Set();
+            mapAssetURLs(html, url => { urls.add(url); });
+            await fetchAssets(urls, maxAssetBytes);
+
+            const replacements = new Map();
+            for (const url of urls) {
+                const asset = assetCache.get(url) || { error: 'background worker unavailable' };
+                if (asset.error) {
+                    report.skipped.push({ url, reason: asset.error });
+                } else if (asset.tooLarge || asset.size > maxAssetBytes) {
+                    report.skipped.push({ url, reason: 'too-large', size: asset.size });
+                } else if (report.totalBytes + asset.size > maxTotalBytes) {
+                    report.skipped.push({ url, reason: 'budget', size: asset.size });
+                } else {
+                    replacements.set(url, asset.dataUrl);
+                    report.inlined.push({ url, size: asset.size });
+                    report.totalBytes += asset.size;
+                }
+            }
 
-            let result = '', indent = 0, inPreserve = false, preserveTag = '';
-            const tokens = html.match(/<[^>]+>|[^<]+/g) || [];
+            let result = mapAssetURLs(html, url => replacements.get(url));
+            const comment = options.reportComment === false ? '' : formatInlineReport(report);
+            if (comment) {
+                // After the doctype: a comment before it would switch the page to quirks mode
+                const doctype = result.match(/^\s*<!DOCTYPE[^>]*>\s*/i)?.[0] || '';
+                result = `${doctype}${comment}\n${result.slice(doctype.length)}`;
+            }
 
-            for (const token of tokens) {
-                if (token.startsWith('<')) {
-                    const isClosing = token.startsWith('</');
-                    const getTagName = t => { const m = t.match(/<\/?([a-zA-Z0-9]+)/); return m ? m[1].toLowerCase() : ''; };
-                    const tagName = getTagName(token);
-                    const isSelfClosing = token.endsWith('/>') || selfClosing.has(tagName);
+            lastInlineReport = report;
+            _log('info', `Inlined ${report.inlined.length} assets (${(report.totalBytes / 1024).toFixed(1)} KB), skipped ${report.skipped.length}`);
+            return { html: result, report };
+        };
 
-                    if (preserveTags.has(tagName)) {
-                        isClosing ? (inPreserve = false, preserveTag = '') : (!isSelfClosing && (inPreserve = true, preserveTag = tagName));
-                    }
+        /** Extensions for assets whose URL has none, by MIME subtype */
+        const ASSET_EXTENSIONS = {
+            jpeg: 'jpg',
+            'svg+xml': 'svg',
+            'x-icon': 'ico',
+            'vnd.microsoft.icon': 'ico',
+            'font-woff': 'woff',
+            'font-woff2': 'woff2'
+        };
+        /** Classic inline script types that can move into their own file (modules stay inline) */
+        const MOVABLE_SCRIPT_TYPE_RE = /^(?:|text\/javascript|application\/javascript)$/i;
+        const TEMPLATE_RE = /(<template\b[\s\S]*?<\/template>)/gi;
 
-                    if (inPreserve && !token.includes(`<${preserveTag}`) && !token.includes(`</${preserveTag}`)) {
-                        result += token;
-                        continue;
-                    }
+        /**
+         * Unique path under assets/ named after the URL
+         * @param {string} url
+         * @param {string} dataUrl - Supplies the extension when the URL has none
+         * @param {Set<string>} taken - Lowercased paths already in the archive
+         * @returns {string}
+         */
+        const getAssetPath = (url, dataUrl, taken) => {
+            let basename = new URL(url).pathname.split('/').pop() || '';
+            try {
+                basename = decodeURIComponent(basename);
+            } catch (e) { /* keep the encoded name */ }
 
-                    if (isClosing) indent = Math.max(0, indent - 1);
-                    if (blockTags.has(tagName)) result += '\n' + ' '.repeat(indent * 2) + token;
-                    else result += token;
-                    if (!isClosing && !isSelfClosing && blockTags.has(tagName)) indent++;
+            let name = basename.replace(/[^\w.-]+/g, '_').replace(/^\.+/, '').slice(-80) || 'asset';
+            if (!/\.\w{1,5}$/.test(name)) {
+                const subtype = dataUrl.match(/^data:[\w-]+\/([\w.+-]+)/)?.[1]?.toLowerCase();
+                name += `.${ASSET_EXTENSIONS[subtype] || subtype?.replace(/^x-/, '') || 'bin'}`;
+            }
+
+            const [, stem, ext = ''] = name.match(/^(.*?)(\.\w+)?$/);
+            let path = `assets/${name}`;
+            for (let i = 2; taken.has(path.toLowerCase()); i++) path = `assets/${stem}-${i}${ext}`;
+            taken.add(path.toLowerCase());
+            return path;
+        };
+
+        /**
+         * Move inline <style> and classic <script> blocks of a document into separate files
+         * Each classic script gets its own file (scripts.js, scripts-2.js, ...) loaded at its original
+         * position: one script's syntax error or top-level redeclaration cannot break the others.
+         * Module scripts stay inline (file:// blocks module src), as do blocks inside <template>
+         * @param {string} html
+         * @returns {{html: string, css: string, scripts: Array<{name: string, text: string}>}}
+         */
+        const splitProjectFiles = (html) => {
+            const styles = [];
+            const scripts = [];
+
+            let result = mapOutside(html, TEMPLATE_RE, part => part
+                .replace(/<style\b([^>]*)>([\s\S]*?)<\/style>\s*/gi, (match, attributes, css) => {
+                    const media = attributes.match(/\smedia="([^"]*)"/i)?.[1];
+                    styles.push(media && media !== 'all' ? `@media ${media} {\n${css.trim()}\n}` : css.trim());
+                    return styles.length === 1 ? '<link rel="stylesheet" href="styles.css">\n' : '';
+                })
+                .replace(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi, (match, attributes, js) => {
+                    const type = attributes.match(/\stype="([^"]*)"/i)?.[1] || '';
+                    if (/\ssrc=/i.test(attributes) || !MOVABLE_SCRIPT_TYPE_RE.test(type) || !js.trim()) return match;
+                    const name = scripts.length ? `scripts-${scripts.length + 1}.js` : 'scripts.js';
+                    scripts.push({ name, text: js.trim() });
+                    return `<script src="${name}"></script>`;
+                }));
+
+            // scripts.js is always part of the project, empty when the page has no classic scripts
+            if (!scripts.length) scripts.push({ name: 'scripts.js', text: '' });
+
+            return { html: result, css: styles.filter(Boolean).join('\n\n'), scripts };
+        };
+
+        /**
+         * Files of a ZIP project export: index.html, styles.css, scripts.js (+ scripts-N.js), manifest.json and assets/
+         * References in HTML and CSS point at the local copies (see mapAssetURLs); assets that failed or exceed
+         * SnatcherConfig.projectExport.maxAssetBytes keep their original URL
+         * @param {string} html - Full export document
+         * @param {{maxAssetBytes?: number}} [options] - Overrides the config
+         * @returns {Promise<{files: Array<{name: string, text?: string, dataUrl?: string}>, report: {assets: Array, skipped: Array, totalBytes: number}}>}
+         *   Binary files travel as data URIs so the list survives runtime messaging
+         */
+        const createProjectFiles = async (html, options = {}) => {
+            const { maxAssetBytes } = { ...PROJECT_EXPORT_DEFAULTS, ...getConfig().projectExport, ...options };
+            // Links of the original document: the split adds a local one to styles.css
+            const report = { assets: [], skipped: collectLinkedStylesheets(html), totalBytes: 0 };
+
+            const urls = new Set();
+            mapAssetURLs(html, url => { urls.add(url); });
+            await fetchAssets(urls, maxAssetBytes);
+
+            const paths = new Map();
+            const taken = new Set();
+            const assetFiles = [];
+            for (const url of urls) {
+                const asset = assetCache.get(url) || { error: 'background worker unavailable' };
+                if (asset.error) {
+                    report.skipped.push({ url, reason: asset.error });
+                } else if (asset.tooLarge || asset.size > maxAssetBytes) {
+                    report.skipped.push({ url, reason: 'too-large', size: asset.size });
                 } else {
-                    const trimmed = token.trim();
-                    if (trimmed) result += inPreserve ? token : trimmed;
+                    const path = getAssetPath(url, asset.dataUrl, taken);
+                    paths.set(url, path);
+                    assetFiles.push({ name: path, dataUrl: asset.dataUrl });
+                    report.assets.push({ url, path, size: asset.size });
+                    report.totalBytes += asset.size;
                 }
             }
 
-            return result.replace(/\n{3,}/g, '\n\n').trim();
+            // Localized before the split: styles.css and index.html share the project root
+            const parts = splitProjectFiles(mapAssetURLs(html, url => paths.get(url)));
+            const manifest = {
+                version: 1,
+                page: location.href,
+                createdAt: new Date().toISOString(),
+                assets: Object.fromEntries(report.assets.map(({ url, path }) => [path, url])),
+                skipped: report.skipped
+            };
+
+            _log('info', `Project export: ${report.assets.length} assets (${(report.totalBytes / 1024).toFixed(1)} KB), skipped ${report.skipped.length}`);
+            return {
+                files: [
+                    { name: 'index.html', text: parts.html },
+                    { name: 'styles.css', text: parts.css },
+                    ...parts.scripts,
+                    { name: 'manifest.json', text: JSON.stringify(manifest, null, 2) },
+                    ...assetFiles
+                ],
+                report
+            };
         };
 
         // ═══════════════════════════════════════════════════════════════
-        // CSS MATCHING
+        // COMPUTED SNAPSHOT
+        // Styles from getComputedStyle() instead of CSSOM rules: works for
+        // cross-origin sheets and runtime CSS-in-JS the page never exposes
         // ═══════════════════════════════════════════════════════════════
 
-        const collectUsedClasses = (element) => {
-            const classes = new Set();
-            const traverse = (el) => {
-                if (el.classList) el.classList.forEach(c => classes.add(c));
-                for (const child of el.children) traverse(child);
-            };
-            traverse(element);
-            return classes;
-        };
+        const INHERITED_PROPERTIES = new Set([
+            'color', 'cursor', 'direction', 'font-family', 'font-feature-settings', 'font-kerning', 'font-size',
+            'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-variant-caps', 'font-variant-east-asian',
+            'font-variant-ligatures', 'font-variant-numeric', 'font-variation-settings', 'font-weight', 'hyphens',
+            'letter-spacing', 'line-height', 'list-style-image', 'list-style-position', 'list-style-type', 'orphans',
+            'overflow-wrap', 'paint-order', 'quotes', 'tab-size', 'text-align', 'text-align-last', 'text-indent',
+            'text-rendering', 'text-shadow', 'text-transform', 'text-underline-position', 'text-wrap', 'visibility',
+            'white-space', 'white-space-collapse', 'widows', 'word-break', 'word-spacing', 'writing-mode',
+            'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap',
+            'stroke-linejoin', 'stroke-miterlimit', 'stroke-opacity', 'stroke-width', 'border-collapse', 'border-spacing',
+            'caption-side', 'empty-cells', '-webkit-text-fill-color', '-webkit-text-stroke-color', '-webkit-text-stroke-width'
+        ]);
+
+        // Default to currentColor: a value equal to color carries no information
+        const CURRENT_COLOR_PROPERTIES = new Set([
+            'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color', 'outline-color',
+            'column-rule-color', 'text-decoration-color', 'text-emphasis-color', 'caret-color',
+            '-webkit-text-fill-color', '-webkit-text-stroke-color'
+        ]);
+
+        // Prefixed properties that still matter for rendering; other -webkit-* are aliases or UA internals
+        const PREFIXED_PROPERTIES = new Set([
+            '-webkit-text-fill-color', '-webkit-text-stroke-color', '-webkit-text-stroke-width', '-webkit-background-clip',
+            '-webkit-line-clamp', '-webkit-box-orient', '-webkit-mask-image', '-webkit-mask-size', '-webkit-mask-position',
+            '-webkit-mask-repeat', '-webkit-font-smoothing'
+        ]);
+
+        // Logical aliases of physical properties the snapshot already carries
+        const LOGICAL_PROPERTY_RE = /^(?:(?:min-|max-)?(?:inline|block)-size|(?:margin|padding|inset|scroll-margin|scroll-padding|border|overflow|contain-intrinsic)-(?:block|inline)\b|border-(?:start|end)-(?:start|end)-radius)/;
 
         /**
-         * Get all elements in the subtree (including the root)
-         * Recursively traverses Shadow DOM for web components
+         * Default computed styles per tag, read from a clean iframe that no page CSS reaches
+         * @param {Document} doc - Source document (for the doctype / quirks mode)
+         * @returns {{get: function(Element): Object, root: Object, dispose: function(): void}}
          */
-        const getAllElements = (element) => {
-            const elements = [];
-
-            const traverse = (el) => {
-                if (!el) return;
-                elements.push(el);
-
-                // Traverse Shadow DOM if accessible (open mode only)
-                if (el.shadowRoot) {
-                    _log('info', `Found shadow root in <${el.tagName.toLowerCase()}>`);
-                    el.shadowRoot.querySelectorAll('*').forEach(shadowEl => traverse(shadowEl));
-                }
-
-                // Traverse regular children
-                for (const child of el.children) {
-                    traverse(child);
-                }
+        const createStyleBaseline = (doc) => {
+            const frame = doc.createElement('iframe');
+            frame.setAttribute('aria-hidden', 'true');
+            frame.style.cssText = 'position:fixed;left:-10000px;top:0;width:1px;height:1px;border:0;visibility:hidden;';
+            doc.documentElement.appendChild(frame);
+
+            const frameDoc = frame.contentDocument;
+            if (doc.compatMode === 'CSS1Compat') {
+                frameDoc.open();
+                frameDoc.write('<!DOCTYPE html><html><head></head><body></body></html>');
+                frameDoc.close();
+            }
+            const view = frameDoc.defaultView;
+            const snapshot = (el) => {
+                const computed = view.getComputedStyle(el);
+                const values = {};
+                for (let i = 0; i < computed.length; i++) values[computed[i]] = computed.getPropertyValue(computed[i]);
+                return values;
             };
 
-            traverse(element);
-            return elements;
+            const cache = new Map();
+            return {
+                root: snapshot(frameDoc.body),
+                get(element) {
+                    const tag = element.localName;
+                    const key = `${element.namespaceURI}|${tag}|${element.getAttribute('type') || ''}`;
+                    if (!cache.has(key)) {
+                        const probe = frameDoc.createElementNS(element.namespaceURI || 'http://www.w3.org/1999/xhtml', tag);
+                        if (element.hasAttribute('type')) probe.setAttribute('type', element.getAttribute('type'));
+                        frameDoc.body.appendChild(probe);
+                        cache.set(key, snapshot(probe));
+                        probe.remove();
+                    }
+                    return cache.get(key);
+                },
+                dispose() { frame.remove(); }
+            };
         };
 
         /**
-         * Check if a selector matches any element using native element.matches()
-         * Handles pseudo-selectors and invalid selectors gracefully
+         * Declarations where a computed style differs from what the output document would produce anyway
+         * Inherited properties are compared with the parent (they flow down in the output too) unless
+         * the user agent sets them for this tag; everything else is compared with the tag's defaults
+         * @param {CSSStyleDeclaration} computed
+         * @param {Object} defaults - Baseline values for the tag
+         * @param {Object} inherited - Values the element inherits in the output (parent or output body)
+         * @param {Object} rootDefaults - Baseline values of <body>, to tell UA-set inherited properties apart
+         * @returns {{declarations: string[], values: Object}} values are fed to the children as inherited
          */
-        const selectorMatchesAny = (selector, elements) => {
-            // Extract base selector (remove pseudo-elements and pseudo-classes for matching)
-            // e.g., ".btn:hover::before" -> ".btn"
-            const baseSelector = selector
-                .replace(/::[\w-]+/g, '')           // Remove pseudo-elements (::before, ::after)
-                .replace(/:(?:hover|focus|active|visited|focus-visible|focus-within|disabled|checked|first-child|last-child|nth-child\([^)]*\)|nth-of-type\([^)]*\))/g, '') // Remove state pseudo-classes
-                .trim();
-
-            if (!baseSelector) return false;
+        const diffComputedStyle = (computed, defaults, inherited, rootDefaults) => {
+            const declarations = [];
+            const values = {};
+            const get = name => computed.getPropertyValue(name);
+            const color = get('color');
+            const hasTransform = ['transform', 'rotate', 'scale', 'translate'].some(name => (get(name) || 'none') !== 'none');
+
+            for (let i = 0; i < computed.length; i++) {
+                const name = computed[i];
+                const value = get(name);
+                values[name] = value;
+
+                if (name.startsWith('--') || LOGICAL_PROPERTY_RE.test(name)) continue;
+                if (name.startsWith('-webkit-') && !PREFIXED_PROPERTIES.has(name)) continue;
+                if (CURRENT_COLOR_PROPERTIES.has(name) && value === color) continue;
+                if (name === 'transform-origin' && !hasTransform) continue;
+                if (name === 'perspective-origin' && (get('perspective') || 'none') === 'none') continue;
+
+                const uaSets = defaults[name] !== rootDefaults[name];
+                const reference = INHERITED_PROPERTIES.has(name) && !uaSets ? inherited[name] : defaults[name];
+                if (value !== reference) declarations.push(`${name}: ${value}`);
+            }
+            return { declarations, values };
+        };
 
-            try {
-                for (const el of elements) {
-                    if (el.matches && el.matches(baseSelector)) {
-                        return true;
-                    }
+        /**
+         * Clone a subtree, remembering the source of every cloned element
+         * Open shadow roots are flattened into .snatch-shadow-content containers
+         * @param {HTMLElement} source
+         * @param {Map<Element, Element>} sources - clone → source
+         * @returns {HTMLElement}
+         */
+        const cloneWithSources = (source, sources) => {
+            const clone = source.cloneNode(false);
+            sources.set(clone, source);
+            for (const child of source.childNodes) {
+                clone.appendChild(child.nodeType === 1 ? cloneWithSources(child, sources) : child.cloneNode(true));
+            }
+            if (source.shadowRoot) {
+                const container = clone.ownerDocument.createElement('div');
+                container.className = 'snatch-shadow-content';
+                container.setAttribute('data-snatch-shadow', 'true');
+                for (const child of source.shadowRoot.children) {
+                    if (child.localName !== 'style' && child.localName !== 'slot') container.appendChild(cloneWithSources(child, sources));
                 }
-            } catch (e) {
-                // Invalid selector - fall back to class-based matching
-                _log('warn', `Invalid selector: ${selector}`);
-                return false;
+                clone.appendChild(container);
             }
-            return false;
+            return clone;
         };
 
         /**
-         * NEW: Native element.matches() based CSS matching
-         * This provides precise matching and eliminates CSS bloat
+         * Snapshot of a selection: clones whose only styling is generated classes,
+         * one class per distinct computed declaration set (including ::before / ::after)
+         * @param {HTMLElement[]} elements
+         * @param {Object} [options]
+         * @param {Array<HTMLElement|string>} [options.exclude]
+         * @returns {{clones: HTMLElement[], css: string, classCount: number, elementCount: number}}
          */
-        const getMatchedCSSRules = (usedClasses, element) => {
-            const elements = getAllElements(element);
-            const matched = [];
-            const seen = new Set();
-
-            for (const rule of allCSSRules) {
-                const sel = rule.selector;
-                if (seen.has(sel)) continue;
-
-                let matches = false;
-
-                // Always include these universal rules
-                if (sel.startsWith('@media')) {
-                    // For media queries, check if any inner selector matches
-                    matches = true;
-                } else if (sel === '*' || sel === 'html' || sel === 'body' || sel === ':root') {
-                    matches = true;
-                } else {
-                    // Use native element.matches() for precise matching
-                    // Split compound selectors (e.g., ".a, .b" -> [".a", ".b"])
-                    const selectorParts = sel.split(',').map(s => s.trim());
+        const buildComputedSnapshot = (elements, options = {}) => {
+            const doc = getSourceDocument(elements);
+            const view = doc.defaultView || window;
+            const baseline = createStyleBaseline(doc);
+            const classes = new Map();
+            const rules = [];
+            let elementCount = 0;
+
+            const styleElement = (clone, source, inherited) => {
+                const computed = view.getComputedStyle(source);
+                const own = diffComputedStyle(computed, baseline.get(source), inherited, baseline.root);
+                const blocks = [own.declarations.join('; ')];
+
+                ['::before', '::after'].forEach(pseudo => {
+                    const pseudoStyle = view.getComputedStyle(source, pseudo);
+                    const content = pseudoStyle.content;
+                    if (!content || content === 'none' || content === 'normal') return blocks.push('');
+                    // Pseudo-elements start from inline defaults and inherit from their element
+                    const { declarations } = diffComputedStyle(pseudoStyle, baseline.get(doc.createElement('span')), own.values, baseline.root);
+                    blocks.push([`content: ${content}`, ...declarations.filter(d => !d.startsWith('content:'))].join('; '));
+                });
 
-                    for (const part of selectorParts) {
-                        if (selectorMatchesAny(part, elements)) {
-                            matches = true;
-                            break;
-                        }
+                const key = blocks.join('\n');
+                if (key.trim()) {
+                    if (!classes.has(key)) {
+                        const className = `sn${classes.size + 1}`;
+                        classes.set(key, className);
+                        ['', '::before', '::after'].forEach((pseudo, i) => {
+                            if (blocks[i]) rules.push(`.${className}${pseudo} { ${blocks[i]}; }`);
+                        });
                     }
+                    clone.setAttribute('class', classes.get(key));
+                } else {
+                    clone.removeAttribute('class');
                 }
+                // A background promoted by resolveLazyMedia is not in the computed style yet
+                const lazyBackground = computed.backgroundImage === 'none' ? clone.style?.backgroundImage : '';
+                clone.removeAttribute('style');
+                if (lazyBackground) clone.style.backgroundImage = lazyBackground;
+                elementCount++;
+                return own.values;
+            };
 
-                if (matches) {
-                    seen.add(sel);
-                    matched.push(
-                        sel.startsWith('@media')
-                            ? `${sel} {\n${rule.cssText}\n}`
-                            : `${sel} { ${rule.cssText} }`
-                    );
-                }
-            }
-
-            _log('info', `Matched ${matched.length} CSS rules out of ${allCSSRules.length} total`);
-            return matched.join('\n');
-        };
+            try {
+                const svgIds = { taken: new Set(), renamed: new Map() };
+                const clones = elements.map(el => {
+                    const sources = new Map();
+                    let clone = cloneWithSources(el, sources);
+                    clone = removeExcluded(clone, el, options.exclude);
+                    clone = resolveLazyMedia(clone, sources);
+                    // Copied sprite symbols have no source node: the walk leaves them unstyled
+                    clone = resolveSvgReferences(clone, el, svgIds);
+                    clone = cleanHTML(clone);
+                    clone.querySelectorAll('style, link[rel="stylesheet"]').forEach(node => node.remove());
+
+                    const walk = (node, inherited) => {
+                        const source = sources.get(node);
+                        const values = source ? styleElement(node, source, inherited) : inherited;
+                        Array.from(node.children).forEach(child => walk(child, values));
+                    };
+                    walk(clone, baseline.root);
+
+                    clone = cleanupAttributes(clone);
+                    return fixHTMLUrls(clone);
+                });
 
-        const hasTailwind = () => {
-            const indicators = ['flex', 'grid', 'items-center', 'justify-center', 'bg-', 'text-', 'p-', 'm-', 'rounded', 'shadow', 'hover:', 'md:'];
-            const allClasses = document.body.className + ' ' + Array.from(document.querySelectorAll('[class]')).map(el => el.className).join(' ');
-            return indicators.some(i => allClasses.includes(i));
+                _log('info', `Computed snapshot: ${elementCount} elements, ${classes.size} classes`);
+                return { clones, css: rules.join('\n'), classCount: classes.size, elementCount };
+            } finally {
+                baseline.dispose();
+            }
         };
 
         // ═══════════════════════════════════════════════════════════════
@@ -512,7 +3152,7 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
 
         /**
          * Extract real CSS animations from an element using Web Animations API
-         * @param {HTMLElement} element - Root element to analyze
+         * @param {HTMLElement|HTMLElement[]} element - Root element (or selection set) to analyze
          * @returns {Object} { animations: Array, generatedCSS: string }
          */
         const extractRealAnimations = (element) => {
@@ -548,6 +3188,8 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
                             // Build animation data
                             const animData = {
                                 name: animName,
+                                // animation-name of CSS animations, so their source @keyframes ship too
+                                sourceName: anim.animationName || null,
                                 elementId: elId,
                                 keyframes: keyframes.map(kf => ({
                                     offset: kf.offset,
@@ -593,7 +3235,7 @@ if (typeof window.__NINJA_SNATCH__.StyleInjector !== 'undefined') {
                 }
             };
 
-            traverse(element);
+            toElementList(element).forEach(traverse);
 
             // Build CSS output
             const cssOutput = Array.from(generatedKeyframes.keys()).join('\n\n');
@@ -933,18 +3575,21 @@ img { opacity: 1 !important; }
                 if (originalEl.shadowRoot) {
                     _log('info', `Cloning shadow content from <${originalEl.tagName.toLowerCase()}>`);
 
-                    // Create container for shadow content
-                    const shadowContainer = document.createElement('div');
+                    // Create container for shadow content (in the clone's document for iframe targets)
+                    const shadowContainer = clonedEl.ownerDocument.createElement('div');
                     shadowContainer.className = 'snatch-shadow-content';
                     shadowContainer.setAttribute('data-snatch-shadow', 'true');
 
                     // Copy shadow root innerHTML
                     shadowContainer.innerHTML = originalEl.shadowRoot.innerHTML;
 
-                    // Apply shadow styles as inline or scoped
-                    originalEl.shadowRoot.querySelectorAll('style').forEach(style => {
-                        const styleClone = style.cloneNode(true);
-                        shadowContainer.insertBefore(styleClone, shadowContainer.firstChild);
+                    // Style text through the CSSOM: runtime-inserted rules never reach textContent
+                    const originalStyles = originalEl.shadowRoot.querySelectorAll('style');
+                    shadowContainer.querySelectorAll('style').forEach((styleClone, i) => {
+                        try {
+                            const rules = originalStyles[i]?.sheet?.cssRules;
+                            if (rules) styleClone.textContent = Array.from(rules, rule => rule.cssText).join('\n');
+                        } catch (e) { }
                     });
 
                     // Append to cloned element
@@ -979,52 +3624,96 @@ img { opacity: 1 !important; }
         return {
             version: VERSION,
 
-            init() {
-                pageOrigin = window.location.origin;
+            /**
+             * Collect CSS from the document that owns the target
+             * @param {HTMLElement|HTMLElement[]} [element] - Export target; defaults to the top document
+             */
+            init(element) {
+                const doc = getSourceDocument(element);
+                const origin = doc.defaultView?.location?.origin;
+                // about:srcdoc / about:blank frames report "null" — fall back to the page origin
+                pageOrigin = origin && origin !== 'null' ? origin : window.location.origin;
                 _log('info', `Initializing v${VERSION}`);
-                collectAllCSS();
+                collectAllCSS(doc);
             },
 
-            _prepareExport(element) {
-                let clone = element.cloneNode(true);
-
-                // Clone shadow DOM content into regular HTML
-                clone = cloneShadowContent(clone, element);
-
-                clone = cleanHTML(clone);
-                clone = cleanupAttributes(clone);
-                clone = fixAnimationStates(clone);
-                clone = fixHTMLUrls(clone);
+            /**
+             * Clone and clean the export target, then collect CSS for it
+             * A selection set is processed as one export: matched CSS, keyframes
+             * and fonts are collected once across all clones
+             * @param {HTMLElement|HTMLElement[]} element - Element or selection set
+             * @param {Object} [options]
+             * @param {Array<HTMLElement|string>} [options.exclude] - Descendants (or selectors) to drop
+             * @returns {{clone: HTMLElement, clones: HTMLElement[], html: string, cssData: Object}}
+             */
+            _prepareExport(element, options = {}) {
+                const elements = toElementList(element);
+                const doc = getSourceDocument(elements);
+                const svgIds = { taken: new Set(), renamed: new Map() };
+
+                const clones = elements.map(el => {
+                    let clone = el.cloneNode(true);
+                    const sources = mapCloneToSource(clone, el);
+
+                    // Clone shadow DOM content into regular HTML
+                    clone = cloneShadowContent(clone, el);
+
+                    // Drop excluded nodes so their rules never reach CSS matching
+                    clone = removeExcluded(clone, el, options.exclude);
+
+                    clone = resolveLazyMedia(clone, sources);
+                    clone = resolveSvgReferences(clone, el, svgIds);
+                    clone = cleanHTML(clone);
+                    clone = cleanupAttributes(clone);
+                    clone = fixAnimationStates(clone);
+                    clone = fixHTMLUrls(clone);
+                    return clone;
+                });
 
-                const usedClasses = collectUsedClasses(clone);
+                const usedClasses = collectUsedClasses(clones);
+                const matchedCSS = renameIdSelectors(getMatchedCSSRules(usedClasses, clones), svgIds.renamed);
+                const extractedAnimations = extractRealAnimations(elements);
+                const usage = collectComputedUsage(elements, options.exclude);
+                const keyframes = selectUsedKeyframes(matchedCSS, clones, usage, extractedAnimations);
+                const text = clones.map(c => c.textContent).join('') + usage.pseudoText + getAllElements(clones)
+                    .map(el => `${el.getAttribute?.('placeholder') || ''}${el.getAttribute?.('value') || ''}`)
+                    .join('');
+                // May set inherited values on the clones, so it runs before the markup is serialized
+                const variables = generateUsedCSSVariables(`${matchedCSS}\n${keyframes}`, clones, elements);
 
                 return {
-                    clone,
+                    clone: clones[0],
+                    clones,
+                    html: clones.map(c => c.outerHTML).join('\n'),
                     cssData: {
-                        externalLinks: collectExternalLinks(),
-                        googleFonts: collectGoogleFonts(),
-                        fontFaces: allFontFaces.join('\n\n'),
-                        variables: generateCSSVariables(),
-                        keyframes: allKeyframes.join('\n\n'),
-                        matchedCSS: getMatchedCSSRules(usedClasses, clone),
+                        externalLinks: collectExternalLinks(doc),
+                        googleFonts: collectGoogleFonts(doc),
+                        fontFaces: selectUsedFontFaces(usage, text, matchedCSS),
+                        variables,
+                        keyframes,
+                        matchedCSS,
+                        optimization: lastOptimization,
+                        origins: lastOrigins,
+                        sourceMap: lastSourceMap,
                         revealAnimations: generateRevealAnimationsCSS(),
-                        hasTailwind: hasTailwind(),
+                        hasTailwind: hasTailwind(doc),
                         // NEW v10.0: Extracted animations via Web Animations API
-                        extractedAnimations: extractRealAnimations(element)
+                        extractedAnimations
                     }
                 };
             },
 
-            injectStyles(element) {
-                this.init();
-                const { clone, cssData } = this._prepareExport(element);
-                return prettifyHTML(`<style>\n${cssData.variables}\n${cssData.fontFaces}\n${cssData.keyframes}\n${cssData.matchedCSS}\n${cssData.revealAnimations}\n</style>\n${clone.outerHTML}`);
+            injectStyles(element, options = {}) {
+                this.init(element);
+                const { html, cssData } = this._prepareExport(element, options);
+                return prettifyHTML(`<style>\n${cssData.variables}\n${cssData.fontFaces}\n${cssData.keyframes}\n${cssData.matchedCSS}\n${cssData.revealAnimations}\n</style>\n${html}`);
             },
 
-            createStyledDocument(element, title = DEFAULTS.defaultTitle) {
-                this.init();
-                const { clone, cssData } = this._prepareExport(element);
-                const bodyStyle = window.getComputedStyle(document.body);
+            createStyledDocument(element, title = DEFAULTS.defaultTitle, options = {}) {
+                this.init(element);
+                const { html, cssData } = this._prepareExport(element, options);
+                const doc = getSourceDocument(element);
+                const bodyStyle = (doc.defaultView || window).getComputedStyle(doc.body);
                 const tailwind = cssData.hasTailwind ? `<script src="${DEFAULTS.tailwindCdn}"></script>` : '';
 
                 return prettifyHTML(`<!DOCTYPE html>
@@ -1055,7 +3744,7 @@ ${cssData.revealAnimations}
 </style>
 </head>
 <body>
-${clone.outerHTML}
+${html}
 <script type="module">
 ${generateAnimationScript()}
 ${generateCursorScript()}
@@ -1064,13 +3753,109 @@ ${generateCursorScript()}
 </html>`);
             },
 
+            /**
+             * Export that can be pasted into another page without restyling it:
+             * no global resets, :root/html/body rules target the wrapper, keyframes get unique names
+             * @param {HTMLElement|HTMLElement[]} element
+             * @param {Object} [options]
+             * @param {Array<HTMLElement|string>} [options.exclude] - Descendants (or selectors) to drop
+             * @param {string} [options.strategy] - class (prefix selectors with the root class),
+             *   scope (wrap in @scope) or shadow (custom element with its own shadow root);
+             *   defaults to SnatcherConfig.scopedExport.strategy
+             * @returns {string}
+             */
+            createScopedExport(element, options = {}) {
+                this.init(element);
+                const scoped = buildScopedExport(this._prepareExport(element, options), getScopeStrategy(options));
+                const fonts = scoped.fonts ? `<style>\n${scoped.fonts}\n</style>\n` : '';
+                if (scoped.strategy === 'shadow') return prettifyHTML(`${fonts}${generateScopedElement(scoped)}`);
+                return prettifyHTML(`${fonts}<style>\n${scoped.css}\n</style>\n${scoped.html}`);
+            },
+
+            /**
+             * Standalone document around createScopedExport() for download and preview
+             * Unreadable external stylesheets are linked here but left out of the pasteable snippet
+             */
+            createScopedDocument(element, title = DEFAULTS.defaultTitle, options = {}) {
+                const snippet = this.createScopedExport(element, options);
+                const doc = getSourceDocument(element);
+
+                return prettifyHTML(`<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+${collectExternalLinks(doc)}
+</head>
+<body>
+${snippet}
+</body>
+</html>`);
+            },
+
+            /**
+             * Computed-style snapshot: every element gets generated classes holding the difference
+             * between its computed style and the tag defaults, so the result renders the same
+             * even when no stylesheet of the page could be read (cross-origin, CSS-in-JS)
+             * The snapshot is static: hover states, media queries and animations are not kept
+             * @param {HTMLElement|HTMLElement[]} element
+             * @param {Object} [options]
+             * @param {Array<HTMLElement|string>} [options.exclude] - Descendants (or selectors) to drop
+             * @returns {{html: string, css: string, fonts: string, classCount: number, elementCount: number}}
+             */
+            createComputedSnapshot(element, options = {}) {
+                this.init(element);
+                const elements = toElementList(element);
+                const doc = getSourceDocument(elements);
+                const { clones, css, classCount, elementCount } = buildComputedSnapshot(elements, options);
+                const usage = collectComputedUsage(elements, options.exclude);
+                const fonts = [collectGoogleFonts(doc), selectUsedFontFaces(usage, clones.map(c => c.textContent).join('') + usage.pseudoText)]
+                    .filter(Boolean)
+                    .join('\n');
+
+                return { html: clones.map(c => c.outerHTML).join('\n'), css, fonts, classCount, elementCount };
+            },
+
+            createComputedExport(element, options = {}) {
+                const { html, css, fonts } = this.createComputedSnapshot(element, options);
+                return prettifyHTML(`<style>\n${fonts}\n${css}\n</style>\n${html}`);
+            },
+
+            createComputedDocument(element, title = DEFAULTS.defaultTitle, options = {}) {
+                const { html, css, fonts } = this.createComputedSnapshot(element, options);
+                const doc = getSourceDocument(element);
+                const bodyStyle = (doc.defaultView || window).getComputedStyle(doc.body);
+
+                return prettifyHTML(`<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+/* Ninja-Snatch v${VERSION} computed snapshot */
+${fonts}
+body { margin: 0; background: ${bodyStyle.backgroundColor || '#fff'}; }
+${css}
+</style>
+</head>
+<body>
+${html}
+</body>
+</html>`);
+            },
+
             /**
              * Create LLM-friendly ULTRA-compact export
              * Strips ALL styling, keeps only structure and content
              */
-            createLLMExport(element) {
+            createLLMExport(element, options = {}) {
                 // Clone element
                 let clone = element.cloneNode(true);
+                const sources = mapCloneToSource(clone, element);
+                clone = removeExcluded(clone, element, options.exclude);
+                clone = resolveLazyMedia(clone, sources);
                 clone = cleanHTML(clone);
 
                 // Get element path for context
@@ -1261,21 +4046,60 @@ ${generateCursorScript()}
             },
 
             // Alias for renamed function (Compact = LLM)
-            createCompactExport(element) {
-                return this.createLLMExport(element);
+            // A selection set is exported as consecutive compact blocks
+            createCompactExport(element, options = {}) {
+                return toElementList(element).map(el => this.createLLMExport(el, options)).join('\n\n');
+            },
+
+            /**
+             * JSON map of the rules emitted by the last styled/scoped export to their sources
+             * @param {string} [file] - Name of the exported file the map accompanies
+             * @param {Array} [rules] - lastSourceMap of the export
+             * @returns {string|null} null when the source map option is off or nothing was exported
+             */
+            createSourceMap(file = '', rules = lastSourceMap) {
+                if (!isProvenanceEnabled('sourceMap') || !rules) return null;
+                return JSON.stringify({ version: 1, file, page: location.href, rules }, null, 2);
+            },
+
+            /**
+             * Clone an element without its excluded descendants (clean mode)
+             * @param {HTMLElement} element
+             * @param {Array<HTMLElement|string>} [exclude] - Elements or CSS selectors
+             * @returns {HTMLElement}
+             */
+            cloneExcluding(element, exclude = []) {
+                return removeExcluded(element.cloneNode(true), element, exclude);
             },
 
             // Legacy compatibility - functions
             collectAllCSS,
+            fetchExternalStylesheets,
+            processRule,
+            resolveCSSUrls,
             collectUsedClasses,
+            countMatchingRules,
+            toMatchableSelector,
+            calculateSpecificity,
             collectExternalLinks,
             collectGoogleFonts,
             generateCSSVariables,
+            generateUsedCSSVariables,
+            buildScopedExport,
             cleanHTML,
             fixAnimationStates,
             fixHTMLUrls,
+            resolveLazyMedia,
+            resolveSvgReferences,
+            fetchExternalSprites,
+            mapCloneToSource,
             cleanupAttributes,
             prettifyHTML,
+            prettifyCSS,
+            minifyCSS,
+            formatStyleBlocks,
+            inlineAssets,
+            createProjectFiles,
             generateRevealAnimations: generateRevealAnimationsCSS,
             fixRelativeURLs(cssText) { return fixCSSUrls(cssText, pageOrigin); },
 
@@ -1295,6 +4119,10 @@ ${generateCursorScript()}
             set allCSSRules(v) { allCSSRules = v; },
             get cssVariables() { return cssVariables; },
             set cssVariables(v) { cssVariables = v; },
+            get lastOptimization() { return lastOptimization; },
+            get lastOrigins() { return lastOrigins; },
+            get lastSourceMap() { return lastSourceMap; },
+            get lastInlineReport() { return lastInlineReport; },
             get externalStylesheets() { return externalStylesheets; },
             set externalStylesheets(v) { externalStylesheets = v; },
             classCounter: 0  // Legacy property
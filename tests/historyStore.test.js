@@ -0,0 +1,96 @@
+/**
+ * Unit tests for HistoryStore pure helpers
+ * IndexedDB itself is not available in jsdom
+ */
+
+const { HistoryStore, HISTORY_DEFAULTS } = require('../historyStore.js');
+
+describe('HistoryStore', () => {
+    const entry = (id, overrides = {}) => ({
+        ...HistoryStore.normalizeEntry({ url: 'https://example.com', mode: 'styled', code: 'x', timestamp: id }),
+        id,
+        ...overrides
+    });
+
+    describe('normalizeEntry', () => {
+        test('fills defaults and measures size', () => {
+            const result = HistoryStore.normalizeEntry({ url: 'https://a.com', code: '<div></div>', fullDoc: '<html><div></div></html>', tags: 'Hero, hero ,Card' });
+
+            expect(result).toMatchObject({
+                url: 'https://a.com',
+                mode: 'clean',
+                format: 'html',
+                metadata: null,
+                tags: ['hero', 'card'],
+                size: 11 + 24
+            });
+            expect(typeof result.timestamp).toBe('number');
+        });
+
+        test('drops fullDoc when it equals the copied code', () => {
+            expect(HistoryStore.normalizeEntry({ code: 'same', fullDoc: 'same' }).fullDoc).toBeNull();
+        });
+    });
+
+    describe('matchesEntry', () => {
+        const item = entry(1, { title: 'Pricing', selector: '#main > section', tags: ['landing'], code: '<div class="price-card">' });
+
+        test('matches query against title, selector, tags and code', () => {
+            expect(HistoryStore.matchesEntry(item, { query: 'pric' })).toBe(true);
+            expect(HistoryStore.matchesEntry(item, { query: '#MAIN' })).toBe(true);
+            expect(HistoryStore.matchesEntry(item, { query: 'landing' })).toBe(true);
+            expect(HistoryStore.matchesEntry(item, { query: 'price-card' })).toBe(true);
+            expect(HistoryStore.matchesEntry(item, { query: 'footer' })).toBe(false);
+        });
+
+        test('filters by tag', () => {
+            expect(HistoryStore.matchesEntry(item, { tag: 'landing' })).toBe(true);
+            expect(HistoryStore.matchesEntry(item, { tag: 'blog' })).toBe(false);
+        });
+    });
+
+    describe('selectPrunable', () => {
+        test('removes the oldest entries above the entry limit', () => {
+            const entries = [entry(1), entry(2), entry(3), entry(4)];
+            expect(HistoryStore.selectPrunable(entries, { maxEntries: 2 }).sort()).toEqual([1, 2]);
+        });
+
+        test('removes the oldest entries above the size limit', () => {
+            const mb = 1024 * 1024;
+            const entries = [entry(1, { size: mb }), entry(2, { size: mb }), entry(3, { size: mb })];
+            expect(HistoryStore.selectPrunable(entries, { maxEntries: 100, maxMegabytes: 2 })).toEqual([1]);
+        });
+
+        test('always keeps the newest entry', () => {
+            const entries = [entry(1, { size: 10 * 1024 * 1024 })];
+            expect(HistoryStore.selectPrunable(entries, { maxEntries: 1, maxMegabytes: 1 })).toEqual([]);
+        });
+
+        test('uses defaults without a quota', () => {
+            expect(HISTORY_DEFAULTS.maxEntries).toBeGreaterThan(0);
+            expect(HistoryStore.selectPrunable([entry(1), entry(2)])).toEqual([]);
+        });
+    });
+
+    describe('collectTags', () => {
+        test('counts tags across entries', () => {
+            const entries = [entry(1, { tags: ['hero', 'card'] }), entry(2, { tags: ['card'] })];
+            expect(HistoryStore.collectTags(entries)).toEqual([{ tag: 'card', count: 2 }, { tag: 'hero', count: 1 }]);
+        });
+    });
+
+    describe('getFilename', () => {
+        test('uses jsx for React Smart Extract entries', () => {
+            expect(HistoryStore.getFilename(entry(1, { title: 'My Page', mode: 'smart', format: 'react-tailwind' }))).toBe('My_Page_smart.jsx');
+            expect(HistoryStore.getFilename(entry(1, { title: '', selector: 'page' }))).toBe('page_styled.html');
+        });
+    });
+
+    describe('buildExport', () => {
+        test('serializes entries into a JSON bundle', () => {
+            const bundle = JSON.parse(HistoryStore.buildExport([entry(1)]));
+            expect(bundle.app).toBe('ninja-snatch');
+            expect(bundle.entries).toHaveLength(1);
+        });
+    });
+});
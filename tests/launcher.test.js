@@ -0,0 +1,211 @@
+/**
+ * Unit tests for SnatchLauncher (popup + keyboard commands)
+ * @jest-environment jsdom
+ */
+
+const { SnatchLauncher, extractPageContent, copyTextInPage, applySniperSettings, armContextTarget, createProjectInPage } = require('../launcher.js');
+require('../utils.js');
+
+describe('SnatchLauncher', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = {};
+        global.chrome = {
+            storage: {
+                local: { get: jest.fn((keys, cb) => cb(stored)) }
+            },
+            scripting: {
+                insertCSS: jest.fn(() => Promise.resolve()),
+                executeScript: jest.fn(() => Promise.resolve([{ result: { html: '<html></html>', title: 'Page', ext: 'html' } }]))
+            }
+        };
+    });
+
+    afterEach(() => {
+        delete global.chrome;
+    });
+
+    const injectedFiles = () => chrome.scripting.executeScript.mock.calls
+        .map(([opts]) => opts.files?.[0])
+        .filter(Boolean);
+
+    describe('isRestrictedPage', () => {
+        test('blocks browser pages and missing urls', () => {
+            expect(SnatchLauncher.isRestrictedPage('chrome://extensions')).toBe(true);
+            expect(SnatchLauncher.isRestrictedPage('edge://settings')).toBe(true);
+            expect(SnatchLauncher.isRestrictedPage(undefined)).toBe(true);
+            expect(SnatchLauncher.isRestrictedPage('https://example.com')).toBe(false);
+        });
+    });
+
+    describe('loadSettings', () => {
+        test('fills defaults', async () => {
+            await expect(SnatchLauncher.loadSettings()).resolves.toEqual({
+                outputMode: 'copy',
+                extractMode: 'clean',
+                smartExtractSettings: {},
+                previewEnabled: false,
+                cssFormat: 'raw',
+                singleFile: false,
+                provenance: { comments: false, sourceMap: false }
+            });
+        });
+
+        test('returns persisted values', async () => {
+            stored = { outputMode: 'download', extractMode: 'smart', previewEnabled: true, cssFormat: 'minify', provenanceSourceMap: true };
+            const settings = await SnatchLauncher.loadSettings();
+            expect(settings.outputMode).toBe('download');
+            expect(settings.extractMode).toBe('smart');
+            expect(settings.previewEnabled).toBe(true);
+            expect(settings.cssFormat).toBe('minify');
+            expect(settings.provenance).toEqual({ comments: false, sourceMap: true });
+        });
+    });
+
+    describe('startSniper', () => {
+        test('injects core scripts in order and selector last', async () => {
+            await SnatchLauncher.startSniper(1, { outputMode: 'copy', extractMode: 'clean', smartExtractSettings: {}, previewEnabled: false });
+
+            expect(chrome.scripting.insertCSS).toHaveBeenCalledWith({ target: { tabId: 1 }, files: ['selector.css'] });
+            expect(injectedFiles()).toEqual(['config.js', 'styleInjector.js', 'utils.js', 'selector.js']);
+        });
+
+        test('adds smart scripts for the smart extract mode', async () => {
+            await SnatchLauncher.startSniper(1, { outputMode: 'copy', extractMode: 'smart', smartExtractSettings: {}, previewEnabled: false });
+            expect(injectedFiles()).toEqual(['config.js', 'styleInjector.js', 'smartStyleInjector.js', 'smartExtract.js', 'utils.js', 'selector.js']);
+        });
+
+        test('passes persisted modes to the page', async () => {
+            const provenance = { comments: true, sourceMap: false };
+            await SnatchLauncher.startSniper(1, { outputMode: 'download', extractMode: 'styled', smartExtractSettings: { format: 'html-tailwind' }, previewEnabled: true, cssFormat: 'pretty', singleFile: true, provenance });
+
+            const settingsCall = chrome.scripting.executeScript.mock.calls.find(([opts]) => opts.func);
+            expect(settingsCall[0].args).toEqual(['download', 'styled', { format: 'html-tailwind' }, true, 'pretty', true, provenance]);
+            expect(injectedFiles()).toContain('previewPanel.js');
+        });
+    });
+
+    describe('capturePage', () => {
+        test('returns the extracted page', async () => {
+            const result = await SnatchLauncher.capturePage(1, { extractMode: 'clean', smartExtractSettings: {} });
+            expect(result).toEqual({ html: '<html></html>', title: 'Page', ext: 'html' });
+            expect(injectedFiles()).toEqual(['config.js', 'styleInjector.js']);
+        });
+
+        test('keeps the single-file report out of copied pages', async () => {
+            const extractArgs = () => chrome.scripting.executeScript.mock.calls.find(([opts]) => opts.func === extractPageContent)[0].args;
+
+            await SnatchLauncher.capturePage(1, { outputMode: 'copy', extractMode: 'styled', smartExtractSettings: {}, singleFile: true });
+            expect(extractArgs()[5]).toBe(false);
+
+            chrome.scripting.executeScript.mockClear();
+            await SnatchLauncher.capturePage(1, { outputMode: 'download', extractMode: 'styled', smartExtractSettings: {}, singleFile: true });
+            expect(extractArgs()[5]).toBe(true);
+        });
+
+        test('builds the ZIP project files in the page for the zip download mode', async () => {
+            const project = { files: [{ name: 'index.html', text: '<html></html>' }], report: { assets: [], skipped: [] } };
+            chrome.scripting.executeScript.mockImplementation(({ func }) => Promise.resolve([{
+                result: func === createProjectInPage ? project : { html: '<html></html>', title: 'Page', ext: 'html' }
+            }]));
+
+            const result = await SnatchLauncher.capturePage(1, { extractMode: 'styled', smartExtractSettings: {}, outputMode: 'zip' });
+            expect(result.project).toEqual(project);
+            const projectCall = chrome.scripting.executeScript.mock.calls.find(([opts]) => opts.func === createProjectInPage);
+            expect(projectCall[0].args).toEqual(['<html></html>']);
+        });
+
+        test('throws when the page returned nothing', async () => {
+            chrome.scripting.executeScript.mockImplementation(() => Promise.resolve([]));
+            await expect(SnatchLauncher.capturePage(1, { extractMode: 'clean' })).rejects.toThrow('Не удалось получить данные');
+        });
+    });
+
+    describe('buildFilename', () => {
+        test('adds page suffix and mode suffix', () => {
+            expect(SnatchLauncher.buildFilename('My Page!', 'page', 'styled')).toBe('My_Page__page_styled.html');
+            expect(SnatchLauncher.buildFilename('', 'page', 'smart', 'jsx')).toBe('snatched_page_smart.jsx');
+        });
+
+        test('keeps the zip extension for project downloads', () => {
+            expect(SnatchLauncher.buildFilename('My Page', 'page', 'styled', 'zip')).toBe('My_Page_page_styled.zip');
+        });
+
+        test('names the source map after the downloaded file', () => {
+            const download = SnatchLauncher.buildSourceMapDownload('{"version":1,"file":"","rules":[]}', 'Page_page_styled.html');
+            expect(download.filename).toBe('Page_page_styled.sources.json');
+            expect(download.mimeType).toBe('application/json');
+            expect(JSON.parse(download.content).file).toBe('Page_page_styled.html');
+        });
+    });
+
+    describe('page injectors', () => {
+        test('applySniperSettings writes the namespace', () => {
+            applySniperSettings('download', 'compact', {}, false, 'minify', true);
+            expect(window.__NINJA_SNATCH__.snatcherMode).toBe('download');
+            expect(window.__NINJA_SNATCH__.snatcherExtractMode).toBe('compact');
+            expect(window.__NINJA_SNATCH__.snatcherCssFormat).toBe('minify');
+            expect(window.__NINJA_SNATCH__.snatcherSingleFile).toBe(true);
+        });
+
+        test('copyTextInPage falls back to execCommand without clipboard access', async () => {
+            document.execCommand = jest.fn(() => true);
+            await expect(copyTextInPage('<div></div>')).resolves.toBe(true);
+            expect(document.execCommand).toHaveBeenCalledWith('copy');
+            expect(document.querySelector('textarea')).toBeNull();
+
+            document.execCommand = jest.fn(() => false);
+            await expect(copyTextInPage('<div></div>')).resolves.toBe(false);
+        });
+
+        test('copyInTab loads utils.js before copying', async () => {
+            chrome.scripting.executeScript.mockImplementation(() => Promise.resolve([{ result: true }]));
+            await expect(SnatchLauncher.copyInTab(1, 'x')).resolves.toBe(true);
+            expect(injectedFiles()).toEqual(['utils.js']);
+            expect(chrome.scripting.executeScript.mock.calls[1][0]).toMatchObject({ func: copyTextInPage, args: ['x'] });
+        });
+    });
+
+    describe('context menu', () => {
+        const settings = { outputMode: 'copy', extractMode: 'clean', smartExtractSettings: {}, previewEnabled: false };
+
+        test('contextTarget.js remembers the right-clicked element', () => {
+            require('../contextTarget.js');
+            document.body.innerHTML = '<div><a id="link">Link</a></div>';
+            const link = document.getElementById('link');
+
+            link.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, composed: true }));
+            expect(window.__NINJA_SNATCH__.lastContextTarget).toBe(link);
+
+            expect(armContextTarget('scoped')).toBe(true);
+            expect(window.__NINJA_SNATCH__.pendingSnatchTarget).toBe(link);
+            expect(window.__NINJA_SNATCH__.pendingSnatchMode).toBe('scoped');
+        });
+
+        test('armContextTarget ignores detached targets', () => {
+            window.__NINJA_SNATCH__.lastContextTarget = document.createElement('div');
+            window.__NINJA_SNATCH__.pendingSnatchTarget = null;
+            expect(armContextTarget()).toBe(false);
+            expect(window.__NINJA_SNATCH__.pendingSnatchTarget).toBeNull();
+        });
+
+        test('snatchContextTarget injects into the clicked frame with the submenu mode', async () => {
+            chrome.scripting.executeScript.mockImplementation(() => Promise.resolve([{ result: true }]));
+            await expect(SnatchLauncher.snatchContextTarget(1, 3, settings, 'compact')).resolves.toBe(true);
+
+            const calls = chrome.scripting.executeScript.mock.calls.map(([opts]) => opts);
+            expect(calls.every(opts => opts.target.frameIds[0] === 3)).toBe(true);
+            expect(calls.find(opts => opts.func === armContextTarget).args).toEqual(['compact']);
+            // An active Sniper keeps its own extract mode
+            expect(calls.find(opts => opts.func === applySniperSettings).args[1]).toBe('clean');
+            expect(injectedFiles().slice(-2)).toEqual(['utils.js', 'selector.js']);
+        });
+
+        test('snatchContextTarget skips injection when no target was recorded', async () => {
+            chrome.scripting.executeScript.mockImplementation(() => Promise.resolve([{ result: false }]));
+            await expect(SnatchLauncher.snatchContextTarget(1, 0, settings)).resolves.toBe(false);
+            expect(injectedFiles()).toEqual([]);
+        });
+    });
+});
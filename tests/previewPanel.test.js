@@ -0,0 +1,122 @@
+/**
+ * Unit tests for PreviewPanel
+ * @jest-environment jsdom
+ */
+
+require('../previewPanel.js');
+
+describe('PreviewPanel', () => {
+    const PreviewPanel = window.__NINJA_SNATCH__.PreviewPanel;
+
+    const makeResult = (mode) => ({
+        html: `<div class="${mode}">Card</div>`,
+        fullDoc: `<!DOCTYPE html><html><head><style>.${mode} { color: red; }</style></head><body><div class="${mode}">Card</div></body></html>`,
+        css: `.${mode} { color: red; }`,
+        jsx: mode === 'smart' ? 'export default function Card() { return <div />; }' : null
+    });
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    let render, onCopy, onDownload;
+
+    const openPanel = (options = {}) => PreviewPanel.open({
+        mode: 'styled',
+        smartAvailable: true,
+        render,
+        onCopy,
+        onDownload,
+        ...options
+    });
+
+    const getRoot = () => document.querySelector('snatcher-preview').shadowRoot;
+    const findButton = (text) => Array.from(getRoot().querySelectorAll('button')).find(b => b.textContent === text);
+
+    beforeEach(() => {
+        render = jest.fn(mode => Promise.resolve(makeResult(mode)));
+        onCopy = jest.fn(() => Promise.resolve());
+        onDownload = jest.fn();
+        window.__NINJA_SNATCH__.previewInstance?.close();
+        document.body.innerHTML = '';
+    });
+
+    test('renders the initial mode into a sandboxed iframe', async () => {
+        openPanel();
+        await flush();
+
+        expect(render).toHaveBeenCalledWith('styled');
+        const iframe = getRoot().querySelector('iframe');
+        expect(iframe.getAttribute('sandbox')).toBe('allow-scripts');
+        expect(iframe.srcdoc).toContain('<div class="styled">Card</div>');
+        expect(getRoot().querySelector('pre').textContent).toBe('<div class="styled">Card</div>');
+    });
+
+    test('isolates the panel in a shadow root', () => {
+        openPanel();
+        expect(document.querySelector('.panel')).toBeNull();
+        expect(getRoot().querySelector('.panel')).not.toBeNull();
+    });
+
+    test('shows CSS from <style> blocks in the CSS tab', async () => {
+        openPanel();
+        await flush();
+
+        findButton('CSS').click();
+        expect(getRoot().querySelector('pre').textContent).toBe('.styled { color: red; }');
+    });
+
+    test('re-renders when the extract mode is switched', async () => {
+        openPanel();
+        await flush();
+
+        findButton('Compact').click();
+        await flush();
+
+        expect(render).toHaveBeenLastCalledWith('compact');
+        expect(getRoot().querySelector('pre').textContent).toContain('class="compact"');
+    });
+
+    test('switches to the JSX tab for React Smart Extract results', async () => {
+        openPanel({ mode: 'smart' });
+        await flush();
+
+        expect(getRoot().querySelector('pre').textContent).toContain('export default function Card');
+    });
+
+    test('disables Smart mode when SmartExtract is not loaded', () => {
+        openPanel({ smartAvailable: false });
+        expect(findButton('Smart ✨').disabled).toBe(true);
+    });
+
+    test('copies the active tab content and closes', async () => {
+        openPanel();
+        await flush();
+
+        findButton('CSS').click();
+        findButton('Скопировать').click();
+        await flush();
+
+        expect(onCopy).toHaveBeenCalledWith('.styled { color: red; }', expect.objectContaining({ html: expect.any(String) }));
+        expect(document.querySelector('snatcher-preview')).toBeNull();
+    });
+
+    test('downloads the rendered result and closes', async () => {
+        openPanel();
+        await flush();
+
+        findButton('Скачать').click();
+        expect(onDownload).toHaveBeenCalledWith(expect.objectContaining({ fullDoc: expect.stringContaining('<!DOCTYPE html>') }));
+        expect(document.querySelector('snatcher-preview')).toBeNull();
+    });
+
+    test('closes on Escape', () => {
+        openPanel();
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        expect(document.querySelector('snatcher-preview')).toBeNull();
+    });
+
+    test('keeps only one panel open', () => {
+        openPanel();
+        openPanel();
+        expect(document.querySelectorAll('snatcher-preview')).toHaveLength(1);
+    });
+});
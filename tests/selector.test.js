@@ -1,9 +1,27 @@
 /**
  * Tests for selector.js - Visual Sniper component
  * 
- * Tests the logic patterns used in selector.js without full DOM integration.
+ * Tests the logic patterns used in selector.js without full DOM integration;
+ * multi selection, keyboard navigation and the breadcrumb label drive the real SniperSelector.
  */
 
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Runs selector.js like the content script injection does
+ * @returns {Object} The active SniperSelector instance
+ */
+const loadSniper = () => {
+    const code = fs.readFileSync(path.join(__dirname, '..', 'selector.js'), 'utf-8');
+    new Function(code)();
+    return window.__NINJA_SNATCH__.snatcherInstance;
+};
+
+const press = key => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+const hover = el => el.dispatchEvent(new MouseEvent('mousemove', { bubbles: true, composed: true }));
+const click = (el, init = {}) => el.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, ...init }));
+
 describe('SniperSelector Logic Tests', () => {
     let mockWindow;
 
@@ -256,6 +274,309 @@ describe('SniperSelector Logic Tests', () => {
         });
     });
 
+    describe('Multi Selection', () => {
+        let sniper;
+        const shiftClick = id => {
+            const el = document.getElementById(id);
+            hover(el);
+            click(el, { shiftKey: true });
+        };
+        const downloads = () => chrome.runtime.sendMessage.mock.calls
+            .map(([message]) => message)
+            .filter(message => message.action === 'download');
+
+        beforeEach(() => {
+            global.chrome = { runtime: { sendMessage: jest.fn() } };
+            jest.spyOn(console, 'log').mockImplementation(() => { });
+            document.body.innerHTML = `
+                <header id="header"><nav id="nav"></nav></header>
+                <main id="main"><div id="card"></div></main>
+                <footer id="footer"></footer>
+            `;
+            sniper = loadSniper();
+            window.__NINJA_SNATCH__.snatcherMode = 'download';
+        });
+
+        afterEach(() => {
+            sniper.destroy();
+            console.log.mockRestore();
+            delete window.__NINJA_SNATCH__.snatcherMode;
+            delete global.chrome;
+        });
+
+        test('should ignore elements inside an already selected one', () => {
+            shiftClick('header');
+            shiftClick('nav');
+            expect(sniper.selected.map(s => s.element.id)).toEqual(['header']);
+        });
+
+        test('should replace selected descendants with their ancestor', () => {
+            shiftClick('card');
+            shiftClick('main');
+            expect(sniper.selected.map(s => s.element.id)).toEqual(['main']);
+            expect(document.querySelectorAll('.snatcher-selected')).toHaveLength(1);
+        });
+
+        test('should export the selection in document order on Enter', async () => {
+            shiftClick('footer');
+            shiftClick('header');
+            shiftClick('card');
+            press('Enter');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const [{ data }] = downloads();
+            const order = ['header', 'card', 'footer'].map(id => data.content.indexOf(`id="${id}"`));
+            expect(order.every(index => index > 0)).toBe(true);
+            expect([...order].sort((a, b) => a - b)).toEqual(order);
+            expect(window.__NINJA_SNATCH__.snatcherInstance).toBeNull();
+        });
+
+        test('should add the count suffix to the download filename', async () => {
+            shiftClick('header');
+            shiftClick('card');
+            shiftClick('footer');
+            press('Enter');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(downloads()[0].data.filename).toBe('HEADER_header_x3.html');
+        });
+    });
+
+    describe('Keyboard Navigation', () => {
+        let sniper;
+
+        beforeEach(() => {
+            document.body.innerHTML = '<section id="wrapper"><div id="first"><span id="inner"></span></div><div id="second"></div></section>';
+            sniper = loadSniper();
+            hover(document.getElementById('first'));
+        });
+
+        afterEach(() => {
+            sniper.destroy();
+        });
+
+        test('should move to parent on ArrowUp', () => {
+            press('ArrowUp');
+            expect(sniper.hoveredElement.id).toBe('wrapper');
+        });
+
+        test('should not treat body as a navigation target', () => {
+            press('ArrowUp');
+            press('ArrowUp');
+            expect(sniper.hoveredElement.id).toBe('wrapper');
+        });
+
+        test('should move to first child on ArrowDown', () => {
+            press('ArrowDown');
+            expect(sniper.hoveredElement.id).toBe('inner');
+            press('ArrowDown');
+            expect(sniper.hoveredElement.id).toBe('inner');
+        });
+
+        test('should move between siblings on ArrowLeft/ArrowRight', () => {
+            press('ArrowRight');
+            expect(sniper.hoveredElement.id).toBe('second');
+            press('ArrowLeft');
+            expect(sniper.hoveredElement.id).toBe('first');
+        });
+
+        test('should skip Sniper overlays when moving between siblings', () => {
+            press('ArrowUp');
+            press('ArrowRight');
+            expect(sniper.hoveredElement.id).toBe('wrapper');
+        });
+
+        test('should keep the keyboard target while the pointer rests on the same element', () => {
+            press('ArrowUp');
+            hover(document.getElementById('first'));
+            expect(sniper.hoveredElement.id).toBe('wrapper');
+            hover(document.getElementById('second'));
+            expect(sniper.hoveredElement.id).toBe('second');
+        });
+    });
+
+    describe('Breadcrumb Label', () => {
+        let sniper;
+
+        beforeEach(() => {
+            window.StyleInjector = { init: jest.fn(), countMatchingRules: jest.fn(() => 12) };
+            document.body.innerHTML = '<main><section id="hero" class="a b"><div class=" card shadow"><span>Hi</span></div></section></main>';
+            sniper = loadSniper();
+            hover(document.querySelector('span'));
+        });
+
+        afterEach(() => {
+            sniper.destroy();
+            delete window.StyleInjector;
+        });
+
+        test('should prefer id, then first class, then tag', () => {
+            const crumbs = Array.from(sniper.label.querySelectorAll('.snatcher-crumb'), crumb => crumb.textContent);
+            expect(crumbs).toEqual(['main', 'section#hero', 'div.card', 'span']);
+        });
+
+        test('should render size and rule count meta', () => {
+            expect(sniper.label.querySelector('.snatcher-meta').textContent).toBe(' · 0×0 · ~12 rules');
+        });
+
+        test('should move to the ancestor when a crumb is clicked', () => {
+            const crumb = Array.from(sniper.label.querySelectorAll('.snatcher-crumb')).find(c => c.textContent === 'section#hero');
+            click(crumb);
+
+            expect(sniper.hoveredElement.id).toBe('hero');
+            expect(sniper.label.querySelector('.snatcher-crumb-current').textContent).toBe('section#hero');
+        });
+    });
+
+    describe('Drag Selection', () => {
+        let sniper;
+        const mouse = (type, x, y, init = {}) => {
+            const event = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y, buttons: 1, ...init });
+            document.getElementById('card').dispatchEvent(event);
+            return event;
+        };
+
+        beforeEach(() => {
+            document.body.innerHTML = '<div id="card">Text</div>';
+            sniper = loadSniper();
+        });
+
+        afterEach(() => {
+            sniper.destroy();
+        });
+
+        test('should leave a plain click to the page until the drag threshold is crossed', () => {
+            expect(mouse('mousedown', 10, 10).defaultPrevented).toBe(false);
+            expect(mouse('mousemove', 12, 12).defaultPrevented).toBe(false);
+            expect(mouse('mousemove', 40, 40).defaultPrevented).toBe(true);
+            expect(document.querySelector('.snatcher-marquee')).not.toBeNull();
+        });
+
+        test('should reset the click suppression on the next mousedown', () => {
+            mouse('mousedown', 10, 10);
+            mouse('mousemove', 40, 40);
+            mouse('mouseup', 40, 40, { buttons: 0 });
+            expect(sniper.suppressClick).toBe(true);
+
+            // The click after the drag landed elsewhere and never fired
+            mouse('mousedown', 50, 50);
+            expect(sniper.suppressClick).toBe(false);
+        });
+    });
+
+    describe('Exclusions', () => {
+        beforeEach(() => {
+            document.body.innerHTML = '<div id="card"><p id="ad">Ad</p></div>';
+            window.__NINJA_SNATCH__ = { SnatcherUtils: { getSelectorPath: el => `#${el.id}` } };
+        });
+
+        test('should share exclusions only while the Sniper is active', () => {
+            const sniper = loadSniper();
+            hover(document.getElementById('card'));
+            click(document.getElementById('card'), { shiftKey: true });
+            hover(document.getElementById('ad'));
+            click(document.getElementById('ad'), { altKey: true });
+            expect(window.__NINJA_SNATCH__.snatcherExclusions).toEqual(['#ad']);
+
+            sniper.destroy();
+            expect(window.__NINJA_SNATCH__.snatcherExclusions).toEqual([]);
+            expect(loadSniper().getExclusions()).toEqual([]);
+            window.__NINJA_SNATCH__.snatcherInstance.destroy();
+        });
+    });
+
+    describe('Snatch with Preview', () => {
+        let open;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => { });
+            document.body.innerHTML = '<div id="card"><p id="ad">Ad</p><p>Text</p></div>';
+            open = jest.fn();
+            Object.assign(window.__NINJA_SNATCH__, { PreviewPanel: { open }, snatcherPreview: true });
+            window.StyleInjector = { cloneExcluding: jest.fn(el => el) };
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+            delete window.__NINJA_SNATCH__.PreviewPanel;
+            delete window.__NINJA_SNATCH__.snatcherPreview;
+            delete window.StyleInjector;
+        });
+
+        test('should keep rendering the captured selection after the Sniper is destroyed', async () => {
+            const card = document.getElementById('card');
+            const ad = document.getElementById('ad');
+            loadSniper();
+            hover(ad);
+            click(ad, { altKey: true });
+            hover(card);
+            click(card);
+
+            expect(window.__NINJA_SNATCH__.snatcherInstance).toBeNull();
+            expect(document.querySelector('.snatcher-overlay')).toBeNull();
+
+            const result = await open.mock.calls[0][0].render('clean');
+            expect(window.StyleInjector.cloneExcluding).toHaveBeenCalledWith(card, [ad]);
+            expect(result.html).toContain('id="card"');
+        });
+
+        test('should snatch a context-menu target in its own mode without touching the Sniper settings', () => {
+            const card = document.getElementById('card');
+            window.__NINJA_SNATCH__.snatcherExtractMode = 'clean';
+            Object.assign(window.__NINJA_SNATCH__, { pendingSnatchTarget: card, pendingSnatchMode: 'compact' });
+            loadSniper();
+
+            expect(open.mock.calls[0][0].mode).toBe('compact');
+            expect(window.__NINJA_SNATCH__.snatcherExtractMode).toBe('clean');
+            expect(window.__NINJA_SNATCH__.pendingSnatchTarget).toBeNull();
+            expect(window.__NINJA_SNATCH__.pendingSnatchMode).toBeNull();
+            delete window.__NINJA_SNATCH__.snatcherExtractMode;
+        });
+    });
+
+    describe('Shadow DOM and Iframe Picking', () => {
+        const getEventTarget = e => {
+            const path = e.composedPath ? e.composedPath() : [];
+            return path.find(node => node.nodeType === Node.ELEMENT_NODE) || e.target;
+        };
+        const parentOf = el => {
+            const parent = el.parentElement;
+            const doc = el.ownerDocument;
+            if (parent && parent !== doc.body && parent !== doc.documentElement) return parent;
+            if (!parent && el.getRootNode().host) return el.getRootNode().host;
+            return doc.defaultView?.frameElement || parent;
+        };
+
+        test('should pick the inner element of an open shadow root', () => {
+            document.body.innerHTML = '<x-card></x-card>';
+            const host = document.querySelector('x-card');
+            host.attachShadow({ mode: 'open' }).innerHTML = '<div><button id="buy">Buy</button></div>';
+            const button = host.shadowRoot.getElementById('buy');
+
+            let picked = null;
+            document.addEventListener('mousemove', e => { picked = getEventTarget(e); }, { once: true, capture: true });
+            button.dispatchEvent(new MouseEvent('mousemove', { bubbles: true, composed: true }));
+
+            expect(picked).toBe(button);
+        });
+
+        test('should step out of a shadow root to its host on ArrowUp', () => {
+            document.body.innerHTML = '<section><x-card></x-card></section>';
+            const host = document.querySelector('x-card');
+            host.attachShadow({ mode: 'open' }).innerHTML = '<div id="top"></div>';
+
+            expect(parentOf(host.shadowRoot.getElementById('top'))).toBe(host);
+        });
+
+        test('should step out of a same-origin iframe to the frame element', () => {
+            document.body.innerHTML = '<iframe></iframe>';
+            const frame = document.querySelector('iframe');
+            frame.contentDocument.body.innerHTML = '<main id="app"></main>';
+
+            expect(parentOf(frame.contentDocument.getElementById('app'))).toBe(frame);
+        });
+    });
+
     describe('Z-Index Values', () => {
         test('should use maximum z-index for overlay', () => {
             const MAX_Z_INDEX = 2147483647;
@@ -246,4 +246,1387 @@ describe('StyleInjector', () => {
             expect(result).toContain('https://example.com/styles/main.css');
         });
     });
+
+    describe('_prepareExport with a selection set', () => {
+        beforeEach(() => {
+            document.head.innerHTML = `
+                <style>
+                    .card { color: red; animation: spin 1s; }
+                    .footer { padding: 4px; }
+                    .unused { margin: 0; }
+                    @keyframes spin { from { opacity: 0; } to { opacity: 1; } }
+                </style>
+            `;
+            document.body.innerHTML = `
+                <header class="card">Header</header>
+                <main><div class="card">Card</div></main>
+                <footer class="footer">Footer</footer>
+            `;
+            StyleInjector.init();
+        });
+
+        test('returns one clone per selected element', () => {
+            const elements = [document.querySelector('header'), document.querySelector('footer')];
+            const { clone, clones, html } = StyleInjector._prepareExport(elements);
+            expect(clones).toHaveLength(2);
+            expect(clone).toBe(clones[0]);
+            expect(html).toContain('Header');
+            expect(html).toContain('Footer');
+        });
+
+        test('collects matched CSS once across the whole set', () => {
+            const elements = [document.querySelector('header'), document.querySelector('main .card'), document.querySelector('footer')];
+            const { cssData } = StyleInjector._prepareExport(elements);
+            expect(cssData.matchedCSS.match(/\.card \{/g)).toHaveLength(1);
+            expect(cssData.matchedCSS).toContain('.footer');
+            expect(cssData.matchedCSS).not.toContain('.unused');
+            expect(cssData.keyframes.match(/@keyframes spin/g)).toHaveLength(1);
+        });
+
+        test('still accepts a single element', () => {
+            const { clones, cssData } = StyleInjector._prepareExport(document.querySelector('footer'));
+            expect(clones).toHaveLength(1);
+            expect(cssData.matchedCSS).not.toContain('.card');
+        });
+    });
+
+    describe('countMatchingRules', () => {
+        test('counts rules matching the element itself', () => {
+            StyleInjector.allCSSRules = [
+                { selector: '.card', cssText: 'color: red;' },
+                { selector: 'div, p', cssText: 'margin: 0;' },
+                { selector: '.card:hover', cssText: 'color: blue;' },
+                { selector: '.other', cssText: 'color: green;' },
+                { selector: '@media (min-width: 768px)', cssText: '  .card { color: red; }' }
+            ];
+            document.body.innerHTML = '<div class="card"></div>';
+            expect(StyleInjector.countMatchingRules(document.querySelector('.card'))).toBe(3);
+        });
+    });
+
+    describe('exclusions', () => {
+        beforeEach(() => {
+            document.head.innerHTML = `
+                <style>
+                    .section { padding: 8px; }
+                    .cookie-btn { position: fixed; }
+                    .chat-bubble { bottom: 0; }
+                </style>
+            `;
+            document.body.innerHTML = `
+                <section class="section">
+                    <h2>Title</h2>
+                    <button class="cookie-btn">Accept</button>
+                    <div class="chat-bubble">Chat</div>
+                    <p>Body</p>
+                </section>
+            `;
+            StyleInjector.init();
+        });
+
+        test('drops excluded elements from the clone before CSS matching', () => {
+            const section = document.querySelector('.section');
+            const { clone, cssData } = StyleInjector._prepareExport(section, {
+                exclude: [document.querySelector('.cookie-btn')]
+            });
+            expect(clone.querySelector('.cookie-btn')).toBeNull();
+            expect(clone.querySelector('.chat-bubble')).not.toBeNull();
+            expect(cssData.matchedCSS).not.toContain('.cookie-btn');
+            expect(cssData.matchedCSS).toContain('.chat-bubble');
+        });
+
+        test('accepts selectors and removes several siblings correctly', () => {
+            const section = document.querySelector('.section');
+            const clone = StyleInjector.cloneExcluding(section, ['.cookie-btn', '.chat-bubble']);
+            expect(Array.from(clone.children).map(el => el.tagName)).toEqual(['H2', 'P']);
+            expect(section.querySelector('.cookie-btn')).not.toBeNull();
+        });
+
+        test('ignores exclusions outside the exported element', () => {
+            document.body.insertAdjacentHTML('beforeend', '<div class="outside"></div>');
+            const section = document.querySelector('.section');
+            const clone = StyleInjector.cloneExcluding(section, ['.outside', 'section']);
+            expect(clone.children).toHaveLength(4);
+        });
+
+        test('drops excluded elements inside shadow roots of the export', () => {
+            const section = document.querySelector('.section');
+            const host = section.appendChild(document.createElement('x-widget'));
+            host.attachShadow({ mode: 'open' }).innerHTML =
+                '<style>.ad { color: red; }</style><slot></slot><span class="ad">Ad</span><span class="copy">Copy</span>';
+            const ad = host.shadowRoot.querySelector('.ad');
+
+            const { clone } = StyleInjector._prepareExport(section, { exclude: [ad] });
+            const shadow = clone.querySelector('.snatch-shadow-content');
+            expect(shadow.querySelector('.ad')).toBeNull();
+            expect(shadow.querySelector('.copy')).not.toBeNull();
+
+            const computed = StyleInjector.createComputedExport(section, { exclude: [ad] });
+            expect(computed).not.toContain('>Ad<');
+            expect(computed).toContain('>Copy<');
+
+            // Clones without shadow content have nothing to drop
+            expect(StyleInjector.cloneExcluding(section, [ad]).children).toHaveLength(5);
+        });
+    });
+
+    describe('shadow DOM and iframe targets', () => {
+        test('exports an element inside a shadow root, resolving exclusions in that root', () => {
+            document.head.innerHTML = '';
+            document.body.innerHTML = '<x-card></x-card>';
+            const host = document.querySelector('x-card');
+            host.attachShadow({ mode: 'open' }).innerHTML = '<div class="price"><span class="ad">Ad</span>42</div>';
+            const price = host.shadowRoot.querySelector('.price');
+
+            StyleInjector.init(price);
+            const { html, cssData } = StyleInjector._prepareExport(price, { exclude: ['.ad'] });
+
+            expect(html).toContain('42');
+            expect(html).not.toContain('Ad');
+            expect(cssData.externalLinks).toBe('');
+        });
+
+        test('collects CSS from the iframe document that owns the target', () => {
+            document.head.innerHTML = '<style>.top-only { color: red; }</style>';
+            document.body.innerHTML = '<iframe></iframe>';
+            const frameDoc = document.querySelector('iframe').contentDocument;
+            frameDoc.head.innerHTML = '<style>.frame-card { padding: 4px; }</style><link rel="stylesheet" href="https://cdn.webflow.com/frame.css">';
+            frameDoc.body.innerHTML = '<div class="frame-card top-only">Inside</div>';
+            const card = frameDoc.querySelector('.frame-card');
+
+            StyleInjector.init(card);
+            const { html, cssData } = StyleInjector._prepareExport(card);
+
+            expect(html).toContain('Inside');
+            expect(cssData.matchedCSS).toContain('.frame-card');
+            expect(cssData.matchedCSS).not.toContain('.top-only');
+            expect(cssData.externalLinks).toContain('frame.css');
+        });
+
+        test('clones nested shadow content with the target document', () => {
+            document.body.innerHTML = '<iframe></iframe>';
+            const frameDoc = document.querySelector('iframe').contentDocument;
+            frameDoc.body.innerHTML = '<div id="wrap"><x-badge></x-badge></div>';
+            frameDoc.querySelector('x-badge').attachShadow({ mode: 'open' }).innerHTML = '<b>New</b>';
+
+            const { clone } = StyleInjector._prepareExport(frameDoc.getElementById('wrap'));
+            const container = clone.querySelector('.snatch-shadow-content');
+
+            expect(container.ownerDocument).toBe(frameDoc);
+            expect(container.innerHTML).toContain('<b>New</b>');
+        });
+    });
+
+    describe('modern at-rules', () => {
+        // jsdom's CSS parser rejects @layer/@container/nesting, so rules are CSSOM-shaped mocks
+        const style = (selectorText, cssText, cssRules) => ({ type: 1, selectorText, style: { cssText, length: 0 }, cssRules });
+        const atRule = (name, prelude, cssRules = [], extra = {}) => ({
+            constructor: { name },
+            cssText: cssRules.length ? `${prelude} { }` : `${prelude};`,
+            cssRules,
+            ...extra
+        });
+        const matchedCSS = () => StyleInjector._prepareExport(document.querySelector('.card')).cssData.matchedCSS;
+
+        beforeEach(() => {
+            StyleInjector.collectAllCSS();
+            document.body.innerHTML = '<div class="card"><h2 class="title">Title</h2></div>';
+        });
+
+        test('keeps @supports and @container blocks with only matching children', () => {
+            StyleInjector.processRule({
+                type: 12,
+                cssText: '@supports (display: grid) { }',
+                cssRules: [style('.card', 'display: grid;'), style('.unused', 'color: red;')]
+            });
+            StyleInjector.processRule(atRule('CSSContainerRule', '@container card (min-width: 400px)', [style('.title', 'font-size: 2rem;')]));
+            StyleInjector.processRule(atRule('CSSContainerRule', '@container (min-width: 900px)', [style('.unused', 'color: red;')]));
+
+            const css = matchedCSS();
+            expect(css).toContain('@supports (display: grid) {\n  .card { display: grid; }\n}');
+            expect(css).toContain('@container card (min-width: 400px) {\n  .title { font-size: 2rem; }\n}');
+            expect(css).not.toContain('900px');
+            expect(css).not.toContain('.unused');
+        });
+
+        test('preserves cascade layer order even when a layer is dropped', () => {
+            StyleInjector.processRule(atRule('CSSLayerStatementRule', '@layer reset, base', [], { nameList: ['reset', 'base'] }));
+            StyleInjector.processRule(atRule('CSSLayerBlockRule', '@layer components', [
+                style('.unused', 'color: red;'),
+                atRule('CSSLayerBlockRule', '@layer buttons', [style('.card', 'padding: 8px;')], { name: 'buttons' })
+            ], { name: 'components' }));
+            StyleInjector.processRule(atRule('CSSLayerBlockRule', '@layer base', [style('.title', 'margin: 0;')], { name: 'base' }));
+
+            const css = matchedCSS();
+            expect(css.startsWith('@layer reset, base, components, components.buttons;')).toBe(true);
+            expect(css).toContain('@layer components {\n  @layer buttons {\n    .card { padding: 8px; }\n  }\n}');
+            expect(css.indexOf('@layer components {')).toBeLessThan(css.indexOf('@layer base {'));
+        });
+
+        test('keeps nested rules inside their parent and matches them relative to it', () => {
+            StyleInjector.processRule(style('.card', 'color: red;', [
+                style('&:hover', 'color: blue;'),
+                style('.title', 'font-weight: bold;'),
+                style('.missing', 'display: none;'),
+                { type: 4, conditionText: '(min-width: 600px)', cssRules: [{ constructor: { name: 'CSSNestedDeclarations' }, style: { cssText: 'gap: 4px;' } }] }
+            ]));
+            StyleInjector.processRule(style('.other', 'color: red;', [style('.title', 'color: green;')]));
+
+            const css = matchedCSS();
+            expect(css).toContain('.card {\n  color: red;\n  &:hover { color: blue; }\n  .title { font-weight: bold; }\n  @media (min-width: 600px) {\n    gap: 4px;\n  }\n}');
+            expect(css).not.toContain('.missing');
+            expect(css).not.toContain('.other');
+        });
+
+        test('matches @scope children against the scope root', () => {
+            StyleInjector.processRule(atRule('CSSScopeRule', '@scope (.card) to (.footer)', [
+                style(':scope > .title', 'color: red;'),
+                style('.missing', 'color: blue;')
+            ], { start: '.card' }));
+
+            const css = matchedCSS();
+            expect(css).toContain('@scope (.card) to (.footer) {\n  :scope > .title { color: red; }\n}');
+            expect(css).not.toContain('.missing');
+        });
+
+        test('ships @property registrations only when referenced', () => {
+            StyleInjector.processRule(atRule('CSSPropertyRule', '@property --angle', [], {
+                name: '--angle',
+                cssText: '@property --angle { syntax: "<angle>"; inherits: false; initial-value: 0deg; }'
+            }));
+            StyleInjector.processRule(atRule('CSSPropertyRule', '@property --angle-2', [], { name: '--angle-2' }));
+            StyleInjector.processRule(style('.card', 'rotate: var(--angle);'));
+
+            const css = matchedCSS();
+            expect(css).toContain('@property --angle { syntax');
+            expect(css).not.toContain('--angle-2');
+        });
+
+        test('keeps at-rules nested in a top-level @media', () => {
+            StyleInjector.processRule({
+                type: 4,
+                conditionText: '(min-width: 768px)',
+                cssRules: [
+                    style('.card', 'display: flex;'),
+                    { type: 12, cssText: '@supports (gap: 1rem) { }', cssRules: [style('.card', 'gap: 1rem;')] }
+                ]
+            });
+
+            expect(matchedCSS()).toContain('@media (min-width: 768px) {\n  .card { display: flex; }\n  @supports (gap: 1rem) {\n    .card { gap: 1rem; }\n  }\n}');
+        });
+    });
+
+    describe('@media filtering', () => {
+        const media = (conditionText, cssRules) => ({ type: 4, conditionText, cssRules });
+        const style = (selectorText, cssText) => ({ type: 1, selectorText, style: { cssText, length: 0 } });
+        const matchedCSS = () => StyleInjector._prepareExport(document.querySelector('.card')).cssData.matchedCSS;
+
+        beforeEach(() => {
+            StyleInjector.collectAllCSS();
+            document.body.innerHTML = '<div class="card"><h2 class="title">Title</h2></div><nav class="menu"></nav>';
+        });
+
+        test('stores inner rules as selector/declaration pairs', () => {
+            StyleInjector.processRule(media('(max-width: 991px)', [style('.card', 'padding: 0;')]));
+            expect(StyleInjector.allCSSRules).toEqual([
+                { selector: '@media (max-width: 991px)', children: [{ selector: '.card', cssText: 'padding: 0;' }] }
+            ]);
+        });
+
+        test('keeps only inner rules that match the export', () => {
+            StyleInjector.processRule(media('(max-width: 991px)', [
+                style('.card', 'padding: 0;'),
+                style('.menu', 'display: none;'),
+                style('.title:hover', 'color: red;')
+            ]));
+
+            const css = matchedCSS();
+            expect(css).toBe('@media (max-width: 991px) {\n  .card { padding: 0; }\n  .title:hover { color: red; }\n}');
+        });
+
+        test('drops media blocks that end up empty', () => {
+            StyleInjector.processRule(media('print', [style('.menu', 'display: none;')]));
+            StyleInjector.processRule(style('.card', 'color: red;'));
+            expect(matchedCSS()).toBe('.card { color: red; }');
+        });
+
+        test('merges identical conditions only when no rule in between sets the same properties', () => {
+            StyleInjector.processRule(media('(max-width: 767px)', [style('.card', 'padding: 0;')]));
+            StyleInjector.processRule(style('.card', 'color: red;'));
+            StyleInjector.processRule(media('(max-width: 767px)', [style('.title', 'font-size: 1rem;'), style('.card', 'padding: 0;')]));
+
+            expect(matchedCSS()).toBe([
+                '@media (max-width: 767px) {\n  .card { padding: 0; }\n  .title { font-size: 1rem; }\n}',
+                '.card { color: red; }'
+            ].join('\n'));
+        });
+
+        test('keeps the cascade when a rule in between overrides the block', () => {
+            StyleInjector.processRule(media('(max-width: 767px)', [style('.card', 'padding: 0;')]));
+            StyleInjector.processRule(style('.card', 'padding: 8px;'));
+            StyleInjector.processRule(media('(max-width: 767px)', [style('.title', 'padding: 4px;')]));
+
+            expect(matchedCSS()).toBe([
+                '@media (max-width: 767px) {\n  .card { padding: 0; }\n}',
+                '.card { padding: 8px; }',
+                '@media (max-width: 767px) {\n  .title { padding: 4px; }\n}'
+            ].join('\n'));
+        });
+    });
+
+    describe('custom properties', () => {
+        beforeEach(() => {
+            document.head.innerHTML = `
+                <style>
+                    :root { --brand: #f00; --unused: 1px; --space: 4px; --gap: calc(var(--space) * 2); color: black; }
+                    .dark { --bg: #000; --fg: var(--brand, var(--missing)); }
+                    [data-theme="light"] { --bg: #fff; }
+                    .card { background: var(--bg); color: var(--fg); gap: var(--gap); --local: 2px; padding: var(--local); }
+                </style>
+            `;
+            document.body.innerHTML = '<div class="dark"><div class="card" style="margin: var(--inline)"></div></div>';
+            StyleInjector.init();
+        });
+
+        test('emits only the variables the export references, transitively', () => {
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+            const vars = cssData.variables;
+
+            expect(vars.startsWith(':root {')).toBe(true);
+            ['--bg: #000', '--fg: var(--brand, var(--missing))', '--brand: #f00', '--gap: calc(var(--space) * 2)', '--space: 4px']
+                .forEach(declaration => expect(vars).toContain(declaration));
+            expect(vars).not.toContain('--unused');
+            expect(vars).not.toContain('#fff');
+            expect(vars).not.toContain('--local');
+        });
+
+        test('keeps theme scopes under their own selectors for selections from different subtrees', () => {
+            document.body.innerHTML = '<div class="dark"><div class="card"></div></div><div data-theme="light"><div class="card"></div></div>';
+            const { clones, cssData } = StyleInjector._prepareExport(Array.from(document.querySelectorAll('.card')));
+            const vars = cssData.variables;
+
+            expect(vars).toContain('.dark {\n  --bg: #000;\n  --fg: var(--brand, var(--missing));\n}');
+            expect(vars).toContain('[data-theme="light"] {\n  --bg: #fff;\n}');
+            expect(vars).toContain(':root {\n  --brand: #f00;\n  --space: 4px;\n  --gap: calc(var(--space) * 2);\n}');
+            expect(clones[0].style.getPropertyValue('--bg')).toBe('#000');
+            expect(clones[1].style.getPropertyValue('--bg')).toBe('#fff');
+        });
+
+        test('keeps declarations of matched rules in place and strips them from :root', () => {
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+            expect(cssData.matchedCSS).toContain('--local: 2px');
+            expect(cssData.matchedCSS).toContain(':root { color: black; }');
+            expect(cssData.matchedCSS).not.toContain('--unused');
+        });
+
+        test('returns an empty string when nothing references a variable', () => {
+            document.body.innerHTML = '<p>Plain</p>';
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('p'));
+            expect(cssData.variables).toBe('');
+        });
+    });
+
+    describe('used keyframes and fonts', () => {
+        beforeEach(() => {
+            document.head.innerHTML = `
+                <style>
+                    @keyframes spin { to { opacity: 1; } }
+                    @keyframes pulse { to { opacity: 0; } }
+                    @keyframes wobble { to { opacity: .5; } }
+                    @keyframes unused { to { opacity: .2; } }
+                    :root { --motion: wobble 1s; }
+                    .spinner { animation: spin 1s linear infinite; }
+                    .pulse { animation-name: pulse; }
+                    .shaky { animation: var(--motion); }
+                    .title { font-family: "Inter", sans-serif; font-weight: 700; }
+                    @font-face { font-family: "Inter"; font-weight: 400; src: url(inter-400.woff2); }
+                    @font-face { font-family: "Inter"; font-weight: 700; src: url(inter-700.woff2); unicode-range: U+0000-00FF; }
+                    @font-face { font-family: "Inter"; font-weight: 700; src: url(inter-700-cyr.woff2); unicode-range: U+0400-045F; }
+                    @font-face { font-family: "Inter"; font-weight: 700; font-style: italic; src: url(inter-700i.woff2); }
+                    @font-face { font-family: "Mono"; src: url(mono.woff2); }
+                </style>
+            `;
+            document.body.innerHTML = `
+                <div class="card">
+                    <h1 class="title">Latin</h1>
+                    <i class="spinner"></i><i class="pulse"></i><i class="shaky"></i>
+                </div>
+            `;
+            StyleInjector.init();
+        });
+
+        test('emits only keyframes referenced by matched CSS and used variables', () => {
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+            ['@keyframes spin', '@keyframes pulse', '@keyframes wobble'].forEach(rule => expect(cssData.keyframes).toContain(rule));
+            expect(cssData.keyframes).not.toContain('unused');
+        });
+
+        test('drops keyframes of elements outside the export', () => {
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.title'));
+            expect(cssData.keyframes).toBe('');
+        });
+
+        test('keeps faces for the rendered family, weight and style only', () => {
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+            expect(cssData.fontFaces).toContain('inter-700.woff2');
+            expect(cssData.fontFaces).not.toContain('inter-400.woff2');
+            expect(cssData.fontFaces).not.toContain('inter-700i.woff2');
+            expect(cssData.fontFaces).not.toContain('mono.woff2');
+        });
+
+        test('drops unicode-range subsets the text does not use', () => {
+            let { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+            expect(cssData.fontFaces).not.toContain('inter-700-cyr.woff2');
+
+            document.querySelector('.title').textContent = 'Привет';
+            ({ cssData } = StyleInjector._prepareExport(document.querySelector('.card')));
+            expect(cssData.fontFaces).toContain('inter-700-cyr.woff2');
+            expect(cssData.fontFaces).not.toContain('inter-700.woff2');
+        });
+
+        test('falls back to the nearest weight when none matches exactly', () => {
+            document.head.querySelector('style').append('.title { font-weight: 500; }');
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+            // 500 looks lighter before heavier: 400 wins over 700
+            expect(cssData.fontFaces).toContain('inter-400.woff2');
+            expect(cssData.fontFaces).not.toContain('inter-700.woff2');
+        });
+
+        test('keeps faces for weights and styles of hover states and media queries', () => {
+            document.head.querySelector('style').append(`
+                .title:hover { font-style: italic; }
+                @media (max-width: 600px) { .title { font: 400 1rem "Inter"; } }
+            `);
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+            ['inter-700.woff2', 'inter-700i.woff2', 'inter-400.woff2'].forEach(file => expect(cssData.fontFaces).toContain(file));
+            expect(cssData.fontFaces).not.toContain('mono.woff2');
+        });
+
+        test('ignores fonts of excluded elements', () => {
+            document.head.querySelector('style').append('.code { font-family: "Mono"; }');
+            document.querySelector('.card').insertAdjacentHTML('beforeend', '<p class="code">x</p>');
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'), { exclude: ['.title'] });
+            expect(cssData.fontFaces).toContain('mono.woff2');
+            expect(cssData.fontFaces).not.toContain('inter-700.woff2');
+        });
+    });
+
+    describe('cascade tree shaking', () => {
+        const exportCSS = (selector) => StyleInjector._prepareExport(document.querySelector(selector)).cssData;
+
+        beforeEach(() => {
+            document.head.innerHTML = `
+                <style>
+                    .btn { color: red; padding: 4px; }
+                    #cta.btn { color: blue; }
+                    div.btn:hover { padding: 8px; }
+                    .wrap .label { color: black; }
+                    .label { color: green !important; }
+                    .note { color: pink; font-weight: 600; }
+                </style>
+            `;
+            document.body.innerHTML = `
+                <div class="wrap">
+                    <div id="cta" class="btn">Buy</div>
+                    <span class="label">New</span>
+                    <span class="note" style="color: gray">Note</span>
+                </div>
+            `;
+            StyleInjector.init();
+        });
+
+        afterEach(() => {
+            delete window.SnatcherConfig;
+        });
+
+        test('calculateSpecificity counts ids, classes and types', () => {
+            expect(StyleInjector.calculateSpecificity('#cta.btn')).toEqual([1, 1, 0]);
+            expect(StyleInjector.calculateSpecificity('ul > li:nth-child(2n+1)::marker')).toEqual([0, 1, 3]);
+            expect(StyleInjector.calculateSpecificity('a[href]:not(.x, #y)')).toEqual([1, 1, 1]);
+            expect(StyleInjector.calculateSpecificity(':where(.x #y) p')).toEqual([0, 0, 1]);
+            expect(StyleInjector.calculateSpecificity('.md\\:flex')).toEqual([0, 1, 0]);
+        });
+
+        test('drops declarations that lose on every matched element', () => {
+            const css = exportCSS('.wrap').matchedCSS;
+            expect(css).toContain('.btn { padding: 4px; }');
+            expect(css).toContain('#cta.btn { color: blue; }');
+            expect(css).not.toContain('.wrap .label');
+            expect(css).toContain('.label { color: green !important; }');
+            expect(css).toContain('.note { font-weight: 600; }');
+        });
+
+        test('keeps declarations that still win on some element', () => {
+            document.body.innerHTML = '<div class="wrap"><div id="cta" class="btn">Buy</div><div class="btn">More</div></div>';
+            expect(exportCSS('.wrap').matchedCSS).toContain('.btn { color: red; padding: 4px; }');
+        });
+
+        test('state rules never override base declarations', () => {
+            expect(exportCSS('.wrap').matchedCSS).toContain('div.btn:hover { padding: 8px; }');
+        });
+
+        test('keeps repeated properties as fallbacks', () => {
+            StyleInjector.collectAllCSS();
+            document.body.innerHTML = '<div class="box"></div>';
+            StyleInjector.processRule({ type: 1, selectorText: '.box', style: { cssText: 'display: -webkit-box; display: flex;', length: 0 } });
+            expect(exportCSS('.box').matchedCSS).toBe('.box { display: -webkit-box; display: flex; }');
+        });
+
+        test('keeps later rules that repeat a selector', () => {
+            document.head.innerHTML = `
+                <style>
+                    .btn { color: blue; }
+                    .btn { border: 1px solid; }
+                    .btn { color: yellow; }
+                    .btn { color: yellow; }
+                </style>
+            `;
+            document.body.innerHTML = '<div class="root"><a class="btn">Go</a></div>';
+            StyleInjector.init();
+
+            const css = exportCSS('.root').matchedCSS;
+            expect(css).toBe('.btn { border: 1px solid; }\n.btn { color: yellow; }');
+        });
+
+        test('merges rules that end up identical unless a rule in between conflicts', () => {
+            document.head.innerHTML = `
+                <style>
+                    .a { margin: 0; }
+                    .b { padding: 0; }
+                    .c { margin: 0; }
+                    .d { padding: 2px; }
+                    .e { padding: 0; }
+                </style>
+            `;
+            document.body.innerHTML = '<div class="root"><p class="a"></p><p class="b"></p><p class="c"></p><p class="d"></p><p class="e"></p></div>';
+            StyleInjector.init();
+
+            const { matchedCSS, optimization } = exportCSS('.root');
+            expect(matchedCSS).toBe('.a, .c { margin: 0; }\n.b { padding: 0; }\n.d { padding: 2px; }\n.e { padding: 0; }');
+            expect(optimization.mergedRules).toBe(1);
+        });
+
+        test('reports the bytes saved', () => {
+            const { matchedCSS, optimization } = exportCSS('.wrap');
+            expect(optimization.removedDeclarations).toBe(3);
+            expect(optimization.after).toBe(matchedCSS.length);
+            expect(optimization.saved).toBe(optimization.before - optimization.after);
+            expect(optimization.saved).toBeGreaterThan(0);
+        });
+
+        test('can be switched off in SnatcherConfig', () => {
+            window.SnatcherConfig = { cssOptimization: { treeShaking: false, mergeRules: false } };
+            const { matchedCSS, optimization } = exportCSS('.wrap');
+            expect(matchedCSS).toContain('.wrap .label { color: black; }');
+            expect(optimization.saved).toBe(0);
+        });
+    });
+
+    describe('scoped export', () => {
+        beforeEach(() => {
+            document.head.innerHTML = `
+                <style>
+                    :root { --accent: teal; }
+                    body { font-family: serif; }
+                    .card { color: var(--accent); animation: pop 1s; }
+                    .card > .title, .title:hover { font-weight: 700; }
+                    @media (min-width: 600px) { .card { padding: 8px; } }
+                    @keyframes pop { to { opacity: 1; } }
+                    @font-face { font-family: "Brand"; src: url(brand.woff2); }
+                </style>
+            `;
+            document.body.innerHTML = '<div class="card"><h2 class="title" style="animation-name: pop">Hi</h2></div>';
+            StyleInjector.init();
+        });
+
+        afterEach(() => {
+            delete window.SnatcherConfig;
+        });
+
+        const getId = (html) => html.match(/class="(snatch-[a-z0-9]+)"/)[1];
+
+        test('prefixes selectors with a generated root class', () => {
+            const html = StyleInjector.createScopedExport(document.querySelector('.card'));
+            const id = getId(html);
+
+            expect(html).toContain(`.${id} .card > .title, .${id} .title:hover {`);
+            expect(html).toContain(`@media (min-width: 600px) {\n  .${id} .card { padding: 8px; }\n}`);
+            expect(html).not.toContain('* { margin: 0');
+            expect(html).not.toMatch(/(^|\n)\s*(html|body|:root)\b/);
+        });
+
+        test('turns :root, html and body rules into wrapper rules', () => {
+            const html = StyleInjector.createScopedExport(document.querySelector('.card'));
+            const id = getId(html);
+
+            expect(html).toContain(`.${id} {\n  --accent: teal;`);
+            expect(html).toContain(`.${id} { font-family: serif; }`);
+        });
+
+        test('renames keyframes and their references', () => {
+            const html = StyleInjector.createScopedExport(document.querySelector('.card'));
+            const id = getId(html);
+
+            expect(html).toContain(`@keyframes ${id}-pop`);
+            expect(html).toContain(`animation: ${id}-pop 1s`);
+            expect(html).toContain(`style="animation-name: ${id}-pop"`);
+            expect(html).not.toMatch(/@keyframes pop\b/);
+        });
+
+        test('leaves the prepared clones untouched', () => {
+            const prepared = StyleInjector._prepareExport(document.querySelector('.card'));
+            StyleInjector.buildScopedExport(prepared, 'class');
+
+            expect(prepared.clone.querySelector('.title').getAttribute('style')).toBe('animation-name: pop');
+        });
+
+        test('wraps rules in @scope with the scope strategy', () => {
+            const html = StyleInjector.createScopedExport(document.querySelector('.card'), { strategy: 'scope' });
+            const id = getId(html);
+            const scopeAt = html.indexOf(`@scope (.${id}) {`);
+
+            expect(scopeAt).toBeGreaterThan(html.indexOf(`@keyframes ${id}-pop`));
+            expect(html).toContain(':scope { font-family: serif; }');
+            expect(html).toContain('.card > .title, .title:hover {');
+        });
+
+        test('emits a custom element with its own shadow root', () => {
+            window.SnatcherConfig = { scopedExport: { strategy: 'shadow' } };
+            const html = StyleInjector.createScopedExport(document.querySelector('.card'));
+            const id = html.match(/<(snatch-[a-z0-9]+)>/)[1];
+            const template = JSON.parse(html.match(/innerHTML = (".*");/)[1]);
+
+            expect(html).toContain(`customElements.define('${id}'`);
+            expect(html.indexOf('brand.woff2')).toBeLessThan(html.indexOf('<script'));
+            expect(template).toContain(':host { font-family: serif; }');
+            expect(template).toContain('<div class="card">');
+            expect(template).not.toContain('@font-face');
+        });
+
+        test('keeps data URI backgrounds intact in class and @scope exports', () => {
+            document.head.innerHTML = `
+                <style>
+                    @media screen { .card { background: url(data:image/svg+xml;base64,PHN2Zy8+) no-repeat; } }
+                    .title { background-image: url(data:image/png;base64,AAAA); }
+                </style>
+            `;
+            StyleInjector.init();
+            const card = document.querySelector('.card');
+
+            const html = StyleInjector.createScopedExport(card);
+            const id = getId(html);
+            expect(html).toContain(`.${id} .title { background-image: url(data:image/png;base64,AAAA); }`);
+            expect(html).toContain(`.${id} .card { background: url(data:image/svg+xml;base64,PHN2Zy8+) no-repeat; }`);
+
+            const scoped = StyleInjector.createScopedExport(card, { strategy: 'scope' });
+            expect(scoped.slice(scoped.indexOf(`@scope (.${id}) {`))).toContain('.title { background-image: url(data:image/png;base64,AAAA); }');
+        });
+    });
+
+    describe('computed snapshot', () => {
+        beforeEach(() => {
+            // jsdom does not implement getComputedStyle for pseudo-elements and reports it
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+            document.head.innerHTML = `
+                <style>
+                    .card { display: flex; gap: 2px; color: red; padding: 4px; }
+                    .card p { margin: 0; }
+                    h2 { font-size: 20px; }
+                </style>
+            `;
+            document.body.innerHTML = `
+                <div class="card" style="border-radius: 3px">
+                    <h2 class="title">Title</h2>
+                    <p class="a">One</p>
+                    <p class="b">Two</p>
+                </div>
+            `;
+            StyleInjector.init();
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        test('replaces classes and inline styles with generated classes', () => {
+            const { html, css } = StyleInjector.createComputedSnapshot(document.querySelector('.card'));
+            const root = document.createElement('div');
+            root.innerHTML = html;
+
+            expect(root.querySelector('[style]')).toBeNull();
+            expect(root.querySelector('.card, .title')).toBeNull();
+            expect(css).toMatch(/\.sn1 \{ [^}]*display: flex;/);
+            expect(css).toContain('border-radius: 3px');
+            expect(css).toContain('font-size: 20px');
+        });
+
+        test('deduplicates identical declaration sets', () => {
+            const { html, classCount, elementCount } = StyleInjector.createComputedSnapshot(document.querySelector('.card'));
+            expect(elementCount).toBe(4);
+            expect(classCount).toBe(3);
+            expect(html.match(/class="sn3"/g)).toHaveLength(2);
+        });
+
+        test('leaves out inherited values and tag defaults', () => {
+            const { css } = StyleInjector.createComputedSnapshot(document.querySelector('.card'));
+            expect(css.match(/color: red/g)).toHaveLength(1);
+            expect(css).not.toContain('display: block');
+        });
+
+        test('renders the same without the source stylesheets', () => {
+            const props = ['display', 'gap', 'padding-top', 'margin-top', 'font-size', 'border-top-left-radius'];
+            const snapshotOf = el => props.map(prop => getComputedStyle(el).getPropertyValue(prop));
+            const before = Array.from(document.querySelectorAll('.card, .card *'), snapshotOf);
+
+            const { html, css } = StyleInjector.createComputedSnapshot(document.querySelector('.card'));
+            document.head.innerHTML = `<style>${css}</style>`;
+            document.body.innerHTML = html;
+
+            expect(Array.from(document.querySelectorAll('body *'), snapshotOf)).toEqual(before);
+        });
+
+        test('removes the baseline iframe', () => {
+            StyleInjector.createComputedExport(document.querySelector('.card'));
+            expect(document.querySelector('iframe')).toBeNull();
+        });
+    });
+
+    describe('toMatchableSelector', () => {
+        const cases = (list) => list.forEach(([input, expected]) => expect(StyleInjector.toMatchableSelector(input)).toBe(expected));
+
+        test('removes dynamic state pseudo-classes', () => {
+            cases([
+                ['.btn:hover', '.btn'],
+                ['a:hover > span:focus-visible', 'a > span'],
+                ['input:checked + label', 'input + label'],
+                [':hover', '*'],
+                ['.menu :focus-within', '.menu *']
+            ]);
+        });
+
+        test('keeps structural and attribute-based pseudo-classes', () => {
+            cases([
+                ['ul li:first-child', 'ul li:first-child'],
+                ['tr:nth-child(2n+1)', 'tr:nth-child(2n+1)'],
+                ['button:disabled', 'button:disabled'],
+                ['a[title="a:hover, b"]', 'a[title="a:hover, b"]'],
+                ['.md\\:flex:hover', '.md\\:flex']
+            ]);
+        });
+
+        test('rewrites :is(), :where() and :has() arguments', () => {
+            cases([
+                [':is(a, button):focus-visible', ':is(a, button)'],
+                [':where(.card:hover) .title', ':where(.card) .title'],
+                ['.card:has(> img:hover)', '.card:has(> img)'],
+                [':is(:hover, :focus)', ':is(*, *)'],
+                [':-webkit-any(a, b)', ':is(a, b)']
+            ]);
+        });
+
+        test('drops :not() only when it depends on state', () => {
+            cases([
+                ['.btn:not(:hover)', '.btn'],
+                ['.btn:not(.primary, [disabled])', '.btn:not(.primary, [disabled])'],
+                ['.btn:not(.a:focus)', '.btn']
+            ]);
+        });
+
+        test('removes pseudo-elements and anything after them', () => {
+            cases([
+                ['.btn:hover::before', '.btn'],
+                ['li::marker', 'li'],
+                ['input::placeholder', 'input'],
+                ['::selection', '*'],
+                ['p:first-letter', 'p'],
+                ['.x::-webkit-scrollbar-thumb:hover', '.x']
+            ]);
+        });
+
+        test('drops unknown and vendor-prefixed pseudo-classes', () => {
+            cases([
+                ['.btn:-moz-focusring', '.btn'],
+                ['dialog:popover-open', 'dialog'],
+                ['.a:unknown-state > b', '.a > b']
+            ]);
+        });
+
+        test('drives matching of the exported subtree', () => {
+            StyleInjector.collectAllCSS();
+            document.body.innerHTML = '<div class="card"><img><button class="btn">Go</button></div>';
+            [
+                '.card:has(> img:hover)',
+                '.btn:not(:hover)',
+                ':is(a, button):focus-visible',
+                '.card:has(> video)'
+            ].forEach(selectorText => StyleInjector.processRule({ type: 1, selectorText, style: { cssText: 'outline: 0;', length: 0 } }));
+
+            const css = StyleInjector._prepareExport(document.querySelector('.card')).cssData.matchedCSS;
+            expect(css).toContain('.card:has(> img:hover)');
+            expect(css).toContain('.btn:not(:hover)');
+            expect(css).toContain(':is(a, button):focus-visible');
+            expect(css).not.toContain('video');
+        });
+    });
+
+    describe('runtime and adopted stylesheets', () => {
+        const styleRule = (selectorText, cssText) => ({ type: 1, selectorText, style: { cssText, length: 0 } });
+        const NativeCSSStyleSheet = window.CSSStyleSheet;
+
+        beforeEach(() => {
+            // jsdom has no constructable stylesheets: parse through a temporary <style>
+            window.CSSStyleSheet = class {
+                replaceSync(text) {
+                    const style = document.createElement('style');
+                    style.textContent = text;
+                    document.head.appendChild(style);
+                    this.cssRules = Array.from(style.sheet.cssRules);
+                    style.remove();
+                }
+            };
+            document.head.innerHTML = '<style>.card { color: red; }</style><style id="emotion"></style>';
+            document.body.innerHTML = '<div class="card"><span class="css-1x2y">Hi</span><b class="lit">!</b></div>';
+            // jsdom sheets have no ownerNode
+            document.head.querySelectorAll('style').forEach(style => Object.defineProperty(style.sheet, 'ownerNode', { value: style }));
+        });
+
+        afterEach(() => {
+            window.CSSStyleSheet = NativeCSSStyleSheet;
+            delete document.adoptedStyleSheets;
+        });
+
+        test('reads rules inserted into empty <style> tags through the CSSOM', () => {
+            document.getElementById('emotion').sheet.insertRule('.css-1x2y { font-weight: 700; }', 0);
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+
+            expect(cssData.matchedCSS).toContain('.css-1x2y { font-weight: 700; }');
+            expect(cssData.origins.matched).toEqual({ style: 1, runtime: 1 });
+        });
+
+        test('marks rules inserted next to written ones as runtime', () => {
+            const sheet = document.head.querySelector('style').sheet;
+            sheet.insertRule('.css-1x2y { margin: 0px; }', sheet.cssRules.length);
+            StyleInjector.init();
+            StyleInjector._prepareExport(document.querySelector('.card'));
+
+            expect(StyleInjector.lastOrigins.collected).toEqual({ style: 1, runtime: 1 });
+        });
+
+        test('collects sheets adopted by the document', () => {
+            document.adoptedStyleSheets = [{ href: null, ownerNode: null, cssRules: [styleRule('.lit', 'color: blue;')] }];
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+
+            expect(cssData.matchedCSS).toContain('.lit { color: blue; }');
+            expect(cssData.origins.matched.adopted).toBe(1);
+        });
+    });
+
+    describe('lazy media', () => {
+        const PIXEL = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+
+        test('promotes data-src/data-srcset and lazysizes state before export', () => {
+            document.body.innerHTML = `<div class="card"><img class="lazyload" loading="lazy" src="${PIXEL}" data-src="/photo.jpg" data-srcset="/photo-2x.jpg 2x"></div>`;
+            StyleInjector.init();
+            const img = StyleInjector._prepareExport(document.querySelector('.card')).clone.querySelector('img');
+
+            expect(img.getAttribute('src')).toMatch(/^http.*\/photo\.jpg$/);
+            expect(img.getAttribute('srcset')).toMatch(/\/photo-2x\.jpg 2x$/);
+            expect(img.className).toBe('lazyloaded');
+            expect(img.hasAttribute('loading')).toBe(false);
+            expect(img.hasAttribute('data-src')).toBe(false);
+        });
+
+        test('uses the source the browser picked and data-bg backgrounds', () => {
+            document.body.innerHTML = `<div class="hero" data-bg="/hero.jpg"><img src="${PIXEL}" srcset="/a.jpg 1x, /b.jpg 2x"></div>`;
+            Object.defineProperty(document.querySelector('img'), 'currentSrc', { value: 'https://cdn.site.com/b.jpg' });
+            const root = document.querySelector('.hero');
+            const clone = root.cloneNode(true);
+            StyleInjector.resolveLazyMedia(clone, StyleInjector.mapCloneToSource(clone, root));
+
+            expect(clone.querySelector('img').getAttribute('src')).toBe('https://cdn.site.com/b.jpg');
+            expect(clone.style.backgroundImage).toContain('/hero.jpg');
+            expect(clone.hasAttribute('data-bg')).toBe(false);
+        });
+
+        test('fills placeholders from <noscript> fallbacks and skips tracking pixels', () => {
+            document.body.innerHTML = `<div class="gallery">
+                <img class="blur" src="${PIXEL}"><noscript><img src="/real.jpg" srcset="/real-2x.jpg 2x"></noscript>
+                <noscript><img src="/solo.jpg"></noscript>
+                <noscript><img width="1" height="1" src="https://tracker.example/t.gif"></noscript>
+            </div>`;
+            const clone = StyleInjector.resolveLazyMedia(document.querySelector('.gallery').cloneNode(true));
+
+            const sources = Array.from(clone.querySelectorAll('img'), img => img.getAttribute('src'));
+            expect(sources).toEqual(['/real.jpg', '/solo.jpg']);
+            expect(clone.querySelector('.blur').getAttribute('srcset')).toBe('/real-2x.jpg 2x');
+            expect(clone.querySelectorAll('noscript')).toHaveLength(1);
+        });
+    });
+
+    describe('SVG references', () => {
+        const SPRITE = `<svg style="display: none">
+            <linearGradient id="grad"><stop offset="0" stop-color="red"></stop></linearGradient>
+            <symbol id="icon-star" viewBox="0 0 10 10"><path d="M0 0h10v10z" fill="url(#grad)"></path></symbol>
+        </svg>`;
+
+        test('copies page sprite symbols and their dependencies into the exported SVG', () => {
+            document.body.innerHTML = `${SPRITE}<div class="card"><svg class="icon"><use href="#icon-star"></use></svg></div>`;
+            StyleInjector.init();
+            const svg = StyleInjector._prepareExport(document.querySelector('.card')).clone.querySelector('svg');
+
+            const symbol = svg.querySelector('defs > symbol');
+            const gradient = svg.querySelector('defs > linearGradient');
+            expect(symbol.id).toBe('icon-star');
+            expect(svg.querySelector('use').getAttribute('href')).toBe('#icon-star');
+            expect(symbol.querySelector('path').getAttribute('fill')).toBe('url(#grad)');
+            expect(gradient.id).toBe('grad');
+        });
+
+        test('keeps IDs of the export so #id rules still match', () => {
+            document.head.innerHTML = '<style>#logo { width: 40px; } #logo-title { font-weight: bold; }</style>';
+            document.body.innerHTML = `<div class="card"><svg id="logo" aria-labelledby="logo-title"><title id="logo-title">Logo</title>
+                <linearGradient id="g"></linearGradient><rect fill="url(#g)"></rect></svg><a href="#logo">Top</a></div>`;
+            StyleInjector.init();
+            const { clone, cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+
+            expect(clone.querySelector('svg').id).toBe('logo');
+            expect(clone.querySelector('svg').getAttribute('aria-labelledby')).toBe('logo-title');
+            expect(clone.querySelector('rect').getAttribute('fill')).toBe('url(#g)');
+            expect(clone.querySelector('a').getAttribute('href')).toBe('#logo');
+            expect(cssData.matchedCSS).toContain('#logo { width: 40px; }');
+            document.head.innerHTML = '';
+        });
+
+        test('renames only colliding IDs and rewrites their references and #id rules', () => {
+            document.head.innerHTML = '<style>#c { opacity: 0.5; }</style>';
+            document.body.innerHTML = `<div class="a"><svg aria-labelledby="t"><title id="t">A</title><clipPath id="c"><rect></rect></clipPath><g clip-path="url(#c)"></g></svg></div>
+                <div class="b"><svg aria-labelledby="t"><title id="t">B</title><clipPath id="c"><circle></circle></clipPath><g style="clip-path: url('#c')"></g></svg></div>`;
+            StyleInjector.init();
+            const { clones: [a, b], cssData } = StyleInjector._prepareExport([document.querySelector('.a'), document.querySelector('.b')]);
+
+            const idB = b.querySelector('clipPath').id;
+            expect(a.querySelector('clipPath').id).toBe('c');
+            expect(a.querySelector('g').getAttribute('clip-path')).toBe('url(#c)');
+            expect(idB).toMatch(/^snatch-\w+-c$/);
+            expect(b.querySelector('g').getAttribute('style')).toBe(`clip-path: url(#${idB})`);
+            expect(b.querySelector('svg').getAttribute('aria-labelledby')).toBe(b.querySelector('title').id);
+            expect(b.querySelector('title').id).not.toBe('t');
+            expect(cssData.matchedCSS).toContain(`#c, #${idB} { opacity: 0.5; }`);
+            document.head.innerHTML = '';
+        });
+
+        test('inlines symbols from fetched external sprites', async () => {
+            global.chrome = {
+                runtime: { sendMessage: jest.fn((message, callback) => callback({ success: true, text: `<svg xmlns="http://www.w3.org/2000/svg">${SPRITE}</svg>` })) }
+            };
+            document.body.innerHTML = '<div class="card"><svg><use xlink:href="https://cdn.site.com/icons.svg#icon-star"></use></svg></div>';
+            const card = document.querySelector('.card');
+
+            await expect(StyleInjector.fetchExternalSprites(card)).resolves.toBe(1);
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'fetchSprite', url: 'https://cdn.site.com/icons.svg' }, expect.any(Function));
+
+            const clone = StyleInjector.resolveSvgReferences(card.cloneNode(true), card);
+            const use = clone.querySelector('use');
+            expect(use.hasAttribute('xlink:href')).toBe(false);
+            expect(use.getAttribute('href')).toBe(`#${clone.querySelector('symbol').id}`);
+            expect(clone.querySelector('symbol path').getAttribute('fill')).toMatch(/^url\(#snatch-\w+-grad\)$/);
+            delete global.chrome;
+        });
+    });
+
+    describe('rule provenance', () => {
+        const NativeCSSStyleSheet = window.CSSStyleSheet;
+
+        beforeEach(() => {
+            // jsdom has no constructable stylesheets: parse through a temporary <style>
+            window.CSSStyleSheet = class {
+                replaceSync(text) {
+                    const style = document.createElement('style');
+                    style.textContent = text;
+                    document.body.appendChild(style);
+                    this.cssRules = Array.from(style.sheet.cssRules);
+                    style.remove();
+                }
+            };
+            document.head.innerHTML = '<style>.other { color: red; }</style><style>.card { color: blue; } .title { color: blue; }</style>';
+            document.body.innerHTML = '<div class="card"><h2 class="title">Hi</h2></div>';
+            // jsdom sheets have no ownerNode
+            document.head.querySelectorAll('style').forEach(style => Object.defineProperty(style.sheet, 'ownerNode', { value: style }));
+        });
+
+        afterEach(() => {
+            window.CSSStyleSheet = NativeCSSStyleSheet;
+            delete window.SnatcherConfig;
+            delete document.adoptedStyleSheets;
+        });
+
+        test('records the sheet and rule index of every collected rule', () => {
+            document.adoptedStyleSheets = [{ href: null, ownerNode: null, cssRules: [{ type: 1, selectorText: '.lit', style: { cssText: 'color: green;', length: 0 } }] }];
+            StyleInjector.init();
+
+            expect(StyleInjector.allCSSRules.map(rule => rule.source)).toEqual([
+                { sheet: '<style>[0]', rule: 0, origin: 'style' },
+                { sheet: '<style>[1]', rule: 0, origin: 'style' },
+                { sheet: '<style>[1]', rule: 1, origin: 'style' },
+                { sheet: 'adoptedStyleSheets[0]', rule: 0, origin: 'adopted' }
+            ]);
+        });
+
+        test('annotates emitted rules with origin comments when enabled', () => {
+            window.SnatcherConfig = { provenance: { comments: true }, cssOptimization: { mergeRules: false } };
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+
+            expect(cssData.matchedCSS).toContain('/* <style>[1] #0 */\n.card { color: blue; }');
+            expect(cssData.matchedCSS).toContain('/* <style>[1] #1 */\n.title { color: blue; }');
+            expect(cssData.optimization.saved).toBe(0);
+        });
+
+        test('prefers the popup options over SnatcherConfig', () => {
+            window.SnatcherConfig = { provenance: { comments: true, sourceMap: false } };
+            window.__NINJA_SNATCH__ = { snatcherProvenance: { comments: false, sourceMap: true } };
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.card'));
+
+            expect(cssData.matchedCSS).not.toContain('/*');
+            expect(StyleInjector.createSourceMap('card.html')).not.toBeNull();
+            delete window.__NINJA_SNATCH__;
+        });
+
+        test('builds a source map of the last export, merged rules keep every source', () => {
+            StyleInjector.init();
+            StyleInjector._prepareExport(document.querySelector('.card'));
+            expect(StyleInjector.createSourceMap('card.html')).toBeNull();
+
+            window.SnatcherConfig = { provenance: { sourceMap: true } };
+            const map = JSON.parse(StyleInjector.createSourceMap('card.html'));
+
+            expect(map.file).toBe('card.html');
+            expect(map.rules).toEqual([{
+                selector: '.card, .title',
+                sources: [{ sheet: '<style>[1]', rule: 0, origin: 'style' }, { sheet: '<style>[1]', rule: 1, origin: 'style' }]
+            }]);
+        });
+    });
+
+    describe('CSS formatting', () => {
+        const css = '/* theme */ .a, .b > .c { color: #AABBCC; margin: 0px 0.5em; width: calc(100% - 0px) } '
+            + '@media (min-width: 600px) { .a { background: url(data:image/png;base64,AAA) } .empty {} }';
+
+        test('pretty-prints with beautifyOptions.css', () => {
+            expect(StyleInjector.prettifyCSS(css)).toBe([
+                '/* theme */',
+                '.a,',
+                '.b > .c {',
+                '  color: #AABBCC;',
+                '  margin: 0px 0.5em;',
+                '  width: calc(100% - 0px);',
+                '}',
+                '@media (min-width: 600px) {',
+                '  .a {',
+                '    background: url(data:image/png;base64,AAA);',
+                '  }',
+                '  .empty {}',
+                '}',
+                ''
+            ].join('\n'));
+
+            window.SnatcherConfig = { beautifyOptions: { css: { indent_size: 4, selector_separator_newline: false, end_with_newline: false } } };
+            try {
+                expect(StyleInjector.prettifyCSS('.a, .b { color: red }')).toBe('.a, .b {\n    color: red;\n}');
+            } finally {
+                delete window.SnatcherConfig;
+            }
+        });
+
+        test('minifies whitespace, colors and zeros', () => {
+            expect(StyleInjector.minifyCSS(css)).toBe(
+                '.a,.b>.c{color:#ABC;margin:0 .5em;width:calc(100% - 0px)}'
+                + '@media (min-width:600px){.a{background:url(data:image/png;base64,AAA)}}'
+            );
+            // Units that are not lengths keep their meaning only with the unit
+            expect(StyleInjector.minifyCSS('.a { transition: opacity 0s; color: hsl(0, 0%, 50%); flex: 1 1 0%; }'))
+                .toBe('.a{transition:opacity 0s;color:hsl(0,0%,50%);flex:1 1 0%}');
+            expect(StyleInjector.minifyCSS('/*! license */ @layer base {} .a { content: "a  ,  b"; }'))
+                .toBe('/*! license */@layer base{}.a{content:"a  ,  b"}');
+        });
+
+        test('keeps the meaning of flex shorthands and page selectors', () => {
+            // "flex: 1 0" would read the 0 as flex-shrink
+            expect(StyleInjector.minifyCSS('.a { flex: 1 0px; margin: 0px; }')).toBe('.a{flex:1 0px;margin:0}');
+            expect(StyleInjector.minifyCSS('@page :first { margin: 1in; } @media screen and (min-width : 1px) { .a { color: red } }'))
+                .toBe('@page :first{margin:1in}@media screen and (min-width:1px){.a{color:red}}');
+        });
+
+        test('applies the output option to style blocks and, when minifying, to style attributes', () => {
+            const html = '<style>.a { color: #ffffff; }</style><div class="a" style="margin: 0px; font-family: &quot;Open Sans&quot;"></div>';
+
+            expect(StyleInjector.formatStyleBlocks(html, 'raw')).toBe(html);
+            expect(StyleInjector.formatStyleBlocks(html, 'pretty')).toBe('<style>\n.a {\n  color: #ffffff;\n}\n</style>'
+                + '<div class="a" style="margin: 0px; font-family: &quot;Open Sans&quot;"></div>');
+            expect(StyleInjector.formatStyleBlocks(html, 'minify')).toBe('<style>.a{color:#fff}</style>'
+                + '<div class="a" style="margin:0;font-family:&quot;Open Sans&quot;"></div>');
+        });
+    });
+
+    describe('cross-origin stylesheets', () => {
+        const CDN_URL = 'https://cdn.other.net/themes/main/site.css';
+        const crossOriginSheet = {
+            href: CDN_URL,
+            get cssRules() { throw new DOMException('Cannot access rules', 'SecurityError'); }
+        };
+
+        const NativeCSSStyleSheet = window.CSSStyleSheet;
+
+        beforeEach(() => {
+            // jsdom has no constructable stylesheets: parse through a temporary <style>
+            window.CSSStyleSheet = class {
+                replaceSync(text) {
+                    const style = document.createElement('style');
+                    style.textContent = text;
+                    document.head.appendChild(style);
+                    this.cssRules = Array.from(style.sheet.cssRules);
+                    style.remove();
+                }
+            };
+            Object.defineProperty(document, 'styleSheets', { configurable: true, get: () => [crossOriginSheet] });
+            global.chrome = {
+                runtime: {
+                    sendMessage: jest.fn((message, callback) => callback({
+                        success: true,
+                        text: '.hero { background: url(../img/bg.png); } .unused { color: red; }'
+                    }))
+                }
+            };
+        });
+
+        afterEach(() => {
+            window.CSSStyleSheet = NativeCSSStyleSheet;
+            delete document.styleSheets;
+            delete global.chrome;
+        });
+
+        test('resolveCSSUrls resolves against the stylesheet URL', () => {
+            expect(StyleInjector.resolveCSSUrls('a { background: url("../a.png"); }', CDN_URL))
+                .toBe('a { background: url("https://cdn.other.net/themes/a.png"); }');
+            expect(StyleInjector.resolveCSSUrls('a { mask: url(#m); }', CDN_URL)).toBe('a { mask: url(#m); }');
+        });
+
+        test('fetches unreadable sheets through the background and matches their rules', async () => {
+            document.body.innerHTML = '<section class="hero">Hi</section>';
+
+            await expect(StyleInjector.fetchExternalStylesheets()).resolves.toBe(1);
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'fetchStylesheet', url: CDN_URL }, expect.any(Function));
+
+            StyleInjector.init();
+            const { cssData } = StyleInjector._prepareExport(document.querySelector('.hero'));
+
+            expect(cssData.matchedCSS).toContain('.hero');
+            expect(cssData.matchedCSS).toContain('https://cdn.other.net/themes/img/bg.png');
+            expect(cssData.matchedCSS).not.toContain('.unused');
+            expect(StyleInjector.externalStylesheets).toEqual([]);
+        });
+
+        test('caches fetched sheets per href', async () => {
+            const otherSheet = { href: 'https://cdn.other.net/extra.css', get cssRules() { throw new Error('SecurityError'); } };
+            Object.defineProperty(document, 'styleSheets', { configurable: true, get: () => [otherSheet] });
+
+            await expect(StyleInjector.fetchExternalStylesheets()).resolves.toBe(1);
+            await expect(StyleInjector.fetchExternalStylesheets()).resolves.toBe(0);
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('single-file export', () => {
+        const ASSETS = {
+            'https://cdn.site.com/logo.png': { size: 100 },
+            'https://cdn.site.com/hero.jpg': { size: 400 },
+            'https://cdn.site.com/font.woff2': { size: 300 },
+            'https://cdn.site.com/huge.mp4.jpg': { size: 5000 }
+        };
+
+        beforeEach(() => {
+            global.chrome = {
+                runtime: {
+                    sendMessage: jest.fn(({ url, maxBytes }, callback) => {
+                        const asset = ASSETS[url];
+                        if (!asset) return callback({ success: false, error: 'HTTP 404' });
+                        callback(asset.size > maxBytes
+                            ? { success: true, size: asset.size, tooLarge: true }
+                            : { success: true, size: asset.size, dataUrl: `data:x;base64,${url.split('/').pop()}` });
+                    })
+                }
+            };
+        });
+
+        afterEach(() => {
+            delete global.chrome;
+        });
+
+        test('inlines media attributes, srcset candidates and CSS url()', async () => {
+            const html = `<style>.hero { background: url("https://cdn.site.com/hero.jpg"); }
+@font-face { font-family: X; src: url(https://cdn.site.com/font.woff2) format("woff2"); }</style>
+<img src="https://cdn.site.com/logo.png" srcset="https://cdn.site.com/logo.png 1x, data:image/gif;base64,R0lG 2x">
+<div style="background-image: url(&quot;https://cdn.site.com/hero.jpg&quot;)"></div>
+<svg><use href="#icon"></use></svg>`;
+            const { html: result, report } = await StyleInjector.inlineAssets(html, { maxAssetBytes: 1000, maxTotalBytes: 10000 });
+
+            expect(result).toContain('url("data:x;base64,hero.jpg")');
+            expect(result).toContain('url(data:x;base64,font.woff2) format("woff2")');
+            expect(result).toContain('<img src="data:x;base64,logo.png" srcset="data:x;base64,logo.png 1x, data:image/gif;base64,R0lG 2x">');
+            expect(result).toContain('url(&quot;data:x;base64,hero.jpg&quot;)');
+            expect(result).toContain('href="#icon"');
+            expect(result).not.toContain('cdn.site.com');
+            expect(report.skipped).toEqual([]);
+            expect(report.totalBytes).toBe(800);
+            // One request per distinct URL
+            expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(3);
+        });
+
+        test('keeps assets over the per-asset limit or the total budget and lists them', async () => {
+            const html = `<!DOCTYPE html>
+<html><body><img src="https://cdn.site.com/huge.mp4.jpg"><img src="https://cdn.site.com/logo.png">
+<img src="https://cdn.site.com/hero.jpg"><img src="https://cdn.site.com/missing.png"></body></html>`;
+            const { html: result, report } = await StyleInjector.inlineAssets(html, { maxAssetBytes: 1000, maxTotalBytes: 450 });
+
+            expect(report.inlined.map(asset => asset.url)).toEqual(['https://cdn.site.com/logo.png']);
+            expect(report.skipped).toEqual([
+                { url: 'https://cdn.site.com/huge.mp4.jpg', reason: 'too-large', size: 5000 },
+                { url: 'https://cdn.site.com/hero.jpg', reason: 'budget', size: 400 },
+                { url: 'https://cdn.site.com/missing.png', reason: 'HTTP 404' }
+            ]);
+            expect(StyleInjector.lastInlineReport).toBe(report);
+
+            // The report follows the doctype so the document stays in standards mode
+            expect(result.startsWith('<!DOCTYPE html>\n<!-- Single-file export: 3 assets not inlined')).toBe(true);
+            expect(result).toContain('https://cdn.site.com/hero.jpg (over the total size budget, 0.4 KB)');
+            expect(result).toContain('<img src="https://cdn.site.com/huge.mp4.jpg">');
+        });
+
+        test('spends the budget in document order and keeps URLs in the report readable', async () => {
+            const html = `<style>@font-face { src: url(https://cdn.site.com/font.woff2); }</style>
+<img src="https://cdn.site.com/hero.jpg"><img src="https://cdn.site.com/a--b.png">`;
+            const { html: result, report } = await StyleInjector.inlineAssets(html, { maxAssetBytes: 1000, maxTotalBytes: 500 });
+
+            expect(report.inlined.map(asset => asset.url)).toEqual(['https://cdn.site.com/font.woff2']);
+            expect(report.skipped.map(asset => asset.reason)).toEqual(['budget', 'HTTP 404']);
+            expect(result).toContain('https://cdn.site.com/a-\u2010b.png (HTTP 404)');
+            expect(result).not.toContain('\\u2010');
+        });
+
+        test('reports linked stylesheets and leaves them as they are', async () => {
+            const html = '<link rel="stylesheet" href="https://cdn.site.com/site.css"><link rel="icon" href="https://cdn.site.com/logo.png">';
+            const { html: result, report } = await StyleInjector.inlineAssets(html);
+
+            expect(result).toContain('<link rel="stylesheet" href="https://cdn.site.com/site.css">');
+            expect(result).toContain('<link rel="icon" href="data:x;base64,logo.png">');
+            expect(report.skipped).toEqual([{ url: 'https://cdn.site.com/site.css', reason: 'stylesheet' }]);
+        });
+
+        test('leaves script text alone except the generated shadow template', async () => {
+            const page = '<script>const bg = "url(https://cdn.site.com/hero.jpg)"; el.innerHTML = \'<img src="https://cdn.site.com/logo.png">\';</script>';
+            const template = '<script data-snatch-template>x.innerHTML = "<style>.a { background: url(\\"https://cdn.site.com/hero.jpg\\"); }</style>";</script>';
+            const { html: result } = await StyleInjector.inlineAssets(page + template);
+
+            expect(result).toContain(page);
+            expect(result).toContain('url(\\"data:x;base64,hero.jpg\\")');
+        });
+
+        test('can leave the report comment out of copied fragments', async () => {
+            const html = '<img src="https://cdn.site.com/missing.png">';
+            const { html: result, report } = await StyleInjector.inlineAssets(html, { reportComment: false });
+
+            expect(result).toBe(html);
+            expect(report.skipped).toHaveLength(1);
+        });
+    });
+
+    describe('ZIP project export', () => {
+        beforeEach(() => {
+            global.chrome = {
+                runtime: {
+                    sendMessage: jest.fn(({ url }, callback) => {
+                        if (url.endsWith('/missing.png')) return callback({ success: false, error: 'HTTP 404' });
+                        callback({ success: true, size: 10, dataUrl: url.includes('?') ? 'data:image/svg+xml;base64,PHN2Zy8+' : 'data:image/png;base64,AAAA' });
+                    })
+                }
+            };
+        });
+
+        afterEach(() => {
+            delete global.chrome;
+        });
+
+        test('moves styles and scripts into files and assets under assets/', async () => {
+            const html = `<!DOCTYPE html>
+<html><head><style>.hero { background: url(https://zip.site.com/img/bg.png); }</style>
+<style media="print">.hero { display: none; }</style></head>
+<body><img src="https://zip.site.com/logo.png"><img src="https://zip.site.com/other/logo.png"><img src="https://zip.site.com/icon?v=2">
+<img src="https://zip.site.com/missing.png">
+<template shadowrootmode="open"><style>:host { color: red; }</style></template>
+<script type="module">
+(async () => { await import('https://cdn.example/motion.js'); })();
+</script>
+<script type="application/ld+json">{"@type": "Thing"}</script>
+</body></html>`;
+            const { files, report } = await StyleInjector.createProjectFiles(html);
+            const file = name => files.find(f => f.name === name);
+
+            expect(files.map(f => f.name)).toEqual(['index.html', 'styles.css', 'scripts.js', 'manifest.json',
+                'assets/bg.png', 'assets/logo.png', 'assets/logo-2.png', 'assets/icon.svg']);
+
+            const index = file('index.html').text;
+            expect(index).toContain('<link rel="stylesheet" href="styles.css">');
+            expect(index).toContain('<img src="assets/logo.png"><img src="assets/logo-2.png"><img src="assets/icon.svg">');
+            expect(index).toContain('<img src="https://zip.site.com/missing.png">');
+            expect(index).toContain('<style>:host { color: red; }</style>');
+            expect(index).toContain('<script type="application/ld+json">');
+            expect(index).toContain("await import('https://cdn.example/motion.js')");
+            expect(index).not.toContain('src="scripts.js"');
+
+            expect(file('styles.css').text).toBe('.hero { background: url(assets/bg.png); }\n\n@media print {\n.hero { display: none; }\n}');
+            expect(file('scripts.js').text).toBe('');
+            expect(file('assets/bg.png').dataUrl).toBe('data:image/png;base64,AAAA');
+
+            const manifest = JSON.parse(file('manifest.json').text);
+            expect(manifest.assets['assets/logo-2.png']).toBe('https://zip.site.com/other/logo.png');
+            expect(manifest.skipped).toEqual([{ url: 'https://zip.site.com/missing.png', reason: 'HTTP 404' }]);
+            expect(report.totalBytes).toBe(40);
+        });
+
+        test('keeps modules with static imports inline', async () => {
+            const html = `<body><script type="module">
+import { animate } from 'https://cdn.example/motion.js';
+animate('.a', { opacity: 1 });
+</script></body>`;
+            const { files } = await StyleInjector.createProjectFiles(html);
+
+            expect(files[0].text).toContain("import { animate }");
+            expect(files[0].text).not.toContain('scripts.js');
+            expect(files[2].text).toBe('');
+        });
+
+        test('gives each classic script its own file at its original position', async () => {
+            const html = `<head><script>window.config = { theme: 'dark' };</script></head>
+<body><div id="app"></div>
+<script type="module">import './app.js';</script>
+<script type="text/javascript">document.getElementById('app').dataset.ready = '1';</script>
+</body>`;
+            const { files } = await StyleInjector.createProjectFiles(html);
+
+            expect(files.map(f => f.name)).toEqual(['index.html', 'styles.css', 'scripts.js', 'scripts-2.js', 'manifest.json']);
+            expect(files[0].text).toBe(`<head><script src="scripts.js"></script></head>
+<body><div id="app"></div>
+<script type="module">import './app.js';</script>
+<script src="scripts-2.js"></script>
+</body>`);
+            expect(files[2].text).toBe("window.config = { theme: 'dark' };");
+            expect(files[3].text).toBe("document.getElementById('app').dataset.ready = '1';");
+        });
+    });
 });
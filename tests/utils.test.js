@@ -90,4 +90,96 @@ describe('SnatcherUtils', () => {
             expect(result.iframeHTML).toBeNull();
         });
     });
+
+    describe('getSelectorPath', () => {
+        test('stops at a unique id', () => {
+            document.body.innerHTML = '<main id="main"><section><p>Text</p></section></main>';
+            const result = SnatcherUtils.getSelectorPath(document.querySelector('p'));
+            expect(result).toBe('#main > section > p');
+        });
+
+        test('uses nth-of-type for same-tag siblings', () => {
+            document.body.innerHTML = '<div></div><div><span></span><span class="x"></span></div>';
+            const el = document.querySelector('.x');
+            const result = SnatcherUtils.getSelectorPath(el);
+            expect(result).toBe('html > body > div:nth-of-type(2) > span:nth-of-type(2)');
+            expect(document.querySelector(result)).toBe(el);
+        });
+
+        test('escapes special characters in ids', () => {
+            document.body.innerHTML = '<div id="a:b"><i></i></div>';
+            const result = SnatcherUtils.getSelectorPath(document.querySelector('i'));
+            expect(document.querySelector(result)).toBe(document.querySelector('i'));
+        });
+    });
+
+    describe('drag selection geometry', () => {
+        const rect = (left, top, right, bottom) => ({ left, top, right, bottom, width: right - left, height: bottom - top });
+
+        test('rectsIntersect ignores touching edges', () => {
+            expect(SnatcherUtils.rectsIntersect(rect(0, 0, 10, 10), rect(5, 5, 20, 20))).toBe(true);
+            expect(SnatcherUtils.rectsIntersect(rect(0, 0, 10, 10), rect(10, 0, 20, 10))).toBe(false);
+        });
+
+        test('rectContains checks full containment', () => {
+            expect(SnatcherUtils.rectContains(rect(0, 0, 100, 100), rect(10, 10, 20, 20))).toBe(true);
+            expect(SnatcherUtils.rectContains(rect(0, 0, 100, 100), rect(90, 90, 120, 120))).toBe(false);
+        });
+
+        test('findCommonAncestor returns the lowest shared parent', () => {
+            document.body.innerHTML = '<main><section><p id="a"></p><div><p id="b"></p></div></section><aside id="c"></aside></main>';
+            const [a, b, c] = ['#a', '#b', '#c'].map(s => document.querySelector(s));
+            expect(SnatcherUtils.findCommonAncestor([a, b])).toBe(document.querySelector('section'));
+            expect(SnatcherUtils.findCommonAncestor([a, b, c])).toBe(document.querySelector('main'));
+            expect(SnatcherUtils.findCommonAncestor([a])).toBe(a);
+            expect(SnatcherUtils.findCommonAncestor([])).toBeNull();
+        });
+
+        test('collectIntersecting skips wrappers that contain the whole rectangle', () => {
+            document.body.innerHTML = '<div id="wrap"><div id="one"></div><div id="two"></div><div id="far"></div></div>';
+            const boxes = { wrap: rect(0, 0, 500, 500), one: rect(10, 10, 100, 100), two: rect(120, 10, 200, 100), far: rect(300, 300, 400, 400) };
+            Object.entries(boxes).forEach(([id, box]) => {
+                document.getElementById(id).getBoundingClientRect = () => box;
+            });
+
+            const hits = SnatcherUtils.collectIntersecting(document.body, rect(50, 50, 150, 80));
+            expect(hits.map(el => el.id)).toEqual(['one', 'two']);
+        });
+    });
+
+    describe('iframe geometry', () => {
+        test('getTopLevelRect adds the frame offset for elements inside iframes', () => {
+            document.body.innerHTML = '<iframe></iframe>';
+            const frame = document.querySelector('iframe');
+            frame.getBoundingClientRect = () => ({ left: 100, top: 50, width: 400, height: 300 });
+            const inner = frame.contentDocument.createElement('div');
+            frame.contentDocument.body.appendChild(inner);
+            inner.getBoundingClientRect = () => ({ left: 10, top: 20, width: 30, height: 40 });
+
+            expect(SnatcherUtils.getTopLevelRect(inner)).toEqual({ left: 110, top: 70, right: 140, bottom: 110, width: 30, height: 40 });
+        });
+
+        test('getFrameDocuments returns nested same-origin frame documents', () => {
+            document.body.innerHTML = '<iframe></iframe>';
+            const outer = document.querySelector('iframe').contentDocument;
+            outer.body.innerHTML = '<iframe></iframe>';
+            const inner = outer.querySelector('iframe').contentDocument;
+
+            expect(SnatcherUtils.getFrameDocuments()).toEqual([outer, inner]);
+        });
+    });
+
+    describe('copyText', () => {
+        test('falls back to execCommand when the Clipboard API is unavailable', async () => {
+            document.execCommand = jest.fn(() => true);
+            await SnatcherUtils.copyText('<p>Hi</p>');
+            expect(document.execCommand).toHaveBeenCalledWith('copy');
+            expect(document.querySelector('textarea')).toBeNull();
+        });
+
+        test('rejects when both clipboard paths fail', async () => {
+            document.execCommand = jest.fn(() => false);
+            await expect(SnatcherUtils.copyText('x')).rejects.toBeDefined();
+        });
+    });
 });
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for the in-repo ZIP writer
+ * The archive is read back through its central directory
+ * @jest-environment node
+ */
+
+const { ZipWriter } = require('../zipWriter.js');
+
+/** Minimal reader: name -> bytes, via the end-of-central-directory record */
+const readZip = (zip) => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+    const files = {};
+    let position = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        expect(view.getUint32(position, true)).toBe(0x02014b50);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = new TextDecoder().decode(zip.subarray(position + 46, position + 46 + nameLength));
+
+        expect(view.getUint32(offset, true)).toBe(0x04034b50);
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+        files[name] = { data: zip.slice(dataStart, dataStart + size), crc: view.getUint32(position + 16, true) };
+        position += 46 + nameLength;
+    }
+    return files;
+};
+
+describe('ZipWriter', () => {
+    test('crc32 matches the reference value', () => {
+        expect(ZipWriter.crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+        expect(ZipWriter.crc32(new Uint8Array(0))).toBe(0);
+    });
+
+    test('stores text and binary entries with UTF-8 names', () => {
+        const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0, 255]);
+        const zip = ZipWriter.createZip([
+            { name: 'index.html', data: '<p>Привет</p>' },
+            { name: 'assets/логотип.png', data: png }
+        ], new Date(2024, 4, 17, 13, 45, 30));
+
+        const files = readZip(zip);
+        expect(Object.keys(files)).toEqual(['index.html', 'assets/логотип.png']);
+        expect(new TextDecoder().decode(files['index.html'].data)).toBe('<p>Привет</p>');
+        expect(Array.from(files['assets/логотип.png'].data)).toEqual(Array.from(png));
+        expect(files['assets/логотип.png'].crc).toBe(ZipWriter.crc32(png));
+    });
+
+    test('encodes the modification time in MS-DOS format', () => {
+        expect(ZipWriter.toDosDateTime(new Date(2024, 4, 17, 13, 45, 30))).toEqual({
+            time: (13 << 11) | (45 << 5) | 15,
+            date: (44 << 9) | (5 << 5) | 17
+        });
+    });
+
+    test('decodes base64 and percent-encoded data URIs', () => {
+        expect(Array.from(ZipWriter.dataURLToBytes('data:image/png;base64,AAH/'))).toEqual([0, 1, 255]);
+        expect(new TextDecoder().decode(ZipWriter.dataURLToBytes('data:image/svg+xml,%3Csvg%2F%3E'))).toBe('<svg/>');
+    });
+});
@@ -45,6 +45,152 @@ ${html}
         return str.replace(/[^a-z0-9а-яё]/gi, '_').substring(0, maxLen) || 'snatched';
     },
 
+    /**
+     * Строит CSS-путь до элемента (для исключений и истории)
+     * Останавливается на первом уникальном id
+     * @param {Element} el - Элемент
+     * @returns {string} Селектор вида "#main > div:nth-of-type(2) > p"
+     */
+    getSelectorPath(el) {
+        const escape = (value) => (typeof CSS !== 'undefined' && CSS.escape)
+            ? CSS.escape(value)
+            : value.replace(/([^\w-])/g, '\\$1');
+        const parts = [];
+
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            const doc = node.ownerDocument;
+            if (node.id && doc.querySelectorAll('#' + escape(node.id)).length === 1) {
+                parts.unshift('#' + escape(node.id));
+                break;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            if (!parent) {
+                parts.unshift(tag);
+                break;
+            }
+
+            const sameTag = Array.from(parent.children).filter(c => c.tagName === node.tagName);
+            parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+        }
+
+        return parts.join(' > ');
+    },
+
+    /**
+     * Копирует текст в буфер обмена
+     * Без user gesture (контекстное меню, горячие клавиши) Clipboard API отказывает —
+     * тогда используется execCommand, разрешённый расширению через clipboardWrite
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (err) {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.cssText = 'position:fixed;top:0;left:0;opacity:0;';
+            document.documentElement.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            textarea.remove();
+            if (!copied) throw err;
+        }
+    },
+
+    /**
+     * Проверяет пересечение двух прямоугольников
+     * @param {{left: number, top: number, right: number, bottom: number}} a
+     * @param {{left: number, top: number, right: number, bottom: number}} b
+     * @returns {boolean}
+     */
+    rectsIntersect(a, b) {
+        return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+    },
+
+    /**
+     * Проверяет, что outer полностью содержит inner
+     * @param {{left: number, top: number, right: number, bottom: number}} outer
+     * @param {{left: number, top: number, right: number, bottom: number}} inner
+     * @returns {boolean}
+     */
+    rectContains(outer, inner) {
+        return outer.left <= inner.left && outer.right >= inner.right &&
+            outer.top <= inner.top && outer.bottom >= inner.bottom;
+    },
+
+    /**
+     * Bounding box элемента в координатах viewport текущего окна
+     * Для элементов из same-origin iframe добавляются смещения всех frameElement
+     * @param {Element} el
+     * @returns {{left: number, top: number, right: number, bottom: number, width: number, height: number}}
+     */
+    getTopLevelRect(el) {
+        const rect = el.getBoundingClientRect();
+        let left = rect.left;
+        let top = rect.top;
+
+        for (let win = el.ownerDocument.defaultView; win && win !== window && win.frameElement; win = win.parent) {
+            const frame = win.frameElement;
+            const frameRect = frame.getBoundingClientRect();
+            left += frameRect.left + frame.clientLeft;
+            top += frameRect.top + frame.clientTop;
+        }
+
+        return { left, top, right: left + rect.width, bottom: top + rect.height, width: rect.width, height: rect.height };
+    },
+
+    /**
+     * Same-origin документы всех вложенных iframe (cross-origin пропускаются)
+     * @param {Document} [doc]
+     * @returns {Document[]}
+     */
+    getFrameDocuments(doc = document) {
+        const docs = [];
+        doc.querySelectorAll('iframe, frame').forEach(frame => {
+            try {
+                const frameDoc = frame.contentDocument;
+                if (frameDoc?.documentElement) docs.push(frameDoc, ...this.getFrameDocuments(frameDoc));
+            } catch (e) {
+                // cross-origin frame
+            }
+        });
+        return docs;
+    },
+
+    /**
+     * Находит элементы, чей bounding box пересекает прямоугольник выделения
+     * Обёртки, целиком содержащие прямоугольник, пропускаются — иначе их общий предок всегда body
+     * @param {Element} root - Корень обхода
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - Прямоугольник во viewport-координатах
+     * @param {function(Element): boolean} [isIgnored] - Фильтр служебных элементов
+     * @returns {Element[]}
+     */
+    collectIntersecting(root, rect, isIgnored = () => false) {
+        return Array.from(root.querySelectorAll('*')).filter(el => {
+            if (isIgnored(el)) return false;
+            const box = el.getBoundingClientRect();
+            if (!box.width || !box.height) return false;
+            return this.rectsIntersect(box, rect) && !this.rectContains(box, rect);
+        });
+    },
+
+    /**
+     * Находит ближайшего общего предка элементов
+     * @param {Element[]} elements
+     * @returns {Element|null}
+     */
+    findCommonAncestor(elements) {
+        if (!elements.length) return null;
+        let ancestor = elements[0];
+        for (const el of elements.slice(1)) {
+            while (ancestor && !ancestor.contains(el)) ancestor = ancestor.parentElement;
+        }
+        return ancestor;
+    },
+
     /**
      * Находит целевой iframe для извлечения
      * @returns {HTMLIFrameElement|null}
@@ -0,0 +1,144 @@
+/**
+ * Ninja-Snatch ZIP Writer
+ * Минимальный ZIP (метод STORE, без сжатия) для экспорта проекта с ассетами
+ *
+ * Подключается в background.js через importScripts — в MV3 service worker нет
+ * npm-пакетов вроде JSZip. Картинки и шрифты уже сжаты, так что STORE почти
+ * ничего не теряет, а архив открывается любым распаковщиком
+ */
+
+const ZIP_SIGNATURES = {
+    localFile: 0x04034b50,
+    centralDirectory: 0x02014b50,
+    endOfCentralDirectory: 0x06054b50
+};
+
+/** Bit 11: имена файлов в UTF-8 */
+const ZIP_UTF8_FLAG = 0x0800;
+
+const ZipWriter = {
+    _crcTable: null,
+
+    /**
+     * CRC-32 (IEEE), как требует формат ZIP
+     * @param {Uint8Array} bytes
+     * @returns {number} Беззнаковое 32-битное значение
+     */
+    crc32(bytes) {
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = this._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Дата и время в формате MS-DOS (точность 2 секунды, с 1980 года)
+     * @param {Date} date
+     * @returns {{time: number, date: number}}
+     */
+    toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    /**
+     * Собирает архив
+     * @param {Array<{name: string, data: string|Uint8Array}>} entries - Пути через "/", строки пишутся в UTF-8
+     * @param {Date} [date] - Время изменения всех файлов
+     * @returns {Uint8Array} Содержимое .zip
+     */
+    createZip(entries, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, date: day } = this.toDosDateTime(date);
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        entries.forEach(({ name, data }) => {
+            const nameBytes = encoder.encode(name);
+            const content = typeof data === 'string' ? encoder.encode(data) : data;
+            const crc = this.crc32(content);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, ZIP_SIGNATURES.localFile, true);
+            local.setUint16(4, 20, true); // version needed: 2.0
+            local.setUint16(6, ZIP_UTF8_FLAG, true);
+            local.setUint16(8, 0, true); // STORE
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, content.length, true);
+            local.setUint32(22, content.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            locals.push(new Uint8Array(local.buffer), nameBytes, content);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, ZIP_SIGNATURES.centralDirectory, true);
+            central.setUint16(4, 20, true); // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, ZIP_UTF8_FLAG, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, content.length, true);
+            central.setUint32(24, content.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            // extra, comment, disk, attributes — нули
+            central.setUint32(42, offset, true);
+            centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + content.length;
+        });
+
+        const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, ZIP_SIGNATURES.endOfCentralDirectory, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    },
+
+    /**
+     * @param {string} dataUrl - data: URI (base64 или percent-encoded)
+     * @returns {Uint8Array}
+     */
+    dataURLToBytes(dataUrl) {
+        const comma = dataUrl.indexOf(',');
+        const meta = dataUrl.slice(0, comma);
+        const payload = dataUrl.slice(comma + 1);
+        if (!/;base64$/i.test(meta)) return new TextEncoder().encode(decodeURIComponent(payload));
+
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+};
+
+// Export for Jest (service worker uses the global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZipWriter };
+}